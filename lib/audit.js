@@ -0,0 +1,35 @@
+/*
+  Audit trail of the control UI: who started, stopped, reviewed and downloaded
+  what, and who signed in. One JSON object per line in <data>/audit.jsonl:
+
+    { "at": "<ISO time>", "user": "maria", "action": "download", "file": "march.xlsx" }
+
+  Runs started by a schedule are recorded with user "schedule:<name>".
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath, ensureDir } = require('./paths');
+
+const AUDIT_FILE = dataPath('audit.jsonl');
+
+function audit(user, action, detail = {}) {
+  try {
+    ensureDir(path.dirname(AUDIT_FILE));
+    fs.appendFileSync(AUDIT_FILE, `${JSON.stringify({ at: new Date().toISOString(), user: user || '', action, ...detail })}\n`);
+  } catch (_) {}
+}
+
+// Most recent entries first
+function readAudit(limit = 200) {
+  let text = '';
+  try { text = fs.readFileSync(AUDIT_FILE, 'utf8'); } catch (_) { return []; }
+  const entries = [];
+  const lines = text.split('\n').filter(Boolean);
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i -= 1) {
+    try { entries.push(JSON.parse(lines[i])); } catch (_) {}
+  }
+  return entries;
+}
+
+module.exports = { AUDIT_FILE, audit, readAudit };
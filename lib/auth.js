@@ -0,0 +1,107 @@
+/*
+  Login sessions of the control UI. A successful login gets a random token in
+  an HttpOnly, SameSite=Strict cookie; the token maps to a username in memory,
+  so restarting the runner signs everyone out. Sessions end after IDLE_MINUTES
+  without a request. The user is looked up again on every request, so deleting
+  a user or changing their roles takes effect at once.
+
+  Repeated wrong passwords lock a username for LOCKOUT_MINUTES.
+*/
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'bt_session';
+const IDLE_MINUTES = Number(process.env.SESSION_IDLE_MINUTES) || 8 * 60;
+const MAX_FAILURES = 5;
+const LOCKOUT_MINUTES = 5;
+const MINUTE_MS = 60 * 1000;
+
+/** @type {Map<string, { username: string, createdAt: number, lastSeen: number }>} */
+const sessions = new Map();
+/** @type {Map<string, { count: number, lockedUntil: number }>} */
+const failures = new Map();
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const at = part.indexOf('=');
+    if (at < 0) continue;
+    try { cookies[part.slice(0, at).trim()] = decodeURIComponent(part.slice(at + 1).trim()); } catch (_) {}
+  }
+  return cookies;
+}
+
+function sessionCookie(token) {
+  return `${COOKIE_NAME}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${IDLE_MINUTES * 60}`;
+}
+
+function clearedCookie() {
+  return `${COOKIE_NAME}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+}
+
+function createSession(username, now = Date.now()) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { username, createdAt: now, lastSeen: now });
+  return token;
+}
+
+// Username of the session in the request's cookie, or null; refreshes the idle timer
+function sessionUser(cookieHeader, now = Date.now()) {
+  const token = parseCookies(cookieHeader)[COOKIE_NAME];
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  if (now - session.lastSeen > IDLE_MINUTES * MINUTE_MS) {
+    sessions.delete(token);
+    return null;
+  }
+  session.lastSeen = now;
+  return session.username;
+}
+
+function destroySession(cookieHeader) {
+  const token = parseCookies(cookieHeader)[COOKIE_NAME];
+  return Boolean(token) && sessions.delete(token);
+}
+
+// Every session of a user, e.g. once the user is deleted
+function destroyUserSessions(username) {
+  for (const [token, session] of sessions) {
+    if (session.username === username) sessions.delete(token);
+  }
+}
+
+// Minutes a username is still locked out for, 0 when it may try again
+function lockedMinutes(username, now = Date.now()) {
+  const entry = failures.get(String(username || '').toLowerCase());
+  if (!entry || entry.lockedUntil <= now) return 0;
+  return Math.ceil((entry.lockedUntil - now) / MINUTE_MS);
+}
+
+function recordLoginFailure(username, now = Date.now()) {
+  const key = String(username || '').toLowerCase();
+  const entry = failures.get(key) || { count: 0, lockedUntil: 0 };
+  entry.count += 1;
+  if (entry.count >= MAX_FAILURES) {
+    entry.count = 0;
+    entry.lockedUntil = now + LOCKOUT_MINUTES * MINUTE_MS;
+  }
+  failures.set(key, entry);
+}
+
+function clearLoginFailures(username) {
+  failures.delete(String(username || '').toLowerCase());
+}
+
+module.exports = {
+  COOKIE_NAME,
+  IDLE_MINUTES,
+  sessionCookie,
+  clearedCookie,
+  createSession,
+  sessionUser,
+  destroySession,
+  destroyUserSessions,
+  lockedMinutes,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,134 @@
+/*
+  Brand profiles: who the virtual card is charged as. Each OTA (Booking.com,
+  Agoda, Expedia, ...) needs its own cardholder name and billing address on the
+  New Transaction form, a default review mode and its own timeouts.
+
+  Profiles are loaded from ./brands (shipped) and <data>/brands (local, written
+  by the UI); a local profile with the same name wins. Shape:
+
+    {
+      "label": "Agoda",
+      "cardholderName": "Agoda Ltd.",
+      "billing": { "firstName": "...", "postalCode": "80525", "street": "...", "region": "...", "countryName": "United States of America" },
+      "reviewByDefault": true,
+      "timeouts": { "statusWaitMs": 120000 },
+      "splitCharges": { "enabled": false, "minAmount": 10, "maxAttempts": 6 },
+      "chargeWindow": { "startOffsetDays": 0, "endOffsetDays": 1 }
+    }
+
+  Empty billing fields are left untouched on the form. splitCharges is described in
+  lib/split-charge.js, chargeWindow in lib/charge-window.js.
+*/
+
+const path = require('path');
+const fs = require('fs');
+const { dataPath, writeJson } = require('./paths');
+const { normalizeSplit } = require('./split-charge');
+const { normalizeWindow } = require('./charge-window');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'brands');
+const LOCAL_DIR = dataPath('brands');
+const DEFAULT_BRAND = 'booking';
+const NAME_RE = /^[a-z0-9][a-z0-9_-]*$/;
+const BILLING_FIELDS = ['firstName', 'postalCode', 'street', 'region', 'countryName'];
+const TIMEOUT_FIELDS = ['loginPageLoadMs', 'postLoginWaitMs', 'otpWaitMs', 'statusWaitMs'];
+
+function brandFiles() {
+  const byName = new Map();
+  for (const dir of [BUILTIN_DIR, LOCAL_DIR]) {
+    let entries = [];
+    try { entries = fs.readdirSync(dir); } catch (_) { continue; }
+    for (const f of entries) {
+      if (path.extname(f).toLowerCase() === '.json') byName.set(path.basename(f, '.json'), path.join(dir, f));
+    }
+  }
+  return byName;
+}
+
+// Validates a raw profile and fills missing optional parts; throws on anything unusable
+function normalizeBrand(name, raw) {
+  if (!NAME_RE.test(String(name))) throw new Error(`Invalid brand name: ${name} (lowercase letters, digits, - and _)`);
+  if (!raw || typeof raw !== 'object') throw new Error(`Brand "${name}" is not an object`);
+  const cardholderName = String(raw.cardholderName || '').trim();
+  if (!cardholderName) throw new Error(`Brand "${name}" has no cardholderName`);
+  const billing = {};
+  for (const key of BILLING_FIELDS) billing[key] = String((raw.billing && raw.billing[key]) || '').trim();
+  if (!billing.postalCode) throw new Error(`Brand "${name}" has no billing postalCode`);
+  const timeouts = {};
+  for (const key of TIMEOUT_FIELDS) {
+    const value = raw.timeouts && raw.timeouts[key];
+    if (value === undefined || value === null || value === '') continue;
+    const ms = Number(value);
+    if (!Number.isFinite(ms) || ms <= 0) throw new Error(`Brand "${name}" timeout ${key} must be a positive number of milliseconds`);
+    timeouts[key] = ms;
+  }
+  let splitCharges;
+  let chargeWindow;
+  try {
+    splitCharges = normalizeSplit(raw.splitCharges);
+    chargeWindow = normalizeWindow(raw.chargeWindow);
+  } catch (e) {
+    throw new Error(`Brand "${name}": ${e.message}`);
+  }
+  return {
+    name,
+    label: String(raw.label || '').trim() || name,
+    cardholderName,
+    billing,
+    reviewByDefault: Boolean(raw.reviewByDefault),
+    timeouts,
+    splitCharges,
+    chargeWindow
+  };
+}
+
+function listBrands() {
+  const out = [];
+  for (const [name, file] of brandFiles()) {
+    const local = path.dirname(file) === LOCAL_DIR;
+    try {
+      out.push({ ...normalizeBrand(name, JSON.parse(fs.readFileSync(file, 'utf8'))), local });
+    } catch (e) {
+      out.push({ name, label: name, local, error: e.message });
+    }
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function loadBrand(name = DEFAULT_BRAND) {
+  if (!NAME_RE.test(String(name))) throw new Error(`Invalid brand name: ${name}`);
+  const file = brandFiles().get(name);
+  if (!file) throw new Error(`Brand profile not found: ${name}`);
+  return normalizeBrand(name, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Add or edit a profile; always written to the local directory so shipped files stay pristine
+function saveBrand(input) {
+  const { name, local, error, ...raw } = input || {};
+  const brand = normalizeBrand(String(name || '').trim().toLowerCase(), raw);
+  const { name: brandName, ...stored } = brand;
+  writeJson(path.join(LOCAL_DIR, `${brandName}.json`), stored);
+  return brand;
+}
+
+// Form values every row of this brand starts from (sheet mapping overrides them)
+function brandFormValues(brand) {
+  return {
+    cardholderName: brand.cardholderName,
+    billingFirstName: brand.billing.firstName,
+    billingPostalCode: brand.billing.postalCode,
+    billingStreet: brand.billing.street,
+    billingRegion: brand.billing.region,
+    billingCountryName: brand.billing.countryName
+  };
+}
+
+module.exports = {
+  DEFAULT_BRAND,
+  BILLING_FIELDS,
+  TIMEOUT_FIELDS,
+  listBrands,
+  loadBrand,
+  saveBrand,
+  brandFormValues
+};
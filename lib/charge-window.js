@@ -0,0 +1,92 @@
+/*
+  Charge window: when a row may be charged. A row is due from its check-out date
+  until the day before its Charge Before date, and never once its card has
+  expired. Either date may be missing (or "N/A"); the window is then open on
+  that side. Dates come from the mapping profile fields chargeFrom (check-out)
+  and chargeBefore, as YYYY-MM-DD or anything lib/mapping.js can parse.
+
+  Per brand ("chargeWindow" in brands/<name>.json), both optional:
+
+    { "startOffsetDays": 0, "endOffsetDays": 1 }
+
+  startOffsetDays moves the opening after check-out; endOffsetDays closes the
+  window that many days earlier than Charge Before, as a safety margin.
+*/
+
+const { parseDate } = require('./mapping');
+
+const WINDOW_FIELDS = ['chargeFrom', 'chargeBefore'];
+const DEFAULT_WINDOW = { startOffsetDays: 0, endOffsetDays: 0 };
+const DUE_STATES = ['due', 'not-yet-due', 'overdue', 'expired'];
+
+// Written to STATUS for rows that will never be charged; not-yet-due rows stay blank for a later run
+const SKIP_STATUS = {
+  overdue: 'SKIPPED - PAST CHARGE BEFORE',
+  expired: 'SKIPPED - CARD EXPIRED'
+};
+
+function normalizeWindow(raw) {
+  const window = { ...DEFAULT_WINDOW };
+  for (const key of Object.keys(DEFAULT_WINDOW)) {
+    const value = raw && raw[key];
+    if (value === undefined || value === null || value === '') continue;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) throw new Error(`Charge window ${key} must be a whole number of days >= 0`);
+    window[key] = days;
+  }
+  return window;
+}
+
+// Local midnight of a sheet date, or null when there is none
+function toDay(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  const parts = parseDate(s, /^\d{4}-\d{1,2}-\d{1,2}$/.test(s) ? 'YYYY-MM-DD' : undefined);
+  if (!parts || !parts.day) return null;
+  return new Date(parts.year, parts.month - 1, parts.day);
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function isoDay(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Cards are valid through the last day of their expiry month (MM/YYYY)
+function cardExpired(expirationDate, today = new Date()) {
+  const m = String(expirationDate || '').match(/^(0[1-9]|1[0-2])\/(\d{4})$/);
+  if (!m) return false;
+  return new Date(Number(m[2]), Number(m[1]), 0, 23, 59, 59, 999) < today;
+}
+
+/**
+ * @param {object} values mapped row (expirationDate, chargeFrom, chargeBefore)
+ * @param {{ today?: Date, window?: { startOffsetDays: number, endOffsetDays: number } }} [options]
+ * @returns {{ state: 'due'|'not-yet-due'|'overdue'|'expired', reason: string, opensOn: string, lastDay: string }}
+ *   opensOn / lastDay are YYYY-MM-DD, or '' when that side of the window is open
+ */
+function dueState(values, { today = new Date(), window = DEFAULT_WINDOW } = {}) {
+  const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const from = toDay(values.chargeFrom);
+  const before = toDay(values.chargeBefore);
+  const opens = from ? addDays(from, window.startOffsetDays) : null;
+  const last = before ? addDays(before, -1 - window.endOffsetDays) : null;
+  const out = { opensOn: opens ? isoDay(opens) : '', lastDay: last ? isoDay(last) : '' };
+  if (cardExpired(values.expirationDate, today)) return { ...out, state: 'expired', reason: `Card expired ${values.expirationDate}` };
+  if (last && day > last) return { ...out, state: 'overdue', reason: `Charge Before ${isoDay(before)} has passed (last charge day ${out.lastDay})` };
+  if (opens && day < opens) return { ...out, state: 'not-yet-due', reason: `Charge window opens ${out.opensOn}` };
+  return { ...out, state: 'due', reason: '' };
+}
+
+module.exports = {
+  WINDOW_FIELDS,
+  DEFAULT_WINDOW,
+  DUE_STATES,
+  SKIP_STATUS,
+  normalizeWindow,
+  cardExpired,
+  dueState
+};
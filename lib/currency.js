@@ -0,0 +1,117 @@
+/*
+  Currencies of rows and merchant accounts. A Braintree merchant account
+  settles in exactly one currency, so a row is only charged into an account of
+  its own currency (the sheet's Currency column, mapped as "currency"), and its
+  amount is sent with exactly as many decimals as that currency has minor units
+  (JPY 1500, USD 1500.00, KWD 1500.000).
+
+  Rows without a currency take the merchant account's; an account's currency
+  comes from lib/merchants.js (learned from the New Transaction page or the
+  registry) and, in the browser, from the currency the page shows once the
+  account is chosen.
+*/
+
+const DEFAULT_MINOR_UNITS = 2;
+
+// ISO 4217 exponents that differ from 2
+const MINOR_UNITS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3
+};
+
+function normalizeCurrency(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+function isCurrencyCode(value) {
+  return /^[A-Z]{3}$/.test(normalizeCurrency(value));
+}
+
+function minorUnits(currency) {
+  const code = normalizeCurrency(currency);
+  return Object.prototype.hasOwnProperty.call(MINOR_UNITS, code) ? MINOR_UNITS[code] : DEFAULT_MINOR_UNITS;
+}
+
+// Amount as a whole number of the currency's minor units (1500.5 USD -> 150050, 1500 JPY -> 1500, 1.5 KWD -> 1500); NaN when not a number
+function toMinorUnits(amount, currency) {
+  const n = Number(String(amount ?? '').replace(/[^0-9.-]+/g, ''));
+  return String(amount ?? '').trim() && Number.isFinite(n) ? Math.round(n * (10 ** minorUnits(currency))) : NaN;
+}
+
+// Minor units back to an amount with exactly the currency's decimals (150050 USD -> "1500.50", 1500 JPY -> "1500")
+function fromMinorUnits(units, currency) {
+  const digits = minorUnits(currency);
+  return (units / (10 ** digits)).toFixed(digits);
+}
+
+// Why `amount` cannot be charged in `currency`, or '' when it can
+function amountError(amount, currency) {
+  const s = String(amount ?? '').trim();
+  if (!s) return 'Amount missing';
+  const m = s.match(/^\d+(?:\.(\d+))?$/);
+  if (!m) return `Amount "${s}" is not a number`;
+  if (Number(s) <= 0) return 'Amount must be greater than 0';
+  const units = minorUnits(currency);
+  // Trailing zeros beyond the minor units are only formatting ("1500.00" JPY is 1500)
+  const decimals = (m[1] || '').replace(/0+$/, '').length;
+  if (decimals > units) {
+    return `Amount "${s}" has more decimals than ${normalizeCurrency(currency) || 'the currency'} allows (${units})`;
+  }
+  return '';
+}
+
+// Amount as typed into the form: exactly the currency's minor units; throws when it cannot be charged
+function formatAmount(amount, currency) {
+  const error = amountError(amount, currency);
+  if (error) throw new Error(error);
+  const [whole, fraction = ''] = String(amount).trim().split('.');
+  const units = minorUnits(currency);
+  const digits = whole.replace(/^0+(?=\d)/, '');
+  return units ? `${digits}.${fraction.padEnd(units, '0').slice(0, units)}` : digits;
+}
+
+/**
+ * @param {string} rowCurrency from the sheet, '' when it has none
+ * @param {string} accountCurrency of the merchant account, '' when unknown
+ * @returns {string} reason the row must not be charged into the account, or ''
+ */
+function currencyMismatch(rowCurrency, accountCurrency, merchantAccount = '') {
+  const row = normalizeCurrency(rowCurrency);
+  const account = normalizeCurrency(accountCurrency);
+  if (!row || !account || row === account) return '';
+  return `Currency ${row} does not match merchant account ${merchantAccount ? `${merchantAccount} ` : ''}(${account})`;
+}
+
+module.exports = {
+  DEFAULT_MINOR_UNITS,
+  MINOR_UNITS,
+  normalizeCurrency,
+  isCurrencyCode,
+  minorUnits,
+  toMinorUnits,
+  fromMinorUnits,
+  amountError,
+  formatAmount,
+  currencyMismatch
+};
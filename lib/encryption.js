@@ -0,0 +1,107 @@
+/*
+  Encryption at rest for uploaded sheets. Uploads are written to uploads/ as
+  <name>.<xlsx|csv>.enc and only ever decrypted in memory (lib/sheet.js reads
+  and writes them transparently), so no plaintext copy of a card number or CVV
+  touches the disk.
+
+  AES-256-GCM with a key kept on this machine: UPLOAD_KEY (64 hex characters)
+  or <data>/keys/upload.key, generated on first use and readable only by the
+  current user. Without the key the encrypted uploads cannot be read again, so
+  back it up with the data directory, never next to the uploads.
+
+  File layout: "BTENC1" | 12-byte IV | 16-byte auth tag | ciphertext.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, ensureDir } = require('./paths');
+
+const KEY_FILE = dataPath('keys', 'upload.key');
+const ENCRYPTED_EXT = '.enc';
+const MAGIC = Buffer.from('BTENC1');
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let cachedKey = null;
+
+function loadKey() {
+  if (cachedKey) return cachedKey;
+  const fromEnv = String(process.env.UPLOAD_KEY || '').trim();
+  if (fromEnv) {
+    if (!/^[0-9a-fA-F]{64}$/.test(fromEnv)) throw new Error('UPLOAD_KEY must be 64 hex characters (32 bytes)');
+    cachedKey = Buffer.from(fromEnv, 'hex');
+    return cachedKey;
+  }
+  try {
+    cachedKey = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+  } catch (_) {
+    ensureDir(path.dirname(KEY_FILE));
+    const key = crypto.randomBytes(32);
+    // 'wx' fails if another process created the key first; use theirs
+    try {
+      fs.writeFileSync(KEY_FILE, key.toString('hex'), { mode: 0o600, flag: 'wx' });
+      cachedKey = key;
+    } catch (_e) {
+      cachedKey = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+    }
+  }
+  if (cachedKey.length !== 32) throw new Error(`Encryption key in ${KEY_FILE} is not 32 bytes`);
+  return cachedKey;
+}
+
+function isEncryptedBuffer(buffer) {
+  return buffer.length >= MAGIC.length + IV_BYTES + TAG_BYTES && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function encryptBuffer(plain) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', loadKey(), iv);
+  const body = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), body]);
+}
+
+function decryptBuffer(buffer) {
+  const iv = buffer.subarray(MAGIC.length, MAGIC.length + IV_BYTES);
+  const tag = buffer.subarray(MAGIC.length + IV_BYTES, MAGIC.length + IV_BYTES + TAG_BYTES);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', loadKey(), iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(buffer.subarray(MAGIC.length + IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch (_) {
+    throw new Error('Encrypted file cannot be decrypted with this machine\'s key (wrong key or damaged file)');
+  }
+}
+
+function isEncryptedPath(filePath) {
+  return path.extname(String(filePath || '')).toLowerCase() === ENCRYPTED_EXT;
+}
+
+// File name without the .enc suffix: what the user uploaded and downloads
+function plainName(filePath) {
+  const base = path.basename(String(filePath || ''));
+  return isEncryptedPath(base) ? base.slice(0, -ENCRYPTED_EXT.length) : base;
+}
+
+// Contents of a file, decrypted when it is encrypted (older uploads are plaintext)
+function readFileDecrypted(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  return isEncryptedBuffer(buffer) ? decryptBuffer(buffer) : buffer;
+}
+
+function writeFileEncrypted(filePath, plain) {
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, encryptBuffer(plain), { mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+}
+
+module.exports = {
+  KEY_FILE,
+  ENCRYPTED_EXT,
+  isEncryptedPath,
+  plainName,
+  encryptBuffer,
+  decryptBuffer,
+  readFileDecrypted,
+  writeFileEncrypted
+};
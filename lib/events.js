@@ -0,0 +1,50 @@
+/*
+  Typed events from the automation process (server.js) to the UI runner.
+  Sent over the Node IPC channel the runner opens when it spawns server.js;
+  when the script is run directly from a terminal there is no channel and
+  events are dropped (the console log still says everything).
+
+  Message shape: { kind: 'event', type, at, ...payload }
+
+  Payload strings are redacted like log lines (lib/logger.js) before they are
+  sent: the runner streams them to the UI and keeps row outcomes on disk.
+*/
+
+const { redactValues } = require('./logger');
+
+const EVENT_TYPES = [
+  'login-required',
+  'otp-required',
+  'row-started',
+  'row-filled',
+  'awaiting-review',
+  'row-submitted',
+  'row-status',
+  'row-skipped',
+  'row-failed',
+  'selector-drift',
+  'run-finished'
+];
+
+/**
+ * @param {string} type one of EVENT_TYPES
+ * @param {object} [payload]
+ * @returns {Promise<void>} resolves once the message is handed to the channel
+ */
+function emitEvent(type, payload = {}) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+  if (typeof process.send !== 'function' || !process.connected) return Promise.resolve();
+  return new Promise((resolve) => {
+    try {
+      process.send({ kind: 'event', type, at: new Date().toISOString(), ...redactValues(payload) }, () => resolve());
+    } catch (_) {
+      resolve();
+    }
+  });
+}
+
+function isEvent(message) {
+  return Boolean(message && message.kind === 'event' && EVENT_TYPES.includes(message.type));
+}
+
+module.exports = { EVENT_TYPES, emitEvent, isEvent };
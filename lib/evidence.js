@@ -0,0 +1,152 @@
+/*
+  Evidence of what Braintree showed for a row: a screenshot and a DOM snapshot,
+  taken after the form is filled, after it is submitted and when an attempt
+  fails (server.js --evidence). Stored per run and row:
+
+    <data>/evidence/<runId>/row-<n>/<stage>-<HHMMSS-mmm>.png | .html
+
+  Runs started from a terminal use cli-<YYYYMMDD-HHMMSS> instead of a run id.
+  Card data never reaches the files: card number, CVV and expiry inputs are
+  blanked with text-security dots for the screenshot, their values are masked
+  in the snapshot, and the snapshot is redacted like the logs (lib/logger.js).
+  Old evidence is deleted under the retention policy (lib/retention.js, evidenceDays).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath, ensureDir } = require('./paths');
+const { redact } = require('./logger');
+
+const EVIDENCE_DIR = dataPath('evidence');
+const STAGES = ['filled', 'submitted', 'error'];
+const RUN_KEY_RE = /^(?:[0-9]{8}-[0-9]{6}-[a-f0-9]{4}|cli-[0-9]{8}-[0-9]{6})$/;
+const FILE_RE = /^row-(\d+)\/(filled|submitted|error)-(\d{6}-\d{3})\.(png|html)$/;
+
+// Card inputs as tagged by lib/selectors.js, plus the usual names in case they were never resolved
+const SENSITIVE_INPUTS = [
+  '[data-bt-auto="form.cardNumber"]',
+  '[data-bt-auto="form.cvv"]',
+  '[data-bt-auto="form.expirationDate"]',
+  'input[autocomplete^="cc-"]:not([autocomplete="cc-name"])',
+  'input[name*="credit_card"]:not([name*="cardholder"])'
+].join(',');
+const MASK_STYLE_ID = 'bt-auto-evidence-mask';
+
+function cliRunKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `cli-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function runEvidenceDir(runKey) {
+  if (!RUN_KEY_RE.test(String(runKey))) throw new Error(`Invalid evidence run: ${runKey}`);
+  return path.join(EVIDENCE_DIR, runKey);
+}
+
+function stamp(date) {
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}-${pad(date.getMilliseconds(), 3)}`;
+}
+
+// In the page: hides the card inputs' text for the screenshot (values are left alone)
+function maskInPage(selector, styleId) {
+  const style = document.createElement('style');
+  style.id = styleId;
+  style.textContent = `${selector} { -webkit-text-security: disc !important; }`;
+  document.head.appendChild(style);
+}
+
+function unmaskInPage(styleId) {
+  const style = document.getElementById(styleId);
+  if (style) style.remove();
+}
+
+// In the page: the document as HTML with current input values, card inputs masked and scripts removed
+function snapshotInPage(selector, styleId) {
+  const maskValue = (value) => {
+    const digits = value.replace(/\D+/g, '');
+    return digits.length >= 12 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : value.replace(/[0-9A-Za-z]/g, '*');
+  };
+  const live = Array.from(document.querySelectorAll('input, textarea, select'));
+  const clone = document.documentElement.cloneNode(true);
+  const copies = Array.from(clone.querySelectorAll('input, textarea, select'));
+  live.forEach((el, i) => {
+    const copy = copies[i];
+    if (!copy) return;
+    const value = el.matches(selector) ? maskValue(String(el.value || '')) : String(el.value || '');
+    if (el.tagName === 'TEXTAREA') copy.textContent = value;
+    else if (el.tagName === 'SELECT') {
+      for (const option of copy.querySelectorAll('option')) {
+        if (option.value === el.value) option.setAttribute('selected', '');
+        else option.removeAttribute('selected');
+      }
+    } else if (el.type === 'checkbox' || el.type === 'radio') {
+      if (el.checked) copy.setAttribute('checked', ''); else copy.removeAttribute('checked');
+    } else copy.setAttribute('value', value);
+  });
+  for (const el of clone.querySelectorAll(`script, noscript, #${styleId}`)) el.remove();
+  return `<!doctype html>\n<!-- ${location.href} at ${new Date().toISOString()} -->\n${clone.outerHTML}`;
+}
+
+/**
+ * Saves a masked screenshot and DOM snapshot of the page.
+ * @param {import('puppeteer').Page} page
+ * @param {{ runKey: string, row: number, stage: 'filled'|'submitted'|'error', at?: Date }} options
+ * @returns {Promise<{ screenshot: string, snapshot: string }>} paths relative to the run's evidence directory
+ */
+async function captureEvidence(page, {
+  runKey, row, stage, at = new Date()
+}) {
+  if (!STAGES.includes(stage)) throw new Error(`Unknown evidence stage: ${stage}`);
+  const base = `row-${row}/${stage}-${stamp(at)}`;
+  const dir = ensureDir(path.join(runEvidenceDir(runKey), `row-${row}`));
+  const html = await page.evaluate(snapshotInPage, SENSITIVE_INPUTS, MASK_STYLE_ID);
+  fs.writeFileSync(path.join(dir, `${path.basename(base)}.html`), redact(html));
+  await page.evaluate(maskInPage, SENSITIVE_INPUTS, MASK_STYLE_ID);
+  try {
+    await page.screenshot({ path: path.join(dir, `${path.basename(base)}.png`), fullPage: true });
+  } finally {
+    await page.evaluate(unmaskInPage, MASK_STYLE_ID).catch(() => {});
+  }
+  return { screenshot: `${base}.png`, snapshot: `${base}.html` };
+}
+
+/**
+ * Captures of a run, in capture order per row.
+ * @returns {{ row: number, stage: string, time: string, screenshot?: string, snapshot?: string }[]}
+ */
+function listEvidence(runKey) {
+  let dir;
+  try { dir = runEvidenceDir(runKey); } catch (_) { return []; }
+  const byCapture = new Map();
+  let rows = [];
+  try { rows = fs.readdirSync(dir).filter((d) => /^row-\d+$/.test(d)); } catch (_) { return []; }
+  for (const rowDir of rows) {
+    let files = [];
+    try { files = fs.readdirSync(path.join(dir, rowDir)); } catch (_) { continue; }
+    for (const file of files) {
+      const m = `${rowDir}/${file}`.match(FILE_RE);
+      if (!m) continue;
+      const key = `${m[1]}/${m[2]}-${m[3]}`;
+      const capture = byCapture.get(key) || { row: Number(m[1]), stage: m[2], time: m[3] };
+      capture[m[4] === 'png' ? 'screenshot' : 'snapshot'] = `${rowDir}/${file}`;
+      byCapture.set(key, capture);
+    }
+  }
+  return Array.from(byCapture.values()).sort((a, b) => a.row - b.row || a.time.localeCompare(b.time));
+}
+
+// Absolute path of one evidence file of a run, or null when the name is not one
+function evidenceFile(runKey, name) {
+  if (!FILE_RE.test(String(name))) return null;
+  const file = path.join(runEvidenceDir(runKey), name);
+  return fs.existsSync(file) ? file : null;
+}
+
+module.exports = {
+  EVIDENCE_DIR,
+  STAGES,
+  cliRunKey,
+  captureEvidence,
+  listEvidence,
+  evidenceFile
+};
@@ -0,0 +1,79 @@
+/*
+  Append-only ledger of every transaction submitted to Braintree, kept across
+  runs and input files so a reservation is not charged twice.
+
+  Stored as JSON lines. A submit appends a record before the form is posted
+  (status "SUBMITTED"); the outcome is appended later under the same id, and
+  readers fold records by id. An interrupted run therefore leaves a SUBMITTED
+  record behind, which blocks a re-charge until someone checks Braintree.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, ensureDir } = require('./paths');
+
+const LEDGER_FILE = process.env.LEDGER_FILE || dataPath('ledger.jsonl');
+
+// Outcomes that mean no money moved; anything else (including unknown) blocks a re-charge
+const NOT_CHARGED_RE = /declined|rejected|failed|voided/i;
+
+function readLedger() {
+  let text = '';
+  try { text = fs.readFileSync(LEDGER_FILE, 'utf8'); } catch (_) { return []; }
+  const byId = new Map();
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch (_) { continue; }
+    if (!rec.id) continue;
+    byId.set(rec.id, { ...(byId.get(rec.id) || {}), ...rec });
+  }
+  return Array.from(byId.values());
+}
+
+function append(record) {
+  ensureDir(path.dirname(LEDGER_FILE));
+  fs.appendFileSync(LEDGER_FILE, `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Records a submit before the form is posted.
+ * @returns {string} ledger entry id, passed to recordOutcome once the result is known
+ */
+function recordSubmission({ reservationId, amount, currency, merchantAccount, inputFile, row }) {
+  const id = crypto.randomUUID();
+  append({
+    id,
+    reservationId: String(reservationId),
+    amount: String(amount ?? ''),
+    currency: currency || '',
+    merchantAccount: merchantAccount || '',
+    inputFile: inputFile ? path.basename(inputFile) : '',
+    row,
+    status: 'SUBMITTED',
+    transactionId: '',
+    timestamp: new Date().toISOString()
+  });
+  return id;
+}
+
+function recordOutcome(id, { status, transactionId, ...extra }) {
+  append({ id, ...extra, status: status || 'UNKNOWN', transactionId: transactionId || '', updatedAt: new Date().toISOString() });
+}
+
+function isCharged(entry) {
+  return !NOT_CHARGED_RE.test(String(entry.status || ''));
+}
+
+// Most recent ledger entry for this reservation that may have moved money, or null
+function findCharge(reservationId, entries = readLedger()) {
+  const key = String(reservationId || '').trim();
+  if (!key) return null;
+  const matches = entries.filter((e) => e.reservationId === key && isCharged(e));
+  return matches.length ? matches[matches.length - 1] : null;
+}
+
+module.exports = {
+  LEDGER_FILE, readLedger, recordSubmission, recordOutcome, findCharge, isCharged
+};
@@ -0,0 +1,154 @@
+/*
+  Logging for the automation (server.js) and the UI runner. Every message is
+  redacted before it goes anywhere, and so are automation events (lib/events.js):
+  card-number-shaped digit runs keep their last 4 digits, CVVs and expiry dates
+  are starred out (see redact()). Entries are JSON objects, one per line:
+
+    { "at": "<ISO time>", "level": "info", "source": "automation", "msg": "..." }
+
+  Where they go:
+    - runs/<runId>/log.jsonl while a run is active, written by the runner only;
+      the automation hands its entries over IPC ({ kind: 'log', ...entry })
+    - logs/ui.jsonl for the runner between runs
+    - logs/automation.jsonl (and the console) when server.js runs from a terminal
+
+  Files rotate at LOG_MAX_BYTES (default 5 MB) to <file>.1, .2, ... keeping
+  LOG_MAX_FILES of them. LOG_LEVEL (debug, info, warn, error; default info) is
+  the lowest level written.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { ensureDir } = require('./paths');
+const { maskCardNumber } = require('./mask');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const DEFAULT_LEVEL = LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+const MAX_BYTES = Number(process.env.LOG_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_FILES = Number(process.env.LOG_MAX_FILES) || 5;
+
+// 13-19 digits, optionally grouped by single spaces or dashes, not part of a longer token (file names, run ids)
+const CARD_RE = /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g;
+const CVV_RE = /\b(cvv2?|cvc2?|csc|cid|security[ _-]?code)(\W{0,4})\d{3,4}\b/gi;
+const EXPIRY_KEY_RE = /\b(exp(?:iry|iration)?(?:[ _-]?date)?)(\W{0,4})\d{1,4}(?:[/-]\d{2,4})?\b/gi;
+// Run ids (lib/runs.js) whose random suffix happens to be all digits look like a card number to CARD_RE
+const RUN_ID_RE = /^\d{8}-\d{6}-\d{4}$/;
+// MM/YY or MM/YYYY standing on its own (not part of a longer date or path)
+const EXPIRY_RE = /(?<![\w/.-])(?:0[1-9]|1[0-2]) ?\/ ?(?:\d{4}|\d{2})(?![\w/.-])/g;
+
+function redact(text) {
+  return String(text ?? '')
+    .replace(CARD_RE, (m) => (RUN_ID_RE.test(m) ? m : maskCardNumber(m)))
+    .replace(CVV_RE, '$1$2***')
+    .replace(EXPIRY_KEY_RE, '$1$2**/**')
+    .replace(EXPIRY_RE, '**/**');
+}
+
+// Every string inside plain data (event payloads), redacted like a log message
+function redactValues(value) {
+  if (typeof value === 'string') return redact(value);
+  if (Array.isArray(value)) return value.map(redactValues);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, redactValues(v)]));
+  }
+  return value;
+}
+
+function levelAtLeast(level, min) {
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(min);
+}
+
+// Shifts <file> to <file>.1, <file>.1 to <file>.2, ... and drops the oldest
+function rotate(file, maxFiles = MAX_FILES) {
+  try { fs.unlinkSync(`${file}.${maxFiles}`); } catch (_) {}
+  for (let n = maxFiles - 1; n >= 1; n -= 1) {
+    try { fs.renameSync(`${file}.${n}`, `${file}.${n + 1}`); } catch (_) {}
+  }
+  try { fs.renameSync(file, `${file}.1`); } catch (_) {}
+}
+
+function appendLine(file, line) {
+  try {
+    ensureDir(path.dirname(file));
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch (_) {}
+    if (size && size + line.length > MAX_BYTES) rotate(file);
+    fs.appendFileSync(file, line);
+  } catch (_) {}
+}
+
+/**
+ * Entries of a log file and its rotated predecessors, oldest first.
+ * @param {string} file
+ * @returns {{ at: string, level: string, source: string, msg: string }[]}
+ */
+function readLogEntries(file) {
+  const entries = [];
+  for (let n = MAX_FILES; n >= 0; n -= 1) {
+    let text = '';
+    try { text = fs.readFileSync(n ? `${file}.${n}` : file, 'utf8'); } catch (_) { continue; }
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try { entries.push(JSON.parse(line)); } catch (_) {}
+    }
+  }
+  return entries;
+}
+
+function formatEntry(entry) {
+  return `[${entry.at}] ${entry.level.toUpperCase()} ${entry.msg}`;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.source 'automation' | 'ui'
+ * @param {string | (() => string | null)} [options.file] JSON log file, or a function picking it per entry
+ * @param {(entry: object) => void} [options.sink] also receives every written entry (SSE, IPC)
+ * @param {boolean} [options.echo] print entries to the console as well
+ * @param {string} [options.level] lowest level written
+ */
+function createLogger({
+  source, file, sink, echo = false, level = DEFAULT_LEVEL
+}) {
+  // Entries from elsewhere (the automation's, over IPC) come through here too and are redacted again
+  function write(entry) {
+    const out = {
+      at: entry.at || new Date().toISOString(),
+      level: LEVELS.includes(entry.level) ? entry.level : 'info',
+      source: entry.source || source,
+      msg: redact(entry.msg)
+    };
+    if (!levelAtLeast(out.level, level)) return;
+    const target = typeof file === 'function' ? file() : file;
+    if (target) appendLine(target, `${JSON.stringify(out)}\n`);
+    if (echo) (levelAtLeast(out.level, 'warn') ? console.error : console.log)(formatEntry(out)); // eslint-disable-line no-console
+    if (sink) sink(out);
+  }
+  const logger = { write };
+  for (const name of LEVELS) {
+    logger[name] = (format, ...args) => write({ level: name, msg: util.format(format, ...args) });
+  }
+  return logger;
+}
+
+// Sink for the automation when the runner spawned it: entries travel over the IPC channel
+function sendToParent(entry) {
+  if (typeof process.send !== 'function' || !process.connected) return;
+  try { process.send({ kind: 'log', ...entry }); } catch (_) {}
+}
+
+function isLogMessage(message) {
+  return Boolean(message && message.kind === 'log' && typeof message.msg === 'string');
+}
+
+module.exports = {
+  LEVELS,
+  redact,
+  redactValues,
+  readLogEntries,
+  formatEntry,
+  createLogger,
+  sendToParent,
+  isLogMessage
+};
@@ -0,0 +1,193 @@
+/*
+  Column-mapping profiles: declarative JSON describing how sheet columns become
+  New Transaction form values, so a new spreadsheet layout needs a profile file
+  rather than a code change.
+
+  Profiles are loaded from ./mappings (shipped) and <data>/mappings (local);
+  a local profile with the same name wins. Shape:
+
+    {
+      "description": "...",
+      "fields": {
+        "orderId": ["Reservation ID", "Order ID"],          // first non-empty column
+        "cardNumber": { "concat": [
+          { "from": ["Card first 4"], "transforms": [{ "type": "digits", "first": 4 }] },
+          { "from": ["Card Last 12"], "transforms": [{ "type": "digits", "first": 12 }] }
+        ] },
+        "expirationDate": { "from": ["Exp Date"], "transforms": [{ "type": "date", "to": "MM/YYYY" }] },
+        "cardholderName": { "constant": "BOOKING.COM" }
+      }
+    }
+
+  Transforms: digits ({ first, last }), number, date ({ from, to }), upper, lower.
+
+  hotelId and hotelName are not typed into the form: when merchantAccount is
+  empty they look the row up in the merchant registry (lib/merchants.js).
+*/
+
+const path = require('path');
+const fs = require('fs');
+const { dataPath } = require('./paths');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'mappings');
+const LOCAL_DIR = dataPath('mappings');
+const DEFAULT_PROFILE = 'default';
+const NAME_RE = /^[A-Za-z0-9._-]+$/;
+
+function profileFiles() {
+  const byName = new Map();
+  for (const dir of [BUILTIN_DIR, LOCAL_DIR]) {
+    let entries = [];
+    try { entries = fs.readdirSync(dir); } catch (_) { continue; }
+    for (const f of entries) {
+      if (path.extname(f).toLowerCase() === '.json') byName.set(path.basename(f, '.json'), path.join(dir, f));
+    }
+  }
+  return byName;
+}
+
+function listProfiles() {
+  const out = [];
+  for (const [name, file] of profileFiles()) {
+    try {
+      const p = JSON.parse(fs.readFileSync(file, 'utf8'));
+      out.push({ name, description: p.description || '', fields: Object.keys(p.fields || {}) });
+    } catch (e) {
+      out.push({ name, description: '', fields: [], error: `Invalid JSON: ${e.message}` });
+    }
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function loadProfile(name = DEFAULT_PROFILE) {
+  if (!NAME_RE.test(String(name))) throw new Error(`Invalid mapping profile name: ${name}`);
+  const file = profileFiles().get(name);
+  if (!file) throw new Error(`Mapping profile not found: ${name}`);
+  const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!profile.fields || typeof profile.fields !== 'object') {
+    throw new Error(`Mapping profile "${name}" has no "fields" object`);
+  }
+  return { name, ...profile };
+}
+
+const normalizeKey = (s) => String(s || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// First non-empty value among the given headers; exact header match first, then case/space-insensitive
+function valueByHeaders(row, headers) {
+  for (const h of headers) {
+    if (Object.prototype.hasOwnProperty.call(row, h)) {
+      const v = (row[h] ?? '').toString().trim();
+      if (v) return v;
+    }
+  }
+  const normalizedRow = Object.keys(row).reduce((acc, k) => { acc[normalizeKey(k)] = (row[k] ?? '').toString().trim(); return acc; }, {});
+  for (const h of headers) {
+    const v = normalizedRow[normalizeKey(h)];
+    if (v) return v;
+  }
+  return '';
+}
+
+const GUESS_DATE_FORMATS = ['MM/YYYY', 'MM/YY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'YYYY-MM'];
+
+function parseDate(value, format) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  if (/^\d{5}(\.\d+)?$/.test(s)) {
+    // Excel serial day number
+    const d = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(s)) * 86400000);
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+  }
+  const formats = format ? [format] : GUESS_DATE_FORMATS;
+  for (const fmt of formats) {
+    const order = [];
+    const pattern = fmt.replace(/YYYY|YY|MM|M|DD|D|[^A-Za-z]/g, (tok) => {
+      if (tok === 'YYYY') { order.push('year'); return '(\\d{4})'; }
+      if (tok === 'YY') { order.push('year2'); return '(\\d{2})'; }
+      if (tok === 'MM' || tok === 'M') { order.push('month'); return '(\\d{1,2})'; }
+      if (tok === 'DD' || tok === 'D') { order.push('day'); return '(\\d{1,2})'; }
+      return `\\s*${tok.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}\\s*`;
+    });
+    const m = s.match(new RegExp(`^${pattern}$`));
+    if (!m) continue;
+    const parts = { day: 1 };
+    order.forEach((key, i) => {
+      if (key === 'year2') parts.year = 2000 + Number(m[i + 1]);
+      else parts[key] = Number(m[i + 1]);
+    });
+    if (parts.month >= 1 && parts.month <= 12) return parts;
+  }
+  return null;
+}
+
+function formatDate(parts, format) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return format.replace(/YYYY|YY|MM|DD/g, (tok) => {
+    if (tok === 'YYYY') return String(parts.year);
+    if (tok === 'YY') return pad(parts.year % 100);
+    if (tok === 'MM') return pad(parts.month);
+    return pad(parts.day);
+  });
+}
+
+function applyTransform(value, transform) {
+  const t = typeof transform === 'string' ? { type: transform } : (transform || {});
+  switch (t.type) {
+    case 'digits': {
+      const digits = String(value).replace(/\D+/g, '');
+      if (t.first) return digits.slice(0, t.first);
+      if (t.last) return digits.slice(-t.last);
+      return digits;
+    }
+    case 'number':
+      return String(value).replace(/[^0-9.-]+/g, '');
+    case 'date': {
+      const parts = parseDate(value, t.from);
+      return parts ? formatDate(parts, t.to || 'MM/YYYY') : String(value).replace(/\s+/g, '');
+    }
+    case 'upper':
+      return String(value).toUpperCase();
+    case 'lower':
+      return String(value).toLowerCase();
+    case 'trim':
+      return String(value).trim();
+    default:
+      throw new Error(`Unknown mapping transform: ${t.type}`);
+  }
+}
+
+function resolveField(row, spec) {
+  const s = typeof spec === 'string' || Array.isArray(spec) ? { from: [].concat(spec) } : (spec || {});
+  let value;
+  if (Object.prototype.hasOwnProperty.call(s, 'constant')) {
+    value = String(s.constant ?? '');
+  } else if (Array.isArray(s.concat)) {
+    value = s.concat.map((part) => resolveField(row, part)).filter(Boolean).join(s.separator ?? '');
+  } else {
+    value = valueByHeaders(row, [].concat(s.from || []));
+  }
+  for (const transform of s.transforms || []) {
+    if (value === '') break;
+    value = applyTransform(value, transform);
+  }
+  return value;
+}
+
+// Only fields declared by the profile are returned, so brand defaults can fill the rest
+function applyProfile(profile, row) {
+  const out = {};
+  for (const [field, spec] of Object.entries(profile.fields || {})) {
+    out[field] = resolveField(row, spec);
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  listProfiles,
+  loadProfile,
+  applyProfile,
+  valueByHeaders,
+  parseDate,
+  formatDate
+};
@@ -0,0 +1,21 @@
+// Display helpers for card data shown in the UI or logs; never use on values sent to Braintree
+
+function maskCardNumber(value) {
+  const digits = String(value ?? '').replace(/\D+/g, '');
+  if (!digits) return '';
+  return `${'*'.repeat(Math.max(0, digits.length - 4))}${digits.slice(-4)}`;
+}
+
+function maskCvv(value) {
+  return String(value ?? '') ? '***' : '';
+}
+
+// Masks the sensitive keys of a form-values object
+function maskFormValues(values) {
+  const out = { ...values };
+  if ('cardNumber' in out) out.cardNumber = maskCardNumber(out.cardNumber);
+  if ('cvv' in out) out.cvv = maskCvv(out.cvv);
+  return out;
+}
+
+module.exports = { maskCardNumber, maskCvv, maskFormValues };
@@ -0,0 +1,134 @@
+/*
+  Hotel -> Braintree merchant account registry.
+  Rows whose sheet has no MAIDS value are resolved here by hotel ID (or hotel
+  name when the export has no ID) and currency, as the row's mapping profile
+  reads them (hotelId, hotelName and currency fields). An entry with an empty
+  currency applies to any currency the hotel has no specific entry for.
+
+  Account currencies: { "<merchantAccountId>": "USD" }, entered on the Merchant
+  accounts page or learned from the New Transaction page during a run. An
+  account missing there takes the currency of its registry entries when they
+  all agree.
+*/
+
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./paths');
+const { normalizeCurrency, isCurrencyCode } = require('./currency');
+
+const MERCHANT_ACCOUNTS_FILE = process.env.MERCHANT_ACCOUNTS_FILE || dataPath('merchant-accounts.json');
+const ACCOUNT_CURRENCIES_FILE = dataPath('merchant-account-currencies.json');
+
+const norm = (s) => String(s ?? '').trim();
+const normName = (s) => norm(s).toLowerCase().replace(/\s+/g, ' ');
+const normCurrency = normalizeCurrency;
+
+function loadMerchantAccounts() {
+  const stored = readJson(MERCHANT_ACCOUNTS_FILE, []);
+  if (Array.isArray(stored)) return stored;
+  // Early format: plain { "<hotelId>": "<merchantAccountId>" } map
+  if (stored && typeof stored === 'object') {
+    return Object.entries(stored).map(([hotelId, merchantAccountId]) => ({
+      id: `legacy-${hotelId}`, hotelId, hotelName: '', currency: '', merchantAccountId: norm(merchantAccountId)
+    }));
+  }
+  return [];
+}
+
+function saveMerchantAccounts(entries) {
+  writeJson(MERCHANT_ACCOUNTS_FILE, entries);
+}
+
+function sameHotel(entry, { hotelId, hotelName }) {
+  if (norm(hotelId) && norm(entry.hotelId)) return norm(entry.hotelId) === norm(hotelId);
+  return Boolean(normName(hotelName)) && normName(entry.hotelName) === normName(hotelName);
+}
+
+function resolveMerchantAccount(query, entries = loadMerchantAccounts()) {
+  const currency = normCurrency(query.currency);
+  const candidates = entries.filter((e) => norm(e.merchantAccountId) && sameHotel(e, query));
+  const exact = candidates.find((e) => currency && normCurrency(e.currency) === currency);
+  const fallback = candidates.find((e) => !normCurrency(e.currency));
+  const match = exact || fallback;
+  return match ? norm(match.merchantAccountId) : '';
+}
+
+// `values` are a row's mapped values (lib/mapping.js). Sheet value wins; otherwise the registry.
+// source is '' when neither has one
+function resolveRowMerchantAccount(values, entries) {
+  if (norm(values.merchantAccount)) return { merchantAccount: norm(values.merchantAccount), source: 'sheet' };
+  const merchantAccount = resolveMerchantAccount({
+    hotelId: values.hotelId,
+    hotelName: values.hotelName,
+    currency: values.currency
+  }, entries);
+  return { merchantAccount, source: merchantAccount ? 'registry' : '' };
+}
+
+function upsertMerchantAccount(input) {
+  const entry = {
+    hotelId: norm(input.hotelId),
+    hotelName: norm(input.hotelName),
+    currency: normCurrency(input.currency),
+    merchantAccountId: norm(input.merchantAccountId)
+  };
+  if (!entry.hotelId && !entry.hotelName) throw new Error('Hotel ID or Hotel Name is required');
+  if (!entry.merchantAccountId) throw new Error('Merchant account ID is required');
+  if (entry.currency && !/^[A-Z]{3}$/.test(entry.currency)) throw new Error(`Invalid currency code: ${input.currency}`);
+
+  const entries = loadMerchantAccounts();
+  const existing = entries.find((e) => (input.id && e.id === input.id)
+    || (normCurrency(e.currency) === entry.currency && sameHotel(e, entry)));
+  const saved = { id: existing ? existing.id : crypto.randomUUID(), ...entry, updatedAt: new Date().toISOString() };
+  if (existing) entries.splice(entries.indexOf(existing), 1, saved); else entries.push(saved);
+  saveMerchantAccounts(entries);
+  return saved;
+}
+
+function removeMerchantAccount(id) {
+  const entries = loadMerchantAccounts();
+  const next = entries.filter((e) => e.id !== id);
+  if (next.length === entries.length) return false;
+  saveMerchantAccounts(next);
+  return true;
+}
+
+function loadAccountCurrencies() {
+  const stored = readJson(ACCOUNT_CURRENCIES_FILE, {});
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+}
+
+// An empty currency forgets the account
+function setAccountCurrency(merchantAccountId, currency) {
+  const id = norm(merchantAccountId);
+  const code = normCurrency(currency);
+  if (!id) throw new Error('Merchant account ID is required');
+  if (code && !isCurrencyCode(code)) throw new Error(`Invalid currency code: ${currency}`);
+  const known = loadAccountCurrencies();
+  if (code) known[id] = code; else delete known[id];
+  writeJson(ACCOUNT_CURRENCIES_FILE, known);
+  return { merchantAccountId: id, currency: code };
+}
+
+// '' when the account's currency is not known
+function merchantAccountCurrency(merchantAccountId, entries = loadMerchantAccounts(), known = loadAccountCurrencies()) {
+  const id = norm(merchantAccountId);
+  if (!id) return '';
+  if (known[id]) return normCurrency(known[id]);
+  const currencies = new Set(entries
+    .filter((e) => norm(e.merchantAccountId) === id && normCurrency(e.currency))
+    .map((e) => normCurrency(e.currency)));
+  return currencies.size === 1 ? [...currencies][0] : '';
+}
+
+module.exports = {
+  MERCHANT_ACCOUNTS_FILE,
+  ACCOUNT_CURRENCIES_FILE,
+  loadMerchantAccounts,
+  loadAccountCurrencies,
+  setAccountCurrency,
+  merchantAccountCurrency,
+  resolveMerchantAccount,
+  resolveRowMerchantAccount,
+  upsertMerchantAccount,
+  removeMerchantAccount
+};
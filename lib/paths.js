@@ -0,0 +1,34 @@
+const path = require('path');
+const fs = require('fs');
+
+// Writable state (registries, ledgers, run history) lives outside the app bundle.
+// main.js points APP_DATA_DIR at Electron's userData; CLI/UI runs default to ./data
+const dataDir = process.env.APP_DATA_DIR
+  ? path.join(process.env.APP_DATA_DIR, 'data')
+  : path.join(__dirname, '..', 'data');
+
+function ensureDir(dir) {
+  try { fs.mkdirSync(dir, { recursive: true }); } catch (_) {}
+  return dir;
+}
+
+function dataPath(...parts) {
+  return path.join(dataDir, ...parts);
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function writeJson(filePath, value) {
+  ensureDir(path.dirname(filePath));
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+module.exports = { dataDir, ensureDir, dataPath, readJson, writeJson };
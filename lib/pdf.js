@@ -0,0 +1,92 @@
+/*
+  Minimal PDF writer for plain-text reports (lib/report.js): lines of text in
+  Courier on landscape A4 pages, paginated as needed. Courier is one of the
+  standard PDF fonts, so nothing is embedded and no PDF library is needed; being
+  monospaced, tables laid out with spaces stay aligned. Characters outside
+  Latin-1 are written as "?".
+*/
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const LEADING = 10;
+// Courier glyphs are 0.6 em wide
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LEADING);
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+}
+
+// Long lines wrap at the page width rather than running off the page
+function wrapLines(lines) {
+  const out = [];
+  for (const line of lines) {
+    let rest = String(line ?? '');
+    do {
+      out.push(rest.slice(0, CHARS_PER_LINE));
+      rest = rest.slice(CHARS_PER_LINE);
+    } while (rest);
+  }
+  return out;
+}
+
+function pageContent(lines, pageNo, pageCount, footer) {
+  const top = PAGE_HEIGHT - MARGIN - FONT_SIZE;
+  const ops = ['BT', `/F1 ${FONT_SIZE} Tf`, `${LEADING} TL`, `${MARGIN} ${top} Td`];
+  for (const line of lines) ops.push(`(${escapeText(line)}) '`);
+  ops.push('ET', 'BT', `/F1 ${FONT_SIZE} Tf`, `${MARGIN} ${MARGIN / 2} Td`);
+  ops.push(`(${escapeText(`${footer ? `${footer} - ` : ''}page ${pageNo} of ${pageCount}`)}) Tj`, 'ET');
+  return ops.join('\n');
+}
+
+/**
+ * @param {string[]} lines text lines; a line of just "\f" starts a new page
+ * @param {{ footer?: string }} [options] printed at the bottom of every page with the page number
+ * @returns {Buffer} the PDF document
+ */
+function textPdf(lines, { footer = '' } = {}) {
+  const pages = [[]];
+  for (const line of wrapLines(lines)) {
+    const page = pages[pages.length - 1];
+    if (line === '\f') {
+      if (page.length) pages.push([]);
+    } else if (page.length >= LINES_PER_PAGE) {
+      pages.push([line]);
+    } else {
+      page.push(line);
+    }
+  }
+
+  // 1 catalog, 2 page tree, 3 font, then a page and its content stream per page
+  const objects = [];
+  const kids = pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ');
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+  pages.forEach((lines, i) => {
+    const content = pageContent(lines, i + 1, pages.length, footer);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  CHARS_PER_LINE,
+  textPdf
+};
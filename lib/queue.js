@@ -0,0 +1,108 @@
+/*
+  Persistent job queue for the UI runner. Each job is one input file plus the
+  options /start takes (brand, mode, mapping, ...); pending jobs run one after
+  another in list order. State lives in <data>/queue.json so a restart of the
+  UI server picks up where it left off:
+
+    { "paused": false, "jobs": [{ "id", "status", "inputPath", "brand", ..., "runId" }] }
+
+  Job status: pending -> running -> done | failed | interrupted, or cancelled.
+*/
+
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./paths');
+
+const QUEUE_FILE = dataPath('queue.json');
+const JOB_OPTIONS = ['brand', 'mode', 'mapping', 'skipInvalid', 'allowRecharge', 'headless', 'evidence'];
+const FINISHED = ['done', 'failed', 'interrupted', 'cancelled'];
+// Finished jobs kept for display; older ones are dropped
+const MAX_FINISHED = 100;
+
+function loadQueue() {
+  const q = readJson(QUEUE_FILE, null) || {};
+  return { paused: Boolean(q.paused), jobs: Array.isArray(q.jobs) ? q.jobs : [] };
+}
+
+function saveQueue(q) {
+  const finished = q.jobs.filter((j) => FINISHED.includes(j.status));
+  const drop = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED)).map((j) => j.id));
+  writeJson(QUEUE_FILE, { paused: q.paused, jobs: q.jobs.filter((j) => !drop.has(j.id)) });
+}
+
+function enqueueJob(input) {
+  const q = loadQueue();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'pending',
+    inputPath: input.inputPath,
+    inputFile: input.inputFile,
+    source: input.source || 'upload',
+    queuedBy: input.queuedBy || '',
+    createdAt: new Date().toISOString()
+  };
+  for (const key of JOB_OPTIONS) if (input[key] !== undefined) job[key] = input[key];
+  q.jobs.push(job);
+  saveQueue(q);
+  return job;
+}
+
+function updateJob(id, patch) {
+  const q = loadQueue();
+  const job = q.jobs.find((j) => j.id === id);
+  if (!job) return null;
+  Object.assign(job, patch);
+  saveQueue(q);
+  return job;
+}
+
+function findJobByRun(runId) {
+  return loadQueue().jobs.find((j) => j.runId === runId) || null;
+}
+
+function nextPendingJob() {
+  return loadQueue().jobs.find((j) => j.status === 'pending') || null;
+}
+
+// Swaps a pending job with its pending neighbour; finished and running jobs keep their place
+function moveJob(id, direction) {
+  const q = loadQueue();
+  const pending = q.jobs.filter((j) => j.status === 'pending');
+  const at = pending.findIndex((j) => j.id === id);
+  if (at < 0) throw new Error('Only pending jobs can be moved');
+  const other = pending[direction === 'up' ? at - 1 : at + 1];
+  if (!other) return false;
+  const a = q.jobs.indexOf(pending[at]);
+  const b = q.jobs.indexOf(other);
+  [q.jobs[a], q.jobs[b]] = [q.jobs[b], q.jobs[a]];
+  saveQueue(q);
+  return true;
+}
+
+function setPaused(paused) {
+  const q = loadQueue();
+  q.paused = Boolean(paused);
+  saveQueue(q);
+  return q.paused;
+}
+
+// Jobs that were running when the server went down cannot be re-attached; their run can be resumed instead
+function markInterruptedJobs() {
+  const q = loadQueue();
+  const running = q.jobs.filter((j) => j.status === 'running');
+  for (const job of running) Object.assign(job, { status: 'interrupted', finishedAt: new Date().toISOString() });
+  if (running.length) saveQueue(q);
+  return running;
+}
+
+module.exports = {
+  QUEUE_FILE,
+  JOB_OPTIONS,
+  loadQueue,
+  enqueueJob,
+  updateJob,
+  findJobByRun,
+  nextPendingJob,
+  moveJob,
+  setPaused,
+  markInterruptedJobs
+};
@@ -0,0 +1,345 @@
+/*
+  Reconciliation report of a run: what was charged against what the input sheet
+  asked for. Built from the run's row outcomes (rows.jsonl, merged with those of
+  the runs it resumed) and the input sheet, and written next to them as
+
+    runs/<runId>/report.xlsx | report.csv | report.pdf
+
+  by the runner when the run's process exits, or on first download for runs
+  from before reports existed. Sections:
+
+    Summary            run details and row counts per result
+    Charged by hotel   per hotel, brand, merchant account and currency, with a
+                       subtotal per hotel and currency and a total per currency
+    Declines           declined rows grouped by processor response
+    Declined rows, Skipped rows (skipped, failed or unconfirmed), Never attempted
+
+  A row counts as never attempted when neither this run nor the runs it resumed
+  recorded anything for it and the sheet has no STATUS. Amounts are summed in
+  the currency's minor units (lib/currency.js). The report holds no card data.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { runDir, getRun, readRowOutcomes } = require('./runs');
+const { readAllRowsFromExcel } = require('./sheet');
+const { loadProfile, applyProfile } = require('./mapping');
+const { normalizeCurrency, toMinorUnits, fromMinorUnits } = require('./currency');
+const { isUnknownStatus } = require('./retry');
+const { textPdf } = require('./pdf');
+
+const FORMATS = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv',
+  pdf: 'application/pdf'
+};
+const RESULTS = ['charged', 'declined', 'failed', 'skipped', 'unconfirmed', 'already-processed', 'not-attempted'];
+const RESULT_LABELS = {
+  charged: 'Charged',
+  declined: 'Declined',
+  failed: 'Failed',
+  skipped: 'Skipped',
+  unconfirmed: 'Unconfirmed',
+  'already-processed': 'Already processed',
+  'not-attempted': 'Never attempted'
+};
+
+function reportFile(id, format) {
+  if (!FORMATS[format]) throw new Error(`Unknown report format: ${format}`);
+  return path.join(runDir(id), `report.${format}`);
+}
+
+// Missing or unreadable amounts count as 0
+function toUnits(amount, currency) {
+  return toMinorUnits(amount, currency) || 0;
+}
+
+// Outcomes of the runs this one resumed come first, so this run's win
+function chainOutcomes(run) {
+  const chain = [];
+  const seen = new Set();
+  for (let r = run; r && !seen.has(r.id); r = r.resumeFrom ? getRun(r.resumeFrom) : null) {
+    seen.add(r.id);
+    chain.unshift(r.id);
+  }
+  const byRow = new Map();
+  for (const id of chain) {
+    for (const outcome of readRowOutcomes(id)) byRow.set(outcome.row, outcome);
+  }
+  return byRow;
+}
+
+function resultOf(outcome, sheetStatus) {
+  if (!outcome) return sheetStatus ? 'already-processed' : 'not-attempted';
+  if (outcome.outcome === 'submitted') {
+    if (isUnknownStatus(outcome.status) || outcome.chargedAmount === undefined) return 'unconfirmed';
+    if (toUnits(outcome.chargedAmount, outcome.currency) > 0) return 'charged';
+    return 'declined';
+  }
+  if (outcome.outcome === 'failed') return 'failed';
+  if (['already-processed', 'unconfirmed'].includes(outcome.outcome)) return outcome.outcome;
+  return 'skipped';
+}
+
+// Hotel as the run's mapping profile reads it from the row
+function hotelOf(mapped) {
+  const name = String(mapped.hotelName || '').trim();
+  const id = String(mapped.hotelId || '').trim();
+  return name && id ? `${name} (${id})` : name || id;
+}
+
+function declineResponse(outcome) {
+  if (outcome.processorResponseCode || outcome.processorResponseText) {
+    return { code: String(outcome.processorResponseCode || ''), text: outcome.processorResponseText || '' };
+  }
+  if (outcome.gatewayRejectionReason) return { code: '', text: `Gateway rejected: ${outcome.gatewayRejectionReason}` };
+  return { code: '', text: outcome.status || 'Declined' };
+}
+
+/**
+ * Every row of the sheet (and any recorded row the sheet no longer has) with its result.
+ * @returns {{ run: object, sheetAvailable: boolean, rows: object[] }}
+ */
+function collectRows(id) {
+  const run = getRun(id);
+  if (!run) throw new Error(`Run not found: ${id}`);
+  const outcomes = chainOutcomes(run);
+  let sheetRows = [];
+  let sheetAvailable = false;
+  try {
+    sheetRows = readAllRowsFromExcel(run.inputPath);
+    sheetAvailable = true;
+  } catch (_) {}
+  let profile = null;
+  try { profile = loadProfile(run.mapping); } catch (_) {}
+
+  const rowNumbers = new Set([...sheetRows.map((_, i) => i + 1), ...outcomes.keys()]);
+  const rows = Array.from(rowNumbers).sort((a, b) => a - b).map((rowNo) => {
+    const sheetRow = sheetRows[rowNo - 1];
+    const mapped = sheetRow && profile ? applyProfile(profile, sheetRow) : {};
+    const outcome = outcomes.get(rowNo);
+    const sheetStatus = sheetRow ? String(sheetRow.STATUS ?? sheetRow.Status ?? sheetRow.status ?? '').trim() : '';
+    const o = outcome || {};
+    const currency = normalizeCurrency(o.currency || mapped.currency);
+    return {
+      row: rowNo,
+      orderId: o.orderId || mapped.orderId || '',
+      hotel: hotelOf(mapped) || '(no hotel)',
+      merchantAccount: o.merchantAccount || mapped.merchantAccount || '',
+      currency,
+      amount: o.amount || mapped.amount || '',
+      chargedAmount: o.chargedAmount || '',
+      remainingAmount: o.remainingAmount || '',
+      result: resultOf(outcome, sheetStatus),
+      outcome: o.outcome || '',
+      status: o.status || sheetStatus,
+      transactionId: o.transactionId || '',
+      reason: o.reason || '',
+      decline: outcome && outcome.outcome === 'submitted' ? declineResponse(o) : null
+    };
+  });
+  return { run, sheetAvailable, rows };
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function sumUnits(rows, field) {
+  return rows.reduce((sum, r) => sum + toUnits(r[field], r.currency), 0);
+}
+
+function chargedSection(rows, brand) {
+  const section = {
+    title: 'Charged by hotel',
+    headers: ['Hotel', 'Brand', 'Merchant account', 'Currency', 'Charged rows', 'Charged', 'Remaining', 'Declined rows', 'Declined amount', 'Not charged rows'],
+    numeric: [4, 5, 6, 7, 8, 9],
+    rows: []
+  };
+  const line = (hotel, account, currency, group) => {
+    const charged = group.filter((r) => r.result === 'charged');
+    const declined = group.filter((r) => r.result === 'declined');
+    const notCharged = group.filter((r) => ['failed', 'skipped', 'unconfirmed', 'not-attempted'].includes(r.result));
+    return [hotel, brand, account, currency || '-', charged.length, fromMinorUnits(sumUnits(charged, 'chargedAmount'), currency),
+      fromMinorUnits(sumUnits(charged, 'remainingAmount'), currency), declined.length, fromMinorUnits(sumUnits(declined, 'amount'), currency), notCharged.length];
+  };
+  // Rows charged by earlier runs are the earlier runs' to report
+  const counted = rows.filter((r) => r.result !== 'already-processed');
+  const hotels = groupBy(counted, (r) => r.hotel);
+  for (const hotel of Array.from(hotels.keys()).sort()) {
+    const byCurrency = groupBy(hotels.get(hotel), (r) => r.currency);
+    for (const currency of Array.from(byCurrency.keys()).sort()) {
+      const accounts = groupBy(byCurrency.get(currency), (r) => r.merchantAccount);
+      for (const account of Array.from(accounts.keys()).sort()) section.rows.push(line(hotel, account || '-', currency, accounts.get(account)));
+      section.rows.push(line(`Subtotal ${hotel}`, '', currency, byCurrency.get(currency)));
+    }
+  }
+  const byCurrency = groupBy(counted, (r) => r.currency);
+  for (const currency of Array.from(byCurrency.keys()).sort()) section.rows.push(line('Total', '', currency, byCurrency.get(currency)));
+  return section;
+}
+
+function declinesSection(rows) {
+  const declined = rows.filter((r) => r.result === 'declined');
+  const groups = groupBy(declined, (r) => `${r.decline.code}\n${r.decline.text}\n${r.currency}`);
+  const section = {
+    title: 'Declines by processor response',
+    headers: ['Response code', 'Response', 'Currency', 'Rows', 'Amount'],
+    numeric: [3, 4],
+    rows: []
+  };
+  for (const group of groups.values()) {
+    const { decline, currency } = group[0];
+    section.rows.push([decline.code || '-', decline.text, currency || '-', group.length, fromMinorUnits(sumUnits(group, 'amount'), currency)]);
+  }
+  section.rows.sort((a, b) => b[3] - a[3] || String(a[0]).localeCompare(String(b[0])));
+  return section;
+}
+
+function rowListSection(title, rows, extra) {
+  return {
+    title,
+    headers: ['Row', 'Reservation', 'Hotel', 'Currency', 'Amount', ...extra.map(([header]) => header)],
+    numeric: [0, 4],
+    rows: rows.map((r) => [r.row, r.orderId, r.hotel, r.currency || '-', r.amount ? fromMinorUnits(toUnits(r.amount, r.currency), r.currency) : '',
+      ...extra.map(([, value]) => value(r))])
+  };
+}
+
+/**
+ * @param {string} id run id
+ * @returns {{ runId: string, title: string, meta: [string, string][], sections: { title: string, headers: string[], numeric: number[], rows: (string|number)[][] }[] }}
+ */
+function buildReport(id, { generatedAt = new Date() } = {}) {
+  const { run, sheetAvailable, rows } = collectRows(id);
+  const brand = run.brand || '';
+  const count = (result) => rows.filter((r) => r.result === result).length;
+  const meta = [
+    ['Run', run.id],
+    ['Brand', brand],
+    ['Input file', run.inputFile || ''],
+    ['Started', run.startedAt || ''],
+    ['Ended', run.endedAt || 'still running'],
+    ['Exit code', run.exitCode === null || run.exitCode === undefined ? '' : String(run.exitCode)],
+    ['Resumed from', run.resumeFrom || ''],
+    ['Generated', generatedAt.toISOString()],
+    ['Rows', String(rows.length)],
+    ...RESULTS.map((result) => [RESULT_LABELS[result], String(count(result))])
+  ].filter(([, value]) => value !== '');
+  if (!sheetAvailable) meta.push(['Note', 'The input sheet is no longer available: hotels and rows never attempted are missing']);
+
+  const reasonOf = (r) => r.reason || (r.decline ? [r.decline.code, r.decline.text].filter(Boolean).join(' ') : '');
+  return {
+    runId: run.id,
+    title: `Reconciliation report - run ${run.id}`,
+    meta,
+    sections: [
+      chargedSection(rows, brand),
+      declinesSection(rows),
+      rowListSection('Declined rows', rows.filter((r) => r.result === 'declined'), [
+        ['Status', (r) => r.status],
+        ['Transaction', (r) => r.transactionId],
+        ['Response', reasonOf]
+      ]),
+      rowListSection('Skipped rows', rows.filter((r) => ['skipped', 'failed', 'unconfirmed'].includes(r.result)), [
+        ['Result', (r) => RESULT_LABELS[r.result]],
+        ['Outcome', (r) => r.outcome],
+        ['Reason', reasonOf]
+      ]),
+      rowListSection('Never attempted', rows.filter((r) => r.result === 'not-attempted'), [])
+    ]
+  };
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One file, sections one after the other, each with its title and header row
+function reportCsv(report) {
+  const lines = [report.title, ...report.meta.map((pair) => pair.map(csvCell).join(','))];
+  for (const section of report.sections) {
+    lines.push('', csvCell(section.title), section.headers.map(csvCell).join(','));
+    for (const row of section.rows) lines.push(row.map(csvCell).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// One worksheet per section; amounts and counts are numbers, shown with their currency's decimals
+function reportXlsx(report) {
+  // eslint-disable-next-line global-require
+  const xlsx = require('xlsx');
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.aoa_to_sheet([[report.title], [], ...report.meta]), 'Summary');
+  for (const section of report.sections) {
+    const ws = xlsx.utils.aoa_to_sheet([section.headers, ...section.rows]);
+    section.rows.forEach((row, r) => {
+      for (const c of section.numeric) {
+        const value = String(row[c] ?? '');
+        if (!/^-?\d+(?:\.\d+)?$/.test(value)) continue;
+        const decimals = (value.split('.')[1] || '').length;
+        ws[xlsx.utils.encode_cell({ r: r + 1, c })] = { t: 'n', v: Number(value), z: decimals ? `0.${'0'.repeat(decimals)}` : '0' };
+      }
+    });
+    ws['!cols'] = section.headers.map((h, c) => ({
+      wch: Math.min(60, Math.max(h.length, ...section.rows.map((row) => String(row[c] ?? '').length)) + 2)
+    }));
+    xlsx.utils.book_append_sheet(wb, ws, section.title.slice(0, 31));
+  }
+  return xlsx.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function textTable(section) {
+  const widths = section.headers.map((h, c) => Math.max(h.length, ...section.rows.map((row) => String(row[c] ?? '').length)));
+  const fmt = (row) => row.map((value, c) => {
+    const s = String(value ?? '');
+    return section.numeric.includes(c) ? s.padStart(widths[c]) : s.padEnd(widths[c]);
+  }).join('  ').trimEnd();
+  return [fmt(section.headers), widths.map((w) => '-'.repeat(w)).join('  '), ...section.rows.map(fmt)];
+}
+
+function reportPdf(report) {
+  const width = Math.max(...report.meta.map(([label]) => label.length));
+  const lines = [report.title, '', ...report.meta.map(([label, value]) => `${label.padEnd(width)}  ${value}`)];
+  for (const section of report.sections) {
+    lines.push('', '', section.title, '');
+    if (section.rows.length) lines.push(...textTable(section)); else lines.push('(none)');
+  }
+  return textPdf(lines, { footer: report.title });
+}
+
+/**
+ * Builds the run's report and writes it in every format.
+ * @returns {{ xlsx: string, csv: string, pdf: string }} file per format
+ */
+function writeReport(id) {
+  const report = buildReport(id);
+  const content = { xlsx: reportXlsx(report), csv: reportCsv(report), pdf: reportPdf(report) };
+  const files = {};
+  for (const format of Object.keys(FORMATS)) {
+    files[format] = reportFile(id, format);
+    fs.writeFileSync(files[format], content[format]);
+  }
+  return files;
+}
+
+// The run's report in one format, written first if it is missing
+function ensureReport(id, format) {
+  const file = reportFile(id, format);
+  if (fs.existsSync(file)) return file;
+  return writeReport(id)[format];
+}
+
+module.exports = {
+  FORMATS,
+  buildReport,
+  writeReport,
+  ensureReport
+};
@@ -0,0 +1,121 @@
+/*
+  Retention policy for source uploads and row evidence. An uploaded sheet in
+  uploads/ is deleted once nothing has written to it for uploadDays days; a
+  run's evidence (lib/evidence.js) once nothing was captured for it for
+  evidenceDays days. 0 keeps them forever. The runner applies the policy
+  hourly, and to uploads on demand (POST /purge); whatever the caller still
+  needs (the current run, pending jobs, resumable runs) is passed in `keep` and
+  never deleted. Stored in <data>/retention.json:
+
+    { "uploadDays": 30, "evidenceDays": 90 }
+
+  UPLOAD_RETENTION_DAYS and EVIDENCE_RETENTION_DAYS override the stored values.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./paths');
+
+const RETENTION_FILE = dataPath('retention.json');
+const DEFAULT_RETENTION = { uploadDays: 30, evidenceDays: 90 };
+const ENV_OVERRIDES = { uploadDays: 'UPLOAD_RETENTION_DAYS', evidenceDays: 'EVIDENCE_RETENTION_DAYS' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeRetention(raw = {}) {
+  const retention = { ...DEFAULT_RETENTION };
+  for (const key of Object.keys(DEFAULT_RETENTION)) {
+    const value = raw && raw[key];
+    if (value === undefined || value === null || value === '') continue;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) throw new Error(`Retention ${key} must be a whole number of days >= 0`);
+    retention[key] = days;
+  }
+  return retention;
+}
+
+function loadRetention() {
+  const stored = normalizeRetention(readJson(RETENTION_FILE, {}));
+  const overrides = {};
+  for (const [key, name] of Object.entries(ENV_OVERRIDES)) {
+    if (process.env[name]) overrides[key] = normalizeRetention({ [key]: process.env[name] })[key];
+  }
+  return { ...stored, ...overrides };
+}
+
+function saveRetention(raw) {
+  const retention = normalizeRetention(raw);
+  writeJson(RETENTION_FILE, retention);
+  return retention;
+}
+
+/**
+ * Deletes the files directly in `dir` last modified more than `olderThanDays` days ago
+ * (0 = every file), except those in `keep`.
+ * @param {string} dir
+ * @param {{ olderThanDays: number, keep?: Iterable<string>, now?: Date }} options
+ * @returns {string[]} names of the deleted files
+ */
+function purgeDir(dir, { olderThanDays, keep = [], now = new Date() }) {
+  const kept = new Set(Array.from(keep, (p) => path.resolve(p)));
+  const cutoff = now.getTime() - olderThanDays * DAY_MS;
+  const removed = [];
+  let entries = [];
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { return removed; }
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const file = path.resolve(dir, entry.name);
+    if (kept.has(file)) continue;
+    try {
+      if (fs.statSync(file).mtimeMs > cutoff) continue;
+      fs.unlinkSync(file);
+      removed.push(entry.name);
+    } catch (_) {}
+  }
+  return removed;
+}
+
+// Newest modification time of anything under `dir`
+function newestMtime(dir) {
+  let newest = fs.statSync(dir).mtimeMs;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const child = path.join(dir, entry.name);
+    newest = Math.max(newest, entry.isDirectory() ? newestMtime(child) : fs.statSync(child).mtimeMs);
+  }
+  return newest;
+}
+
+/**
+ * Deletes the directories directly in `dir` in which nothing changed for more than
+ * `olderThanDays` days (0 = every directory), except those in `keep`.
+ * @param {string} dir
+ * @param {{ olderThanDays: number, keep?: Iterable<string>, now?: Date }} options
+ * @returns {string[]} names of the deleted directories
+ */
+function purgeSubdirs(dir, { olderThanDays, keep = [], now = new Date() }) {
+  const kept = new Set(Array.from(keep, (p) => path.resolve(p)));
+  const cutoff = now.getTime() - olderThanDays * DAY_MS;
+  const removed = [];
+  let entries = [];
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { return removed; }
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const sub = path.resolve(dir, entry.name);
+    if (kept.has(sub)) continue;
+    try {
+      if (newestMtime(sub) > cutoff) continue;
+      fs.rmSync(sub, { recursive: true, force: true });
+      removed.push(entry.name);
+    } catch (_) {}
+  }
+  return removed;
+}
+
+module.exports = {
+  RETENTION_FILE,
+  DEFAULT_RETENTION,
+  normalizeRetention,
+  loadRetention,
+  saveRetention,
+  purgeDir,
+  purgeSubdirs
+};
@@ -0,0 +1,78 @@
+/*
+  Per-row failure handling. An error while a row is processed is classified by
+  how far the row got, which decides what the run does next:
+
+    retryable - thrown before the submit click; nothing reached Braintree, so the
+                row is retried after a backoff and left blank if it keeps failing
+    ambiguous - thrown after the click; the charge may exist, so the row is never
+                retried, only looked up in the transaction search (UNVERIFIED if absent;
+                the ledger keeps blocking a re-charge until someone checks it)
+    final     - Braintree declined or rejected the charge; retrying changes nothing
+    fatal     - the browser or the Braintree session is gone; no further row can run
+
+  Only fatal failures end the run; for the others it carries on with the next row.
+*/
+
+const FAILURE_CLASSES = ['retryable', 'ambiguous', 'final', 'fatal'];
+const DEFAULT_POLICY = { retries: 2, backoffMs: 5000, maxBackoffMs: 60000 };
+
+// Statuses Braintree shows for a charge that did not go through
+const FINAL_STATUS_RE = /declined|rejected|failed/i;
+// Written by us when the outcome could not be read or found
+const UNKNOWN_STATUS_RE = /^UN(CONFIRMED|VERIFIED)$/;
+// Puppeteer errors once the browser or its tab is gone
+const BROWSER_GONE_RE = /Target closed|Session closed|Connection closed|browser has disconnected|Navigating frame was detached/i;
+
+// Fills in defaults; throws on values that are not usable
+function retryPolicy(raw = {}) {
+  const policy = { ...DEFAULT_POLICY };
+  for (const key of Object.keys(DEFAULT_POLICY)) {
+    const value = raw[key];
+    if (value === undefined || value === null || value === '') continue;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Retry ${key} must be a whole number >= 0`);
+    policy[key] = n;
+  }
+  return policy;
+}
+
+// Delay before attempt `attempt + 1`: doubles each time, capped at maxBackoffMs
+function backoffDelay(policy, attempt) {
+  return Math.min(policy.maxBackoffMs, policy.backoffMs * (2 ** (attempt - 1)));
+}
+
+/**
+ * @param {Error} err what the row threw
+ * @param {{ submitClicked: boolean, browserConnected?: boolean, signedOut?: boolean }} state
+ * @returns {'retryable'|'ambiguous'|'fatal'}
+ */
+function classifyFailure(err, { submitClicked, browserConnected = true, signedOut = false }) {
+  const message = err && err.message ? err.message : String(err);
+  if (!browserConnected || signedOut || BROWSER_GONE_RE.test(message)) return 'fatal';
+  return submitClicked ? 'ambiguous' : 'retryable';
+}
+
+function isFinalStatus(status) {
+  return FINAL_STATUS_RE.test(String(status || ''));
+}
+
+function isUnknownStatus(status) {
+  return UNKNOWN_STATUS_RE.test(String(status || ''));
+}
+
+// One line per failed row for the end-of-run summary
+function describeFailure(f) {
+  const attempts = f.attempts > 1 ? ` after ${f.attempts} attempts` : '';
+  return `Row ${f.row}${f.orderId ? ` (${f.orderId})` : ''} [${f.failureClass}${attempts}]: ${f.reason}`;
+}
+
+module.exports = {
+  FAILURE_CLASSES,
+  DEFAULT_POLICY,
+  retryPolicy,
+  backoffDelay,
+  classifyFailure,
+  isFinalStatus,
+  isUnknownStatus,
+  describeFailure
+};
@@ -0,0 +1,67 @@
+/*
+  Review-mode decisions for a filled New Transaction form.
+  Under the UI runner the decision arrives over the IPC channel as
+  { kind: 'review-decision', row, action, values }; from a terminal the
+  reviewer answers a prompt on stdin.
+*/
+
+const readline = require('readline');
+
+const REVIEW_ACTIONS = ['approve', 'skip', 'edit', 'abort'];
+
+// Fields a reviewer may change before a refill. Card number and CVV are masked in the UI and never round-trip
+const EDITABLE_FIELDS = ['merchantAccount', 'amount', 'orderId', 'customerFirstName', 'cardholderName', 'expirationDate', 'billingPostalCode'];
+
+function waitForIpcDecision(row) {
+  return new Promise((resolve) => {
+    const onMessage = (message) => {
+      if (!message || message.kind !== 'review-decision' || Number(message.row) !== row) return;
+      if (!REVIEW_ACTIONS.includes(message.action)) return;
+      process.off('message', onMessage);
+      process.off('disconnect', onDisconnect);
+      resolve({ action: message.action, values: message.values || {} });
+    };
+    // Runner went away: nobody can approve, so do not charge
+    const onDisconnect = () => {
+      process.off('message', onMessage);
+      resolve({ action: 'abort', values: {} });
+    };
+    process.on('message', onMessage);
+    process.once('disconnect', onDisconnect);
+  });
+}
+
+function waitForTerminalDecision(row) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const ask = () => rl.question(`Row ${row}: [a]pprove and submit, [s]kip, a[b]ort? `, (answer) => {
+      const action = { a: 'approve', s: 'skip', b: 'abort' }[String(answer).trim().toLowerCase()[0]];
+      if (!action) { ask(); return; }
+      rl.close();
+      resolve({ action, values: {} });
+    });
+    ask();
+  });
+}
+
+/**
+ * @param {number} row 1-based row number the form was filled from
+ * @returns {Promise<{ action: 'approve'|'skip'|'edit'|'abort', values: object }>}
+ */
+function waitForReviewDecision(row) {
+  if (typeof process.send === 'function' && process.connected) return waitForIpcDecision(row);
+  return waitForTerminalDecision(row);
+}
+
+// Applies only editable, non-empty string edits on top of the filled values
+function applyReviewEdits(formValues, edits) {
+  const out = { ...formValues };
+  for (const field of EDITABLE_FIELDS) {
+    if (typeof edits[field] === 'string' && edits[field].trim()) out[field] = edits[field].trim();
+  }
+  return out;
+}
+
+module.exports = {
+  REVIEW_ACTIONS, EDITABLE_FIELDS, waitForReviewDecision, applyReviewEdits
+};
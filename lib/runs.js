@@ -0,0 +1,165 @@
+/*
+  Persistent run history. Each run gets a directory under <data>/runs/<runId>:
+    run.json   - metadata written by the UI runner (brand, mode, file, times, exit code)
+    log.jsonl  - redacted, leveled log of the run: the runner's lines and the automation's
+                 (see lib/logger.js; rotated to log.jsonl.1, ...). Older runs have log.txt instead
+    rows.jsonl - per-row outcomes, recorded from the automation's row-skipped / row-status events
+    checkpoint.json - last row the automation attempted and whether its submit was clicked
+    report.xlsx, report.csv, report.pdf - reconciliation report, written when the run exits (lib/report.js)
+    browser/   - Chromium profile, so a resumed run reuses the interrupted run's session; it holds
+                 Braintree cookies and is deleted once the run can no longer be resumed
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, ensureDir, readJson, writeJson } = require('./paths');
+const { readLogEntries, redact } = require('./logger');
+
+const RUNS_DIR = dataPath('runs');
+const ID_RE = /^[0-9]{8}-[0-9]{6}-[a-f0-9]{4}$/;
+
+function runDir(id) {
+  if (!ID_RE.test(String(id))) throw new Error(`Invalid run id: ${id}`);
+  return path.join(RUNS_DIR, id);
+}
+
+function newRunId(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function createRun(meta) {
+  const id = newRunId();
+  ensureDir(runDir(id));
+  const run = { id, ...meta, startedAt: new Date().toISOString(), endedAt: null, exitCode: null };
+  writeJson(path.join(runDir(id), 'run.json'), run);
+  return run;
+}
+
+function updateRun(id, patch) {
+  const file = path.join(runDir(id), 'run.json');
+  const run = { ...readJson(file, { id }), ...patch };
+  writeJson(file, run);
+  return run;
+}
+
+function runLogFile(id) {
+  return path.join(runDir(id), 'log.jsonl');
+}
+
+// Log entries of a run, oldest first; runs from before log.jsonl get their log.txt lines, redacted, as info entries
+function readRunLog(id) {
+  const entries = readLogEntries(runLogFile(id));
+  if (entries.length) return entries;
+  let text = '';
+  try { text = fs.readFileSync(path.join(runDir(id), 'log.txt'), 'utf8'); } catch (_) { return []; }
+  return text.split('\n').filter(Boolean).map((msg) => ({
+    at: '', level: 'info', source: 'ui', msg: redact(msg)
+  }));
+}
+
+function recordRowOutcome(id, outcome) {
+  try {
+    ensureDir(runDir(id));
+    fs.appendFileSync(path.join(runDir(id), 'rows.jsonl'), `${JSON.stringify({ ...outcome, at: new Date().toISOString() })}\n`);
+  } catch (_) {}
+}
+
+// Last outcome per row wins (a row can be skipped, retried, then submitted)
+function readRowOutcomes(id) {
+  let text = '';
+  try { text = fs.readFileSync(path.join(runDir(id), 'rows.jsonl'), 'utf8'); } catch (_) { return []; }
+  const byRow = new Map();
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      byRow.set(rec.row, { ...(byRow.get(rec.row) || {}), ...rec });
+    } catch (_) {}
+  }
+  return Array.from(byRow.values()).sort((a, b) => a.row - b.row);
+}
+
+function countOutcomes(rows) {
+  return rows.reduce((acc, r) => { acc[r.outcome] = (acc[r.outcome] || 0) + 1; return acc; }, {});
+}
+
+function finishRun(id, exitCode) {
+  return updateRun(id, { endedAt: new Date().toISOString(), exitCode, counts: countOutcomes(readRowOutcomes(id)) });
+}
+
+// Written by the automation itself, synchronously, so it survives a crash right after submit
+function writeCheckpoint(id, checkpoint) {
+  try {
+    writeJson(path.join(runDir(id), 'checkpoint.json'), { ...checkpoint, updatedAt: new Date().toISOString() });
+  } catch (_) {}
+}
+
+function readCheckpoint(id) {
+  return readJson(path.join(runDir(id), 'checkpoint.json'), null);
+}
+
+// A run can be resumed when it ended abnormally (crash, stop, reviewer abort) after reaching a row
+function isResumable(run, checkpoint) {
+  if (!run || !checkpoint || !run.inputPath || !fs.existsSync(run.inputPath)) return false;
+  if (run.resumedBy) return false;
+  if (!run.endedAt) return true;
+  return run.exitCode !== 0 || Boolean(run.summary && run.summary.aborted);
+}
+
+/**
+ * Deletes the Chromium profile a run used (a resumed run uses the profile of the run it resumed).
+ * Only directories under the runs directory are touched.
+ * @returns {boolean} whether there was one to delete
+ */
+function removeBrowserProfile(run) {
+  const dir = run && run.browserProfileDir ? path.resolve(run.browserProfileDir) : '';
+  const rel = dir ? path.relative(RUNS_DIR, dir) : '';
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel) || !fs.existsSync(dir)) return false;
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function listRuns() {
+  let ids = [];
+  try { ids = fs.readdirSync(RUNS_DIR).filter((d) => ID_RE.test(d)); } catch (_) { return []; }
+  return ids
+    .map((id) => readJson(path.join(RUNS_DIR, id, 'run.json'), null))
+    .filter(Boolean)
+    .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+function getRun(id) {
+  const run = readJson(path.join(runDir(id), 'run.json'), null);
+  if (!run) return null;
+  const log = readRunLog(id);
+  const rows = readRowOutcomes(id);
+  const checkpoint = readCheckpoint(id);
+  return {
+    ...run, counts: run.counts || countOutcomes(rows), rows, log, checkpoint, resumable: isResumable(run, checkpoint)
+  };
+}
+
+module.exports = {
+  RUNS_DIR,
+  runDir,
+  createRun,
+  updateRun,
+  runLogFile,
+  readRunLog,
+  recordRowOutcome,
+  readRowOutcomes,
+  finishRun,
+  writeCheckpoint,
+  readCheckpoint,
+  isResumable,
+  removeBrowserProfile,
+  listRuns,
+  getRun
+};
@@ -0,0 +1,148 @@
+/*
+  Watched-folder schedules. At each time matching a schedule's cron expression
+  the runner picks up every .xlsx/.csv dropped into the schedule's folder and
+  queues it with the schedule's options. Stored in <data>/schedules.json:
+
+    [{ "id", "name", "cron": "0 7,13 * * 1-5", "watchDir", "brand", "mode", "mapping", "enabled", "lastFiredAt" }]
+
+  Cron fields: minute hour day-of-month month day-of-week (0 = Sunday), each
+  "*", "n" or "a-b", optionally with a "/step" suffix, or a comma list of those.
+  As in cron, when both day fields are restricted a day matching either one matches.
+
+  Picked-up files are deleted from the watched folder, so the runner only lets
+  admins watch a folder outside the data directory (see inDataDir()).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  dataDir, dataPath, readJson, writeJson
+} = require('./paths');
+
+const SCHEDULES_FILE = dataPath('schedules.json');
+const DEFAULT_WATCH_DIR = dataPath('inbox');
+const INPUT_EXTENSIONS = ['.xlsx', '.csv'];
+const FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+// One cron field -> Set of allowed values (day-of-week 7 is folded onto 0)
+function parseField(text, [min, max], index) {
+  const values = new Set();
+  for (const part of String(text).split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron field "${text}"`);
+    let lo = m[1] === '*' ? min : Number(m[2]);
+    let hi = m[1] === '*' ? max : Number(m[3] ?? m[2]);
+    // "5/15" means "from 5 to the end, every 15"
+    if (m[4] && m[1] !== '*' && m[3] === undefined) hi = max;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`Cron field "${text}" out of range ${min}-${max}`);
+    for (; lo <= hi; lo += step) values.add(index === 4 && lo === 7 ? 0 : lo);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const fields = String(expr || '').trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Cron expression needs 5 fields (minute hour day month weekday): "${expr}"`);
+  const [minute, hour, dom, month, dow] = fields.map((f, i) => parseField(f, FIELD_RANGES[i], i));
+  return {
+    minute, hour, dom, month, dow, domAny: fields[2] === '*', dowAny: fields[4] === '*'
+  };
+}
+
+function cronMatches(expr, date = new Date()) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  if (!c.minute.has(date.getMinutes()) || !c.hour.has(date.getHours()) || !c.month.has(date.getMonth() + 1)) return false;
+  const domOk = c.dom.has(date.getDate());
+  const dowOk = c.dow.has(date.getDay());
+  if (c.domAny || c.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+function loadSchedules() {
+  const list = readJson(SCHEDULES_FILE, []);
+  return Array.isArray(list) ? list : [];
+}
+
+function resolveWatchDir(watchDir) {
+  return path.resolve(String(watchDir || '').trim() || DEFAULT_WATCH_DIR);
+}
+
+// Whether a (resolved) folder is the data directory or inside it
+function inDataDir(dir) {
+  const rel = path.relative(path.resolve(dataDir), dir);
+  return !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+function upsertSchedule(input) {
+  const cron = String(input.cron || '').trim();
+  parseCron(cron);
+  const schedules = loadSchedules();
+  const existing = input.id ? schedules.find((s) => s.id === input.id) : null;
+  const schedule = {
+    ...(existing || { id: crypto.randomUUID(), lastFiredAt: null }),
+    name: String(input.name || '').trim() || cron,
+    cron,
+    watchDir: resolveWatchDir(input.watchDir),
+    brand: input.brand,
+    mode: input.mode,
+    mapping: input.mapping,
+    skipInvalid: Boolean(input.skipInvalid),
+    headless: Boolean(input.headless),
+    evidence: Boolean(input.evidence),
+    enabled: input.enabled === undefined ? true : Boolean(input.enabled),
+    updatedAt: new Date().toISOString()
+  };
+  writeJson(SCHEDULES_FILE, existing ? schedules.map((s) => (s.id === schedule.id ? schedule : s)) : [...schedules, schedule]);
+  return schedule;
+}
+
+function removeSchedule(id) {
+  const schedules = loadSchedules();
+  const next = schedules.filter((s) => s.id !== id);
+  if (next.length === schedules.length) return false;
+  writeJson(SCHEDULES_FILE, next);
+  return true;
+}
+
+function markFired(id, at) {
+  writeJson(SCHEDULES_FILE, loadSchedules().map((s) => (s.id === id ? { ...s, lastFiredAt: at.toISOString() } : s)));
+}
+
+// Enabled schedules whose expression matches this minute and which have not fired in it yet
+function dueSchedules(date = new Date()) {
+  const minuteStart = new Date(date);
+  minuteStart.setSeconds(0, 0);
+  return loadSchedules().filter((s) => {
+    if (!s.enabled) return false;
+    if (s.lastFiredAt && new Date(s.lastFiredAt) >= minuteStart) return false;
+    try { return cronMatches(s.cron, date); } catch (_) { return false; }
+  });
+}
+
+// Input files currently waiting in a schedule's folder, oldest first
+function watchedFiles(schedule) {
+  let names = [];
+  try { names = fs.readdirSync(schedule.watchDir); } catch (_) { return []; }
+  return names
+    .filter((n) => INPUT_EXTENSIONS.includes(path.extname(n).toLowerCase()) && !n.startsWith('~$'))
+    .map((n) => path.join(schedule.watchDir, n))
+    .filter((f) => { try { return fs.statSync(f).isFile(); } catch (_) { return false; } })
+    .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+}
+
+module.exports = {
+  SCHEDULES_FILE,
+  DEFAULT_WATCH_DIR,
+  resolveWatchDir,
+  inDataDir,
+  parseCron,
+  cronMatches,
+  loadSchedules,
+  upsertSchedule,
+  removeSchedule,
+  markFired,
+  dueSchedules,
+  watchedFiles
+};
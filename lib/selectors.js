@@ -0,0 +1,276 @@
+/*
+  Versioned selector config for the Braintree pages (selectors/braintree.json,
+  overridable by <data>/selectors/braintree.json). Every page has marker
+  locators (any one present = on that page) and every element an ordered list
+  of locators; the first that resolves wins, so a later entry takes over when
+  Braintree changes the markup the earlier ones rely on. A locator is one of:
+
+    "css selector"
+    { "name": "transaction[amount]" }              name attribute
+    { "label": "Amount", "section": "Billing" }    form control of a <label>, optionally under an <h3>
+    { "role": "button", "text": "Search" }         ARIA role (explicit or implicit) and accessible name
+    { "text": "New Transaction", "tag": "h2" }     element containing the text
+
+  A resolved element is tagged with data-bt-auto="<key>" so the usual
+  Puppeteer calls can target it by a plain CSS selector.
+*/
+
+const path = require('path');
+const fs = require('fs');
+const { dataPath } = require('./paths');
+
+const BUILTIN_FILE = path.join(__dirname, '..', 'selectors', 'braintree.json');
+const LOCAL_FILE = dataPath('selectors', 'braintree.json');
+const TEMPLATES_DIR = path.join(__dirname, '..', 'html_templates_for_selectors');
+const LOCATOR_KINDS = ['css', 'name', 'label', 'role', 'text'];
+
+function normalizeLocator(loc, where) {
+  if (typeof loc === 'string' && loc.trim()) return loc.trim();
+  const kinds = loc && typeof loc === 'object' ? LOCATOR_KINDS.filter((k) => k !== 'text' || !loc.role).filter((k) => loc[k]) : [];
+  if (kinds.length !== 1) throw new Error(`${where}: locator must be a CSS string or have one of ${LOCATOR_KINDS.join(', ')}`);
+  return loc;
+}
+
+function normalizeConfig(raw, source) {
+  if (!raw || typeof raw !== 'object') throw new Error(`${source}: not an object`);
+  const pages = {};
+  for (const [name, page] of Object.entries(raw.pages || {})) {
+    const markers = (page.markers || []).map((l, i) => normalizeLocator(l, `page ${name} marker ${i + 1}`));
+    if (!markers.length) throw new Error(`${source}: page ${name} has no markers`);
+    pages[name] = { ...page, markers };
+  }
+  const elements = {};
+  for (const [key, el] of Object.entries(raw.elements || {})) {
+    if (el.page && !pages[el.page]) throw new Error(`${source}: element ${key} refers to unknown page ${el.page}`);
+    const locators = (el.locators || []).map((l, i) => normalizeLocator(l, `element ${key} locator ${i + 1}`));
+    if (!locators.length) throw new Error(`${source}: element ${key} has no locators`);
+    elements[key] = { ...el, required: Boolean(el.required), locators };
+  }
+  return {
+    version: raw.version || 0, updatedAt: raw.updatedAt || '', source, pages, elements
+  };
+}
+
+// Local override wins over the shipped file
+function loadSelectorConfig() {
+  const file = fs.existsSync(LOCAL_FILE) ? LOCAL_FILE : BUILTIN_FILE;
+  return normalizeConfig(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+function describeLocator(loc) {
+  if (typeof loc === 'string') return `css ${loc}`;
+  if (loc.css) return `css ${loc.css}`;
+  if (loc.name) return `name "${loc.name}"`;
+  if (loc.label) return `label "${loc.label}"${loc.section ? ` in "${loc.section}"` : ''}`;
+  if (loc.role) return `role ${loc.role}${loc.text ? ` "${loc.text}"` : ''}`;
+  return `text "${loc.text}"${loc.tag ? ` in <${loc.tag}>` : ''}`;
+}
+
+// Runs in the browser: index of the first locator that resolves (marking its element), or -1
+function locateInPage(locators, mark) {
+  const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const ownText = (el) => clean(Array.from(el.childNodes).filter((n) => n.nodeType === 3).map((n) => n.textContent).join(' '));
+  const visible = (el) => el.type !== 'hidden' && el.getClientRects().length > 0;
+  const pick = (els) => els.find(visible) || els.find((el) => el.type !== 'hidden') || els[0] || null;
+  const all = (sel) => { try { return Array.from(document.querySelectorAll(sel)); } catch (_) { return []; } };
+  const IMPLICIT_ROLES = {
+    button: 'button, input[type="submit"], input[type="button"]',
+    link: 'a[href]',
+    heading: 'h1, h2, h3, h4, h5, h6',
+    textbox: 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], textarea',
+    checkbox: 'input[type="checkbox"]',
+    combobox: 'select',
+    form: 'form'
+  };
+  const accessibleName = (el) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) return clean(labelledBy.split(/\s+/).map((id) => (document.getElementById(id) || {}).textContent || '').join(' '));
+    if (el.getAttribute('aria-label')) return clean(el.getAttribute('aria-label'));
+    if (el.labels && el.labels.length) return clean(el.labels[0].textContent);
+    if (el.tagName === 'INPUT') return clean(el.value);
+    return clean(el.textContent);
+  };
+  const sectionOf = (el) => {
+    const h3 = document.evaluate('preceding::h3[1]', el, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    return h3 ? clean(h3.textContent) : '';
+  };
+  const find = (loc) => {
+    if (typeof loc === 'string') return pick(all(loc));
+    if (loc.css) return pick(all(loc.css));
+    if (loc.name) return pick(all('[name]').filter((el) => el.getAttribute('name') === loc.name));
+    if (loc.label) {
+      const want = clean(loc.label);
+      const controls = all('label')
+        .filter((l) => ownText(l) === want || clean(l.textContent) === want)
+        .map((l) => l.control || (l.htmlFor && document.getElementById(l.htmlFor)))
+        .filter((el) => el && (!loc.section || sectionOf(el).startsWith(clean(loc.section))));
+      return pick(controls);
+    }
+    if (loc.role) {
+      const candidates = all(`[role="${loc.role}"]`)
+        .concat(IMPLICIT_ROLES[loc.role] ? all(IMPLICIT_ROLES[loc.role]).filter((el) => !el.hasAttribute('role')) : []);
+      return pick(loc.text ? candidates.filter((el) => accessibleName(el) === clean(loc.text)) : candidates);
+    }
+    const want = clean(loc.text);
+    const matches = all(loc.tag || 'body *').filter((el) => clean(el.textContent).includes(want));
+    // Innermost matches only, not every ancestor that contains one
+    return pick(matches.filter((el) => !matches.some((other) => other !== el && el.contains(other))));
+  };
+  for (let i = 0; i < locators.length; i += 1) {
+    const el = find(locators[i]);
+    if (!el) continue;
+    if (mark) {
+      document.querySelectorAll(`[data-bt-auto="${mark}"]`).forEach((other) => other.removeAttribute('data-bt-auto'));
+      el.setAttribute('data-bt-auto', mark);
+    }
+    return i;
+  }
+  return -1;
+}
+
+// Expression for page.waitForFunction: truthy (index + 1) once a locator resolves
+function locateExpression(locators, mark) {
+  return `(${locateInPage.toString()})(${JSON.stringify(locators)}, ${JSON.stringify(mark || '')}) + 1`;
+}
+
+function elementConfig(config, key) {
+  const el = config.elements[key];
+  if (!el) throw new Error(`Unknown selector key: ${key}`);
+  return el;
+}
+
+/**
+ * Waits for a configured element and tags it. Resolves to
+ * { key, selector, index, locator, healed } where `selector` is a CSS selector for the tagged
+ * element and `healed` means the primary locator missed and a fallback matched.
+ */
+async function resolveElement(page, config, key, timeoutMs = 20000) {
+  const { locators } = elementConfig(config, key);
+  let handle;
+  try {
+    handle = await page.waitForFunction(locateExpression(locators, key), { timeout: timeoutMs });
+  } catch (e) {
+    throw new Error(`Selector "${key}" not found within ${timeoutMs}ms (tried ${locators.map(describeLocator).join('; ')})`);
+  }
+  const index = (await handle.jsonValue()) - 1;
+  return {
+    key, selector: `[data-bt-auto="${key}"]`, index, locator: describeLocator(locators[index]), healed: index > 0
+  };
+}
+
+// Resolves to the name of the first page whose markers appear
+function waitForPage(page, config, names, timeoutMs) {
+  const list = Array.isArray(names) ? names : [names];
+  return Promise.race(list.map((name) => {
+    const cfg = config.pages[name];
+    if (!cfg) return Promise.reject(new Error(`Unknown page: ${name}`));
+    return page.waitForFunction(locateExpression(cfg.markers), { timeout: timeoutMs }).then(() => name);
+  }));
+}
+
+// Runs in the browser: the parts of a page's structure the automation relies on staying put
+function pageFingerprint() {
+  const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+  const uniq = (list) => Array.from(new Set(list.filter(Boolean))).sort();
+  return {
+    bodyClasses: uniq(Array.from(document.body ? document.body.classList : [])),
+    fields: uniq(Array.from(document.querySelectorAll('form input[name], form select[name], form textarea[name]')).map((el) => el.getAttribute('name'))),
+    labels: uniq(Array.from(document.querySelectorAll('label')).map((l) => clean(l.textContent)))
+  };
+}
+
+// What the snapshot has that the live page lost; additions are ignored
+function compareFingerprints(expected, actual) {
+  const missing = (key) => expected[key].filter((v) => !actual[key].includes(v));
+  const drift = {
+    bodyClasses: missing('bodyClasses'), fields: missing('fields'), labels: missing('labels')
+  };
+  return { drifted: Object.values(drift).some((list) => list.length > 0), missing: drift };
+}
+
+/**
+ * Checks every configured element of `pageName` against what is open in `page` right now.
+ * Resolves to { page, onPage, elements: [{ key, status: 'ok' | 'healed' | 'missing', locator, required }] }.
+ */
+async function checkPage(page, config, pageName) {
+  const cfg = config.pages[pageName];
+  const onPage = (await page.evaluate(locateExpression(cfg.markers))) > 0;
+  const elements = [];
+  for (const [key, el] of Object.entries(config.elements)) {
+    if (el.page !== pageName) continue;
+    const index = (await page.evaluate(locateExpression(el.locators, key))) - 1;
+    elements.push({
+      key,
+      required: el.required,
+      status: index < 0 ? 'missing' : (index > 0 ? 'healed' : 'ok'),
+      locator: index < 0 ? '' : describeLocator(el.locators[index])
+    });
+  }
+  return { page: pageName, onPage, elements };
+}
+
+// Saved snapshot markup without scripts or external stylesheets, safe to load offline
+function templateHtml(file) {
+  return fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8')
+    .replace(/<script\b[\s\S]*?<\/script>/gi, '')
+    .replace(/<link\b[^>]*rel="(?:stylesheet|icon)"[^>]*>/gi, '')
+    .replace(/https:\/\/www\.braintreegateway\.com/g, '');
+}
+
+/**
+ * Loads the page's saved snapshot into a scratch tab of `browser`.
+ * Resolves to { fingerprint, check } for comparison with the live page.
+ */
+async function inspectTemplate(browser, config, pageName) {
+  const cfg = config.pages[pageName];
+  const scratch = await browser.newPage();
+  try {
+    await scratch.setContent(templateHtml(cfg.template), { waitUntil: 'domcontentloaded' });
+    return { fingerprint: await scratch.evaluate(pageFingerprint), check: await checkPage(scratch, config, pageName) };
+  } finally {
+    await scratch.close().catch(() => {});
+  }
+}
+
+/**
+ * Live page vs its snapshot: element resolution plus structural drift.
+ * Resolves to { page, onPage, elements, drift: null | { drifted, missing } }.
+ */
+async function detectDrift(browser, page, config, pageName) {
+  const check = await checkPage(page, config, pageName);
+  const cfg = config.pages[pageName];
+  if (!cfg.compareWithTemplate || !cfg.template) return { ...check, drift: null };
+  const template = await inspectTemplate(browser, config, pageName);
+  const drift = compareFingerprints(template.fingerprint, await page.evaluate(pageFingerprint));
+  return { ...check, drift };
+}
+
+// One-line problems of a checkPage/detectDrift result (empty = healthy)
+function pageProblems(result) {
+  const problems = [];
+  if (!result.onPage) problems.push(`page ${result.page} not recognised`);
+  for (const el of result.elements) {
+    if (el.status === 'missing') problems.push(`${el.key} missing${el.required ? ' (required)' : ''}`);
+    if (el.status === 'healed') problems.push(`${el.key} found only by fallback ${el.locator}`);
+  }
+  if (result.drift && result.drift.drifted) {
+    for (const [kind, list] of Object.entries(result.drift.missing)) {
+      if (list.length) problems.push(`${kind} gone since snapshot: ${list.slice(0, 8).join(', ')}${list.length > 8 ? ` (+${list.length - 8})` : ''}`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  BUILTIN_FILE,
+  LOCAL_FILE,
+  loadSelectorConfig,
+  describeLocator,
+  resolveElement,
+  waitForPage,
+  checkPage,
+  templateHtml,
+  inspectTemplate,
+  detectDrift,
+  pageProblems
+};
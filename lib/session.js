@@ -0,0 +1,48 @@
+/*
+  Saved Braintree session: the browser cookies captured after a successful
+  login, restored into the next run so it can start without a username,
+  password or OTP. Stored at <data>/session/cookies.json, readable only by the
+  current user. Braintree's session cookie has no expiry of its own, so the
+  file is the only thing that carries it between browser launches.
+
+  Sessions for another gateway host (BRAINTREE_BASE_URL, e.g. the local
+  simulator) are kept in their own file so they never replace the real one.
+*/
+
+const fs = require('fs');
+const { dataPath, readJson, writeJson } = require('./paths');
+
+const SESSION_FILE = process.env.SESSION_FILE || dataPath('session', 'cookies.json');
+const DEFAULT_HOST = 'www.braintreegateway.com';
+
+function sessionFile(host = DEFAULT_HOST) {
+  if (!host || host === DEFAULT_HOST) return SESSION_FILE;
+  return SESSION_FILE.replace(/\.json$/, `-${String(host).replace(/[^A-Za-z0-9.-]+/g, '_')}.json`);
+}
+
+function saveSession(cookies, host) {
+  const file = sessionFile(host);
+  writeJson(file, { savedAt: new Date().toISOString(), cookies });
+  try { fs.chmodSync(file, 0o600); } catch (_) {}
+}
+
+// Cookies still valid now; session cookies (expires -1) are kept
+function loadSession(host) {
+  const saved = readJson(sessionFile(host), null);
+  if (!saved || !Array.isArray(saved.cookies)) return [];
+  const nowSec = Date.now() / 1000;
+  return saved.cookies.filter((c) => !(c.expires > 0 && c.expires < nowSec));
+}
+
+function clearSession(host) {
+  try { fs.unlinkSync(sessionFile(host)); return true; } catch (_) { return false; }
+}
+
+function sessionInfo(host) {
+  const saved = readJson(sessionFile(host), null);
+  return saved ? { saved: true, savedAt: saved.savedAt, cookies: (saved.cookies || []).length } : { saved: false };
+}
+
+module.exports = {
+  SESSION_FILE, sessionFile, saveSession, loadSession, clearSession, sessionInfo
+};
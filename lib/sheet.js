@@ -0,0 +1,210 @@
+/*
+  Spreadsheet I/O shared by the automation (server.js) and the UI runner.
+  Accepts the xlsx job template as well as raw OTA exports saved as .csv
+  (e.g. Booking.com virtual-card downloads), and writes results back in the
+  same format the file came in. Encrypted uploads (<name>.xlsx.enc, see
+  lib/encryption.js) are read and written in memory only.
+
+  Once a row has a STATUS its card data is masked in the file: CVV to ***, card
+  numbers to the last 4 digits.
+*/
+
+const path = require('path');
+const fs = require('fs');
+const { maskCardNumber, maskCvv } = require('./mask');
+const { isEncryptedPath, plainName, readFileDecrypted, writeFileEncrypted } = require('./encryption');
+
+// Card columns masked once their row is processed (headers compared case-insensitively)
+const CARD_NUMBER_HEADERS = ['card number', 'card no', 'pan'];
+const CVV_HEADERS = ['cvv', 'cvv2', 'cvc', 'security code'];
+const CARD_FIRST_HEADERS = ['card first 4', 'first 4'];
+const CARD_LAST_HEADERS = ['card last 12', 'last 12'];
+const BOOK_TYPES = {
+  '.csv': 'csv', '.xlsx': 'xlsx', '.xlsm': 'xlsm', '.xls': 'biff8'
+};
+
+function loadXlsx() {
+  try {
+    // eslint-disable-next-line global-require
+    return require('xlsx');
+  } catch (e) {
+    throw new Error('Missing dependency: xlsx. Install with "npm i xlsx"');
+  }
+}
+
+function isCsv(filePath) {
+  return path.extname(plainName(filePath)).toLowerCase() === '.csv';
+}
+
+// CSV cells are kept as text so card numbers, reservation IDs and dates are not coerced to numbers
+function readWorkbook(filePath) {
+  const xlsx = loadXlsx();
+  return xlsx.read(readFileDecrypted(filePath), { type: 'buffer', ...(isCsv(filePath) ? { raw: true } : {}) });
+}
+
+// Output format follows the (unencrypted) file extension, so CSV inputs stay CSV
+function writeWorkbook(wb, filePath) {
+  const xlsx = loadXlsx();
+  if (!isEncryptedPath(filePath)) {
+    xlsx.writeFile(wb, filePath);
+    return;
+  }
+  const bookType = BOOK_TYPES[path.extname(plainName(filePath)).toLowerCase()] || 'xlsx';
+  writeFileEncrypted(filePath, xlsx.write(wb, { type: 'buffer', bookType }));
+}
+
+// Header text -> column index of the first sheet's header row
+function headerColumns(xlsx, ws, range) {
+  const columns = new Map();
+  for (let c = range.s.c; c <= range.e.c; c += 1) {
+    const cell = ws[xlsx.utils.encode_cell({ r: range.s.r, c })];
+    const txt = cell ? String(cell.v ?? cell.w ?? '').trim().toLowerCase() : '';
+    if (txt && !columns.has(txt)) columns.set(txt, c);
+  }
+  return columns;
+}
+
+function maskCells(xlsx, ws, columns, r) {
+  const rewrite = (headers, mask) => {
+    for (const header of headers) {
+      const c = columns.get(header);
+      const cell = c === undefined ? null : ws[xlsx.utils.encode_cell({ r, c })];
+      const value = cell ? String(cell.w ?? cell.v ?? '') : '';
+      // Already masked cells are left alone; masking them again would drop the last 4 digits
+      if (value.trim() && !value.includes('*')) ws[xlsx.utils.encode_cell({ r, c })] = { t: 's', v: mask(value) };
+    }
+  };
+  rewrite(CARD_NUMBER_HEADERS, maskCardNumber);
+  rewrite(CARD_FIRST_HEADERS, (v) => '*'.repeat(v.replace(/\D+/g, '').length || 4));
+  rewrite(CARD_LAST_HEADERS, maskCardNumber);
+  rewrite(CVV_HEADERS, maskCvv);
+}
+
+function readAllRowsFromExcel(filePath) {
+  const xlsx = loadXlsx();
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Input file not found: ${filePath}`);
+  }
+  const wb = readWorkbook(filePath);
+  const sheetName = wb.SheetNames[0];
+  const ws = wb.Sheets[sheetName];
+  const rows = xlsx.utils.sheet_to_json(ws, { defval: '' });
+  return rows.map(normalizeRow);
+}
+
+function digitsOnly(value) {
+  return String(value ?? '').replace(/\D+/g, '');
+}
+
+// "2236 1301 8833 6868" -> { first4: '2236', last12: '130188336868' }
+function splitCardNumber(value) {
+  const digits = digitsOnly(value);
+  return { first4: digits.slice(0, 4), last12: digits.slice(4) };
+}
+
+// Normalizes "10 / 2026", "10/26", "2026-10" and "10-2026" to "10/2026"; anything else is returned compacted
+function normalizeExpiry(value) {
+  const s = String(value ?? '').trim();
+  let m = s.match(/^(\d{1,2})\s*[/-]\s*(\d{2}|\d{4})$/);
+  if (m) {
+    const year = m[2].length === 2 ? `20${m[2]}` : m[2];
+    return `${m[1].padStart(2, '0')}/${year}`;
+  }
+  m = s.match(/^(\d{4})\s*[/-]\s*(\d{1,2})$/);
+  if (m) return `${m[2].padStart(2, '0')}/${m[1]}`;
+  return s.replace(/\s+/g, '');
+}
+
+function isBlank(row, key) {
+  return !Object.prototype.hasOwnProperty.call(row, key) || String(row[key] ?? '').trim() === '';
+}
+
+/*
+  Fills the template columns the form mapping expects (Card first 4 / Card Last 12,
+  Amount, Expiry) from OTA export columns when they are missing. MAIDS is left
+  to the merchant registry (lib/merchants.js). Original columns are left untouched so results can be written back in place.
+*/
+function normalizeRow(row) {
+  const out = { ...row };
+  if (isBlank(out, 'Card first 4') && !isBlank(out, 'Card Number')) {
+    const { first4, last12 } = splitCardNumber(out['Card Number']);
+    out['Card first 4'] = first4;
+    out['Card Last 12'] = last12;
+  }
+  if (isBlank(out, 'Amount') && !isBlank(out, 'Amount Collected')) {
+    out.Amount = String(out['Amount Collected']).replace(/[^0-9.-]+/g, '');
+  }
+  if (isBlank(out, 'Expiry') && !isBlank(out, 'Exp Date')) {
+    out.Expiry = normalizeExpiry(out['Exp Date']);
+  }
+  return out;
+}
+
+/**
+ * Writes result cells for one data row, adding any missing header columns to the
+ * right of the sheet. Headers are matched case-insensitively.
+ * @param {string} filePath
+ * @param {number} rowIndexZeroBased data row index (0 = first row under the header)
+ * @param {Record<string, string>} values e.g. { STATUS: 'Authorized', 'BT TRANSACTION ID': 'gf6r2esp' }
+ */
+function writeResultsToExcel(filePath, rowIndexZeroBased, values) {
+  const xlsx = loadXlsx();
+  const wb = readWorkbook(filePath);
+  const sheetName = wb.SheetNames[0];
+  const ws = wb.Sheets[sheetName];
+  const range = xlsx.utils.decode_range(ws['!ref']);
+  const headerRow = range.s.r;
+  const columns = headerColumns(xlsx, ws, range);
+  const targetRow = headerRow + 1 + rowIndexZeroBased;
+  for (const [header, value] of Object.entries(values)) {
+    let col = columns.get(header.trim().toLowerCase());
+    if (col === undefined) {
+      col = range.e.c + 1;
+      ws[xlsx.utils.encode_cell({ r: headerRow, c: col })] = { t: 's', v: header };
+      columns.set(header.trim().toLowerCase(), col);
+      range.e.c = col;
+    }
+    ws[xlsx.utils.encode_cell({ r: targetRow, c: col })] = { t: 's', v: String(value ?? '') };
+  }
+  if (String(values.STATUS ?? '').trim()) maskCells(xlsx, ws, columns, targetRow);
+  if (targetRow > range.e.r) range.e.r = targetRow;
+  ws['!ref'] = xlsx.utils.encode_range(range);
+  writeWorkbook(wb, filePath);
+}
+
+// Masks the card data of every row that already has a STATUS; returns how many rows were masked
+function maskProcessedRows(filePath) {
+  const xlsx = loadXlsx();
+  const wb = readWorkbook(filePath);
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  if (!ws || !ws['!ref']) return 0;
+  const range = xlsx.utils.decode_range(ws['!ref']);
+  const columns = headerColumns(xlsx, ws, range);
+  const statusCol = columns.get('status');
+  if (statusCol === undefined) return 0;
+  let masked = 0;
+  for (let r = range.s.r + 1; r <= range.e.r; r += 1) {
+    const cell = ws[xlsx.utils.encode_cell({ r, c: statusCol })];
+    if (!cell || !String(cell.v ?? '').trim()) continue;
+    maskCells(xlsx, ws, columns, r);
+    masked += 1;
+  }
+  if (masked) writeWorkbook(wb, filePath);
+  return masked;
+}
+
+function writeStatusToExcel(filePath, rowIndexZeroBased, statusValue) {
+  writeResultsToExcel(filePath, rowIndexZeroBased, { STATUS: statusValue });
+}
+
+module.exports = {
+  isCsv,
+  readAllRowsFromExcel,
+  writeResultsToExcel,
+  writeStatusToExcel,
+  maskProcessedRows,
+  normalizeRow,
+  normalizeExpiry,
+  splitCardNumber,
+  digitsOnly
+};
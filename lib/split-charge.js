@@ -0,0 +1,102 @@
+/*
+  Split charges for virtual cards whose balance is below the reservation amount.
+  Opt-in per brand ("splitCharges" in brands/<name>.json) or per run
+  (--split-charges / --no-split-charges):
+
+    { "enabled": true, "minAmount": 10, "maxAttempts": 6 }
+
+  After an insufficient-funds decline the amount still owed is retried at half
+  the declined amount, halving again on each further insufficient-funds decline.
+  Every approved part is a transaction of its own under the same order ID; once
+  one goes through the rest is tried in full again. Splitting stops when nothing
+  is owed, the next amount would be below minAmount, maxAttempts transactions
+  have been sent, or Braintree declines for any other reason.
+
+  Amounts are handled in the minor units of the row's currency (split.currency,
+  see lib/currency.js), so every part is a whole amount of that currency and is
+  written with its decimals (JPY 750, USD 750.00, KWD 750.000).
+*/
+
+const { toMinorUnits, fromMinorUnits } = require('./currency');
+
+const DEFAULT_SPLIT = { enabled: false, minAmount: 1, maxAttempts: 6 };
+
+// 2001 Insufficient Funds, 2002 Limit Exceeded, 2003 Cardholder's Activity Limit Exceeded
+const INSUFFICIENT_FUNDS_CODES = ['2001', '2002', '2003'];
+
+// Validates a brand's splitCharges section and fills in defaults; throws on unusable values
+function normalizeSplit(raw = {}) {
+  const split = { ...DEFAULT_SPLIT, enabled: Boolean(raw && raw.enabled) };
+  if (!raw) return split;
+  if (raw.minAmount !== undefined && raw.minAmount !== null && raw.minAmount !== '') {
+    const min = Number(raw.minAmount);
+    if (!Number.isFinite(min) || min <= 0) throw new Error('Split charge minAmount must be a positive amount');
+    split.minAmount = min;
+  }
+  if (raw.maxAttempts !== undefined && raw.maxAttempts !== null && raw.maxAttempts !== '') {
+    const max = Number(raw.maxAttempts);
+    if (!Number.isInteger(max) || max < 2) throw new Error('Split charge maxAttempts must be a whole number of at least 2');
+    split.maxAttempts = max;
+  }
+  return split;
+}
+
+function isInsufficientFunds(detail) {
+  return INSUFFICIENT_FUNDS_CODES.includes(String(detail.processorResponseCode || ''))
+    || /insufficient funds/i.test(String(detail.processorResponseText || ''));
+}
+
+/**
+ * Amount of the next transaction for a row, or null when splitting should stop.
+ * @param {{ minAmount: number, maxAttempts: number, currency?: string }} split
+ * @param {number} totalUnits the row's amount in minor units of split.currency
+ * @param {Array<{ amount: string, approved: boolean, insufficientFunds: boolean }>} attempts so far, in order
+ * @returns {string|null} e.g. "48.80"
+ */
+function nextSplitAmount(split, totalUnits, attempts) {
+  if (attempts.length >= split.maxAttempts) return null;
+  const last = attempts[attempts.length - 1];
+  if (!last || (!last.approved && !last.insufficientFunds)) return null;
+  const units = (amount) => toMinorUnits(amount, split.currency);
+  const chargedUnits = attempts.filter((a) => a.approved).reduce((sum, a) => sum + units(a.amount), 0);
+  const remainingUnits = totalUnits - chargedUnits;
+  if (remainingUnits <= 0) return null;
+  const next = last.approved ? remainingUnits : Math.min(remainingUnits, Math.floor(units(last.amount) / 2));
+  if (next < units(split.minAmount)) return null;
+  // An amount that was already declined for want of funds will not go through now either
+  if (attempts.some((a) => a.insufficientFunds && units(a.amount) <= next)) return null;
+  return fromMinorUnits(next, split.currency);
+}
+
+/**
+ * Folds the transactions sent for one row into a single result for the sheet.
+ * Status is the last approved status when the whole amount went through,
+ * PARTIALLY CHARGED when only part of it did, otherwise the last decline; a last
+ * transaction whose outcome is unknown (UNVERIFIED / UNCONFIRMED) keeps that status.
+ */
+function summarizeAttempts(totalUnits, attempts, currency) {
+  const approved = attempts.filter((a) => a.approved);
+  const chargedUnits = approved.reduce((sum, a) => sum + toMinorUnits(a.amount, currency), 0);
+  const last = attempts[attempts.length - 1] || {};
+  const lastApproved = approved[approved.length - 1];
+  let status = last.status || '';
+  if (lastApproved && !/^UN(CONFIRMED|VERIFIED)$/.test(status)) status = chargedUnits >= totalUnits ? lastApproved.status : 'PARTIALLY CHARGED';
+  return {
+    status,
+    transactionId: approved.map((a) => a.transactionId).filter(Boolean).join(', ') || last.transactionId || '',
+    processorResponseCode: last.processorResponseCode || '',
+    processorResponseText: last.processorResponseText || '',
+    amount: fromMinorUnits(chargedUnits, currency),
+    chargedAmount: fromMinorUnits(chargedUnits, currency),
+    remainingAmount: fromMinorUnits(Math.max(0, totalUnits - chargedUnits), currency)
+  };
+}
+
+module.exports = {
+  DEFAULT_SPLIT,
+  INSUFFICIENT_FUNDS_CODES,
+  normalizeSplit,
+  isInsufficientFunds,
+  nextSplitAmount,
+  summarizeAttempts
+};
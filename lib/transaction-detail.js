@@ -0,0 +1,98 @@
+/*
+  Reads the Braintree transaction detail page (body.transactions_show, see
+  html_templates_for_selectors/submit_page_selectors.html) into the fields
+  needed for reconciliation. Scraping happens in the page; parsing is plain
+  Node so it can be reused on saved markup.
+*/
+
+// Result columns written next to STATUS, in this order
+const RESULT_COLUMNS = {
+  status: 'STATUS',
+  transactionId: 'BT TRANSACTION ID',
+  processorResponseCode: 'PROCESSOR RESPONSE CODE',
+  processorResponseText: 'PROCESSOR RESPONSE TEXT',
+  gatewayRejectionReason: 'GATEWAY REJECTION REASON',
+  amount: 'SETTLED AMOUNT',
+  currency: 'SETTLED CURRENCY',
+  createdAt: 'BT CREATED AT',
+  chargedAmount: 'CHARGED AMOUNT',
+  remainingAmount: 'REMAINING AMOUNT'
+};
+
+// Runs in the browser: dt/dd pairs of the detail lists, the page heading and the status badge
+function collectDetailPage() {
+  const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+  const fields = {};
+  document.querySelectorAll('dl.detail_list dt').forEach((dt) => {
+    const dd = dt.nextElementSibling;
+    if (!dd || dd.tagName !== 'DD') return;
+    // dt may contain tooltip markup after the label; the label is the first text node
+    const label = clean(Array.from(dt.childNodes).filter((n) => n.nodeType === 3).map((n) => n.textContent).join(' '));
+    if (label && !(label in fields)) fields[label] = clean(dd.textContent);
+  });
+  const heading = Array.from(document.querySelectorAll('h2'))
+    .map((h) => clean(h.textContent))
+    .find((t) => /Transaction Detail/i.test(t)) || '';
+  const statusEl = document.querySelector('span.transaction-status, span[class*="transaction-status"]');
+  const historyCell = document.querySelector('table.sep tbody tr td');
+  return {
+    url: window.location.href,
+    heading,
+    status: statusEl ? clean(statusEl.textContent) : '',
+    firstHistoryTimestamp: historyCell ? clean(historyCell.textContent) : '',
+    fields
+  };
+}
+
+function field(fields, re) {
+  const key = Object.keys(fields).find((k) => re.test(k));
+  return key ? fields[key] : '';
+}
+
+function parseTransactionDetail(raw) {
+  const { fields = {} } = raw;
+  const idFromHeading = (raw.heading.match(/ID:\s*([A-Za-z0-9]+)/) || [])[1];
+  const idFromUrl = (String(raw.url || '').match(/\/transactions\/([a-z0-9]+)(?:[/?#]|$)/i) || [])[1];
+
+  // "$97.60 USD" / "€1,234.50 EUR" -> 97.60 / EUR
+  const amountText = field(fields, /^Amount$/i);
+  const amountMatch = amountText.match(/(-?[\d,]+(?:\.\d+)?)\s*([A-Z]{3})?/);
+
+  // Either one "2001 Insufficient Funds" field or separate code/text fields
+  let processorResponseCode = field(fields, /^Processor Response Code$/i);
+  let processorResponseText = field(fields, /^Processor Response Text$/i);
+  const combined = field(fields, /^Processor Response$/i);
+  if (combined && !processorResponseCode) {
+    const m = combined.match(/^(\d{4})\s*[-:]?\s*(.*)$/);
+    processorResponseCode = m ? m[1] : '';
+    processorResponseText = m ? m[2] : combined;
+  }
+
+  return {
+    transactionId: idFromHeading || idFromUrl || '',
+    status: raw.status || field(fields, /^Status$/i),
+    processorResponseCode,
+    processorResponseText,
+    gatewayRejectionReason: field(fields, /Gateway Rejection/i),
+    amount: amountMatch ? amountMatch[1].replace(/,/g, '') : '',
+    currency: amountMatch && amountMatch[2] ? amountMatch[2] : '',
+    createdAt: field(fields, /^(Transaction Date|Created)/i) || raw.firstHistoryTimestamp || '',
+    merchantAccount: field(fields, /^Merchant Account$/i),
+    orderId: field(fields, /^Order ID$/i)
+  };
+}
+
+async function scrapeTransactionDetail(page) {
+  return parseTransactionDetail(await page.evaluate(collectDetailPage));
+}
+
+// Maps a parsed detail to { COLUMN: value } for writeResultsToExcel
+function toResultColumns(detail) {
+  const out = {};
+  for (const [key, column] of Object.entries(RESULT_COLUMNS)) out[column] = detail[key] || '';
+  return out;
+}
+
+module.exports = {
+  RESULT_COLUMNS, collectDetailPage, parseTransactionDetail, scrapeTransactionDetail, toResultColumns
+};
@@ -0,0 +1,107 @@
+/*
+  Looks a reservation up in Braintree's transaction advanced search
+  (body.transaction_search_show, see html_templates_for_selectors/transactions_selectors.html).
+  Used when a run stopped after submit was clicked but before the status was
+  read, to decide between recording the existing transaction and retrying, and
+  to verify a submit whose transaction page never showed a status.
+*/
+
+const { scrapeTransactionDetail } = require('./transaction-detail');
+const { toMinorUnits, fromMinorUnits } = require('./currency');
+const {
+  loadSelectorConfig, resolveElement, waitForPage, checkPage
+} = require('./selectors');
+
+// Runs in the browser: first free-text criterion -> "Order ID is <orderId>", plus an exact
+// amount and a creation date range (MM/DD/YYYY) when given
+function fillSearchCriteria({ orderId, amount, createdMin, createdMax }) {
+  const row = document.querySelector('#search_text_fields .text_field_inputs');
+  if (!row) return false;
+  const set = (el, value) => {
+    if (!el) return;
+    el.value = value;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+  set(row.querySelector('select.text_field_field'), 'order_id');
+  set(row.querySelector('select.text_field_operator'), 'is');
+  set(row.querySelector('input.text_field_value'), orderId);
+  set(document.getElementById('search_amount_min'), amount);
+  set(document.getElementById('search_amount_max'), amount);
+  // The creation date range defaults to a recent window; without dates of our own it is switched off
+  const created = document.getElementById('Created');
+  const useDates = Boolean(createdMin && createdMax);
+  if (created && created.checked !== useDates) created.click();
+  if (useDates) {
+    set(document.getElementById('search_created_at_min'), createdMin);
+    set(document.getElementById('search_created_at_max'), createdMax);
+  }
+  return true;
+}
+
+// Date -> MM/DD/YYYY as the date pickers expect it
+function pickerDate(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())}/${d.getUTCFullYear()}`;
+}
+
+// Runs in the browser: transaction ids linked from the results, in page order
+function collectResultIds() {
+  const ids = [];
+  document.querySelectorAll('a[href*="/transactions/"]').forEach((a) => {
+    const m = (a.getAttribute('href') || '').match(/\/transactions\/([a-z0-9]+)(?:[/?#]|$)/i);
+    if (m && !['new', 'advanced_search'].includes(m[1]) && !ids.includes(m[1])) ids.push(m[1]);
+  });
+  return ids;
+}
+
+/**
+ * Searches from the advanced search page currently open in `page`. `orderId` is required;
+ * `amount` narrows to that exact amount (written with the decimals of `currency` when given,
+ * as typed otherwise) and `createdFrom`/`createdTo` (Dates) to those days.
+ * `selectors` is the loaded selector config (lib/selectors.js).
+ * Resolves to the scraped detail of the most recent match, or null when nothing matches.
+ */
+async function findTransaction(page, {
+  orderId, amount, currency, createdFrom, createdTo
+}, { timeoutMs = 30000, selectors = loadSelectorConfig() } = {}) {
+  const units = toMinorUnits(amount, currency);
+  let amountValue = '';
+  if (Number.isFinite(units)) amountValue = currency ? fromMinorUnits(units, currency) : String(amount).replace(/[^0-9.-]+/g, '');
+  await resolveElement(page, selectors, 'search.form', timeoutMs);
+  const filled = await page.evaluate(fillSearchCriteria, {
+    orderId: String(orderId),
+    amount: amountValue,
+    createdMin: createdFrom && createdTo ? pickerDate(createdFrom) : '',
+    createdMax: createdFrom && createdTo ? pickerDate(createdTo) : ''
+  });
+  if (!filled) throw new Error('Advanced search criteria fields not found');
+  const submit = await resolveElement(page, selectors, 'search.submit', timeoutMs);
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: timeoutMs }).catch(() => null),
+    page.click(submit.selector)
+  ]);
+
+  // Guard against a loose match: the detail page must carry the same order ID and amount
+  const sameTransaction = (detail) => (!detail.orderId || detail.orderId === String(orderId))
+    && (!amountValue || !detail.amount || Number(detail.amount) === Number(amountValue));
+
+  // A single match may open its detail page directly
+  if ((await checkPage(page, selectors, 'transactionDetail')).onPage) {
+    const detail = await scrapeTransactionDetail(page);
+    return sameTransaction(detail) ? { ...detail, matches: 1 } : null;
+  }
+  const ids = await page.evaluate(collectResultIds);
+  if (!ids.length) return null;
+  const detailUrl = new URL(page.url());
+  detailUrl.pathname = detailUrl.pathname.replace(/\/transactions\/.*$/, `/transactions/${ids[0]}`);
+  detailUrl.search = '';
+  await page.goto(detailUrl.toString(), { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+  await waitForPage(page, selectors, 'transactionDetail', timeoutMs);
+  const detail = await scrapeTransactionDetail(page);
+  if (!sameTransaction(detail)) return null;
+  return { ...detail, matches: ids.length };
+}
+
+module.exports = { findTransaction };
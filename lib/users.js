@@ -0,0 +1,147 @@
+/*
+  Local users of the control UI. Stored in <data>/users.json with scrypt
+  password hashes, never the passwords themselves:
+
+    [{ "username": "maria", "roles": ["operator"], "passwordHash": "scrypt:<salt>:<hash>", ... }]
+
+  Roles and what they allow (see PERMISSIONS):
+    operator - upload sheets, start / stop / resume runs, manage the queue, download results
+    reviewer - approve, edit or skip the row a review run is paused on
+    admin    - everything, plus brand profiles, merchant accounts, retention and users
+
+  The first account is created from the login page while no user exists and is
+  always an admin.
+*/
+
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./paths');
+
+const USERS_FILE = dataPath('users.json');
+const ROLES = ['operator', 'reviewer', 'admin'];
+const PERMISSIONS = {
+  run: ['operator', 'admin'],
+  review: ['reviewer', 'admin'],
+  manage: ['admin']
+};
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_BYTES = 64;
+
+const norm = (s) => String(s ?? '').trim();
+
+function loadUsers() {
+  const users = readJson(USERS_FILE, []);
+  return Array.isArray(users) ? users : [];
+}
+
+function saveUsers(users) {
+  writeJson(USERS_FILE, users);
+}
+
+function hasUsers() {
+  return loadUsers().length > 0;
+}
+
+// What the UI may see of a user
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function listUsers() {
+  return loadUsers().map(publicUser);
+}
+
+function findUser(username) {
+  const name = norm(username).toLowerCase();
+  return loadUsers().find((u) => u.username === name) || null;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_BYTES);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function passwordMatches(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function normalizeRoles(raw) {
+  const roles = Array.from(new Set((Array.isArray(raw) ? raw : String(raw || '').split(',')).map((r) => norm(r).toLowerCase()).filter(Boolean)));
+  for (const role of roles) {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role} (use ${ROLES.join(', ')})`);
+  }
+  if (!roles.length) throw new Error('At least one role is required');
+  return roles;
+}
+
+function can(user, permission) {
+  return Boolean(user) && (user.roles || []).some((role) => (PERMISSIONS[permission] || []).includes(role));
+}
+
+/**
+ * Creates a user or updates the roles (and, when given, the password) of an existing one.
+ * @param {{ username: string, password?: string, roles: string[]|string }} input
+ * @returns {object} the saved user without its hash
+ */
+function saveUser(input) {
+  const username = norm(input.username).toLowerCase();
+  if (!/^[a-z0-9._-]{2,40}$/.test(username)) throw new Error('Username must be 2-40 letters, digits, dots, dashes or underscores');
+  const roles = normalizeRoles(input.roles);
+  const password = String(input.password ?? '');
+  const users = loadUsers();
+  const existing = users.find((u) => u.username === username);
+  if (!existing && !password) throw new Error('A password is required for a new user');
+  if (password && password.length < MIN_PASSWORD_LENGTH) throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  if (existing && existing.roles.includes('admin') && !roles.includes('admin') && !otherAdmins(users, username).length) {
+    throw new Error('The last admin cannot lose the admin role');
+  }
+  const now = new Date().toISOString();
+  const user = {
+    ...(existing || { username, createdAt: now }),
+    roles,
+    updatedAt: now
+  };
+  if (password) user.passwordHash = hashPassword(password);
+  saveUsers(existing ? users.map((u) => (u.username === username ? user : u)) : [...users, user]);
+  return publicUser(user);
+}
+
+function otherAdmins(users, username) {
+  return users.filter((u) => u.username !== username && (u.roles || []).includes('admin'));
+}
+
+function removeUser(username) {
+  const name = norm(username).toLowerCase();
+  const users = loadUsers();
+  const user = users.find((u) => u.username === name);
+  if (!user) return false;
+  if (user.roles.includes('admin') && !otherAdmins(users, name).length) throw new Error('The last admin cannot be deleted');
+  saveUsers(users.filter((u) => u.username !== name));
+  return true;
+}
+
+// The user when the password is right, otherwise null
+function authenticate(username, password) {
+  const user = findUser(username);
+  if (!user || !passwordMatches(password, user.passwordHash)) return null;
+  return publicUser(user);
+}
+
+module.exports = {
+  USERS_FILE,
+  ROLES,
+  PERMISSIONS,
+  MIN_PASSWORD_LENGTH,
+  hasUsers,
+  listUsers,
+  findUser,
+  saveUser,
+  removeUser,
+  authenticate,
+  can
+};
@@ -0,0 +1,132 @@
+/*
+  Pre-flight validation of input rows, run before the browser is launched.
+  Works on readAllRowsFromExcel output mapped through the selected profile and
+  the merchant registry, so it sees exactly the values the form would get.
+  The report carries row numbers and reasons only, never card data.
+
+  A row whose currency differs from its merchant account's known currency is
+  invalid (lib/currency.js), as is an amount with more decimals than it allows.
+
+  Expired cards are not invalid: like rows outside their charge window they
+  are skipped with a status of their own (see lib/charge-window.js) and only
+  counted here.
+*/
+
+const { applyProfile } = require('./mapping');
+const {
+  loadMerchantAccounts, loadAccountCurrencies, merchantAccountCurrency, resolveRowMerchantAccount
+} = require('./merchants');
+const { isCurrencyCode, amountError, currencyMismatch } = require('./currency');
+const { DEFAULT_WINDOW, dueState } = require('./charge-window');
+
+function rowStatus(row) {
+  return String(row.STATUS ?? row.Status ?? row.status ?? '').trim();
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i -= 1) {
+    let d = Number(digits[i]);
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+function validateValues(values) {
+  const errors = [];
+
+  const card = String(values.cardNumber || '').replace(/\D+/g, '');
+  if (!card) errors.push('Card number missing');
+  else if (card.length < 13 || card.length > 19) errors.push(`Card number has ${card.length} digits`);
+  else if (!luhnValid(card)) errors.push('Card number fails Luhn check');
+
+  const expiry = String(values.expirationDate || '');
+  if (!expiry) errors.push('Expiry missing');
+  else if (!/^(0[1-9]|1[0-2])\/\d{4}$/.test(expiry)) errors.push(`Expiry "${expiry}" is not MM/YYYY`);
+
+  const cvv = String(values.cvv || '').replace(/\D+/g, '');
+  if (cvv.length < 3 || cvv.length > 4) errors.push('CVV must be 3 or 4 digits');
+
+  // Precision follows the row's currency (or its merchant account's); two decimals when neither is known
+  const currency = String(values.currency || '').trim();
+  if (currency && !isCurrencyCode(currency)) errors.push(`Currency "${currency}" is not a three-letter code`);
+  const amountProblem = amountError(values.amount, isCurrencyCode(currency) ? currency : '');
+  if (amountProblem) errors.push(amountProblem);
+
+  if (!String(values.orderId || '').trim()) errors.push('Reservation ID missing');
+  if (!String(values.merchantAccount || '').trim()) errors.push('No merchant account (no MAIDS value and no registry mapping)');
+
+  return errors;
+}
+
+/**
+ * @param {Array<object>} rows
+ * @param {{ profile: object, merchantAccounts?: Array<object>, today?: Date, window?: object }} options
+ *   window is the brand's charge window (lib/charge-window.js)
+ * @returns {{ total: number, pending: number, valid: number, invalid: number, alreadyProcessed: number,
+ *   due: { dueToday: number, notYetDue: number, overdue: number, expired: number },
+ *   invalidRows: number[], issues: Array<{ row: number, orderId: string, errors: string[] }> }}
+ *   invalidRows are zero-based indexes; issues[].row is 1-based as shown in logs
+ */
+function validateRows(rows, {
+  profile, merchantAccounts = loadMerchantAccounts(), today = new Date(), window = DEFAULT_WINDOW
+}) {
+  const issues = [];
+  const seen = new Map();
+  const pending = [];
+  const accountCurrencies = loadAccountCurrencies();
+  const due = {
+    dueToday: 0, notYetDue: 0, overdue: 0, expired: 0
+  };
+  const dueKeys = {
+    due: 'dueToday', 'not-yet-due': 'notYetDue', overdue: 'overdue', expired: 'expired'
+  };
+
+  rows.forEach((row, idx) => {
+    if (rowStatus(row)) return;
+    const values = applyProfile(profile, row);
+    values.merchantAccount = resolveRowMerchantAccount(values, merchantAccounts).merchantAccount;
+    const accountCurrency = merchantAccountCurrency(values.merchantAccount, merchantAccounts, accountCurrencies);
+    const errors = validateValues({ ...values, currency: values.currency || accountCurrency });
+    const mismatch = currencyMismatch(values.currency, accountCurrency, values.merchantAccount);
+    if (mismatch) errors.push(mismatch);
+    due[dueKeys[dueState(values, { today, window }).state]] += 1;
+    const orderId = String(values.orderId || '').trim();
+    if (orderId) seen.set(orderId, [...(seen.get(orderId) || []), idx]);
+    pending.push({ idx, orderId, errors });
+  });
+
+  // Rows charged earlier in the same sheet still count as duplicates
+  rows.forEach((row, idx) => {
+    if (!rowStatus(row)) return;
+    const orderId = String(applyProfile(profile, row).orderId || '').trim();
+    if (orderId && seen.has(orderId)) seen.set(orderId, [...seen.get(orderId), idx]);
+  });
+
+  for (const entry of pending) {
+    const dupes = (seen.get(entry.orderId) || []).filter((i) => i !== entry.idx);
+    if (dupes.length) {
+      entry.errors.push(`Duplicate reservation ID (also on row ${dupes.map((i) => i + 1).join(', ')})`);
+    }
+    if (entry.errors.length) issues.push({ row: entry.idx + 1, orderId: entry.orderId, errors: entry.errors });
+  }
+
+  return {
+    total: rows.length,
+    pending: pending.length,
+    valid: pending.length - issues.length,
+    invalid: issues.length,
+    alreadyProcessed: rows.length - pending.length,
+    due,
+    invalidRows: issues.map((i) => i.row - 1),
+    issues
+  };
+}
+
+module.exports = { validateRows, validateValues, luhnValid };
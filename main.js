@@ -6,6 +6,9 @@ if (!app.requestSingleInstanceLock()) {
   app.quit();
 }
 
+// runner.js binds to loopback only; 'localhost' may resolve to ::1 first
+const UI_URL = `http://127.0.0.1:${process.env.PORT || 3000}`;
+
 let win;
 function createWindow() {
   win = new BrowserWindow({
@@ -17,8 +20,8 @@ function createWindow() {
     }
   });
   win.on('closed', () => { win = null; });
-  // Load the local UI server
-  win.loadURL('http://localhost:3000');
+  // Same sign-in as a browser: the UI redirects to its login page until a user signs in
+  win.loadURL(`${UI_URL}/login.html`);
 }
 
 function startServer() {
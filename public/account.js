@@ -0,0 +1,50 @@
+// Shared by every page: the signed-in user and a sign-out link in the nav, elements
+// marked data-permission="run|review|manage" hidden from users without it, and a
+// redirect to the login page once the session has expired.
+(function account() {
+  const nativeFetch = window.fetch.bind(window);
+
+  function toLogin() {
+    window.location.assign(`/login.html?next=${encodeURIComponent(window.location.pathname + window.location.search)}`);
+  }
+
+  window.fetch = async (...args) => {
+    const res = await nativeFetch(...args);
+    if (res.status === 401) toLogin();
+    return res;
+  };
+
+  async function signOut() {
+    try { await nativeFetch('/auth/logout', { method: 'POST' }); } catch (_) {}
+    window.location.assign('/login.html');
+  }
+
+  async function init() {
+    let json;
+    try {
+      json = await (await window.fetch('/auth/me')).json();
+    } catch (_) {
+      return;
+    }
+    if (!json.user) {
+      toLogin();
+      return;
+    }
+    for (const el of document.querySelectorAll('[data-permission]')) {
+      el.classList.toggle('no-permission', !json.permissions.includes(el.dataset.permission));
+    }
+    const nav = document.querySelector('.nav');
+    if (!nav) return;
+    const span = document.createElement('span');
+    span.className = 'account';
+    span.textContent = `${json.user.username} (${json.user.roles.join(', ')})`;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Sign out';
+    button.addEventListener('click', signOut);
+    span.appendChild(button);
+    nav.appendChild(span);
+  }
+
+  init();
+}());
@@ -0,0 +1,88 @@
+const form = document.getElementById('brand-form');
+const statusEl = document.getElementById('status');
+const entriesEl = document.getElementById('entries');
+
+function cell(text) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  return td;
+}
+
+// Form inputs are named after the profile path, e.g. "billing.postalCode"
+function fillForm(brand) {
+  form.reset();
+  for (const input of form.querySelectorAll('input[name]')) {
+    const value = input.name.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), brand);
+    if (input.type === 'checkbox') input.checked = Boolean(value);
+    else input.value = value ?? '';
+  }
+  form.scrollIntoView({ behavior: 'smooth' });
+}
+
+function readForm() {
+  const body = {
+    billing: {}, timeouts: {}, splitCharges: {}, chargeWindow: {}
+  };
+  for (const input of form.querySelectorAll('input[name]')) {
+    const value = input.type === 'checkbox' ? input.checked : input.value.trim();
+    const [group, key] = input.name.split('.');
+    if (key) body[group][key] = value;
+    else body[group] = value;
+  }
+  return body;
+}
+
+async function loadEntries() {
+  try {
+    const json = await (await fetch('/brands')).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load brands');
+    entriesEl.innerHTML = '';
+    for (const brand of json.brands) {
+      const tr = document.createElement('tr');
+      const actions = document.createElement('td');
+      if (!brand.error) {
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'link-btn';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => fillForm(brand));
+        actions.appendChild(edit);
+      }
+      const billing = brand.billing
+        ? [brand.billing.firstName, brand.billing.street, brand.billing.region, brand.billing.postalCode, brand.billing.countryName].filter(Boolean).join(', ')
+        : brand.error;
+      tr.append(
+        cell(brand.label && brand.label !== brand.name ? `${brand.label} (${brand.name})` : brand.name),
+        cell(brand.cardholderName || ''),
+        cell(billing),
+        cell(brand.reviewByDefault ? 'yes' : 'no'),
+        cell(brand.local ? 'local' : 'shipped'),
+        actions
+      );
+      entriesEl.appendChild(tr);
+    }
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  statusEl.textContent = '';
+  try {
+    const res = await fetch('/brands', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(readForm())
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Failed to save');
+    statusEl.textContent = `Saved brand ${json.brand.name} (${json.brand.cardholderName}).`;
+    form.reset();
+    loadEntries();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+loadEntries();
@@ -0,0 +1,169 @@
+const statusEl = document.getElementById('status');
+const runsEl = document.getElementById('runs');
+const detailEl = document.getElementById('detail');
+const rowsEl = document.getElementById('rows');
+const logEl = document.getElementById('log');
+const resumeBtn = document.getElementById('detailResume');
+
+function cell(text) {
+  const td = document.createElement('td');
+  td.textContent = text ?? '';
+  return td;
+}
+
+function fmtTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '';
+}
+
+function fmtCounts(counts) {
+  return Object.entries(counts || {}).map(([k, v]) => `${k}: ${v}`).join(', ');
+}
+
+// Links to a row's captures: the stage opens the screenshot, "html" the page snapshot
+function evidenceCell(run, row) {
+  const td = document.createElement('td');
+  const link = (text, file) => {
+    const a = document.createElement('a');
+    a.href = `/runs/${encodeURIComponent(run.id)}/evidence/${file}`;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.textContent = text;
+    return a;
+  };
+  for (const capture of (run.evidence || []).filter((c) => c.row === row)) {
+    if (td.childNodes.length) td.append(', ');
+    if (capture.screenshot) td.append(link(capture.stage, capture.screenshot));
+    if (capture.snapshot) td.append(' (', link('html', capture.snapshot), ')');
+  }
+  return td;
+}
+
+async function showRun(id) {
+  try {
+    const json = await (await fetch(`/runs/${encodeURIComponent(id)}`)).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load run');
+    const { run } = json;
+    document.getElementById('detailTitle').textContent = `Run ${run.id}`;
+    document.getElementById('detailMeta').textContent = `${run.brand} / ${run.mode} / mapping ${run.mapping || 'default'} — `
+      + `${run.startedBy ? `started by ${run.startedBy}, ` : ''}${fmtTime(run.startedAt)} to ${run.endedAt ? fmtTime(run.endedAt) : 'still running'}`
+      + `${run.exitCode !== null && run.exitCode !== undefined ? `, exit code ${run.exitCode}` : ''}`
+      + `${run.resumeFrom ? ` — resumed from ${run.resumeFrom}` : ''}${run.resumedBy ? ` — resumed by ${run.resumedBy}` : ''}`;
+    document.getElementById('detailDownload').href = `/runs/${encodeURIComponent(run.id)}/download`;
+    for (const format of ['xlsx', 'csv', 'pdf']) {
+      const link = document.getElementById(`report${format[0].toUpperCase()}${format.slice(1)}`);
+      link.href = `/runs/${encodeURIComponent(run.id)}/report?format=${format}`;
+    }
+    resumeBtn.hidden = !run.resumable;
+    resumeBtn.dataset.runId = run.id;
+    if (run.resumable) resumeBtn.textContent = `Resume from row ${run.checkpoint.row}`;
+    rowsEl.innerHTML = '';
+    for (const r of run.rows) {
+      const tr = document.createElement('tr');
+      const response = r.reason || [r.processorResponseCode, r.processorResponseText, r.gatewayRejectionReason].filter(Boolean).join(' ');
+      tr.append(cell(r.row), cell(r.orderId), cell(r.outcome), cell(r.status), cell(r.transactionId), cell(response), evidenceCell(run, r.row));
+      rowsEl.appendChild(tr);
+    }
+    logEl.textContent = run.log.length
+      ? run.log.map((entry) => `${fmtTime(entry.at)} ${entry.level.toUpperCase().padEnd(5)} ${entry.msg}`).join('\n')
+      : '(no log captured)';
+    detailEl.hidden = false;
+    detailEl.scrollIntoView({ behavior: 'smooth' });
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+// Resumed runs are followed on the Run page
+resumeBtn.addEventListener('click', async () => {
+  resumeBtn.disabled = true;
+  try {
+    const res = await fetch('/resume', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ runId: resumeBtn.dataset.runId })
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Failed to resume');
+    window.location.href = '/';
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+    resumeBtn.disabled = false;
+  }
+});
+
+async function loadRuns() {
+  try {
+    const json = await (await fetch('/runs')).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load runs');
+    runsEl.innerHTML = '';
+    if (!json.runs.length) statusEl.textContent = 'No runs yet.';
+    for (const run of json.runs) {
+      const tr = document.createElement('tr');
+      const idCell = document.createElement('td');
+      const link = document.createElement('a');
+      link.href = `#${run.id}`;
+      link.textContent = run.id;
+      link.addEventListener('click', () => showRun(run.id));
+      idCell.appendChild(link);
+      const exit = run.endedAt ? String(run.exitCode) : 'running';
+      tr.append(idCell, cell(fmtTime(run.startedAt)), cell(run.brand), cell(run.mode), cell(run.inputFile), cell(exit), cell(fmtCounts(run.counts)));
+      runsEl.appendChild(tr);
+    }
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+const retentionForm = document.getElementById('retention-form');
+
+async function loadRetention() {
+  try {
+    const json = await (await fetch('/retention')).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load retention policy');
+    retentionForm.uploadDays.value = json.retention.uploadDays;
+    retentionForm.evidenceDays.value = json.retention.evidenceDays;
+    document.getElementById('uploadCount').textContent = `${json.uploads} upload(s) and evidence of ${json.evidenceRuns} run(s) stored.`;
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const json = await res.json();
+  if (!json.ok) throw new Error(json.error || 'Request failed');
+  return json;
+}
+
+retentionForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const json = await postJson('/retention', { uploadDays: retentionForm.uploadDays.value, evidenceDays: retentionForm.evidenceDays.value });
+    const kept = (days) => (days ? `${days} day(s)` : 'forever');
+    statusEl.textContent = `Uploads are kept ${kept(json.retention.uploadDays)}, evidence ${kept(json.retention.evidenceDays)}.`;
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+document.getElementById('purgeBtn').addEventListener('click', async () => {
+  const days = retentionForm.olderThanDays.value;
+  const what = days === '' ? 'past the retention policy' : (Number(days) ? `older than ${days} day(s)` : 'not in use');
+  if (!window.confirm(`Delete every upload ${what}? Their output files can no longer be downloaded.`)) return;
+  try {
+    const json = await postJson('/purge', { olderThanDays: days });
+    statusEl.textContent = `Deleted ${json.removed.length} upload(s).`;
+    loadRetention();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+loadRetention();
+loadRuns().then(() => {
+  if (window.location.hash.length > 1) showRun(window.location.hash.slice(1));
+});
@@ -0,0 +1,54 @@
+const form = document.getElementById('login-form');
+const statusEl = document.getElementById('status');
+let setup = false;
+
+// Back to the page that sent us here; only same-site paths
+function nextUrl() {
+  const next = new URLSearchParams(window.location.search).get('next') || '/';
+  return next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+async function init() {
+  try {
+    const json = await (await fetch('/auth/me')).json();
+    if (json.user) {
+      window.location.replace(nextUrl());
+      return;
+    }
+    setup = Boolean(json.setup);
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+  if (setup) {
+    document.getElementById('title').textContent = 'Create the admin account';
+    document.getElementById('setupHint').hidden = false;
+    document.getElementById('confirmRow').hidden = false;
+    form.password.autocomplete = 'new-password';
+    form.confirm.required = true;
+    document.getElementById('submitBtn').textContent = 'Create account';
+  }
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  statusEl.textContent = '';
+  if (setup && form.password.value !== form.confirm.value) {
+    statusEl.textContent = 'Error: Passwords do not match';
+    return;
+  }
+  try {
+    const res = await fetch(setup ? '/auth/setup' : '/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: form.username.value, password: form.password.value })
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Sign-in failed');
+    window.location.replace(nextUrl());
+  } catch (err) {
+    form.password.value = '';
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+init();
@@ -0,0 +1,100 @@
+const form = document.getElementById('merchant-form');
+const statusEl = document.getElementById('status');
+const entriesEl = document.getElementById('entries');
+const currencyForm = document.getElementById('currency-form');
+const currenciesEl = document.getElementById('currencies');
+
+function cell(text) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  return td;
+}
+
+async function loadEntries() {
+  try {
+    const res = await fetch('/merchants');
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load mappings');
+    entriesEl.innerHTML = '';
+    for (const entry of json.entries) {
+      const tr = document.createElement('tr');
+      const actions = document.createElement('td');
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'link-btn';
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => removeEntry(entry));
+      actions.appendChild(del);
+      tr.append(cell(entry.hotelId), cell(entry.hotelName), cell(entry.currency || 'any'), cell(entry.merchantAccountId), actions);
+      entriesEl.appendChild(tr);
+    }
+    currenciesEl.innerHTML = '';
+    for (const [merchantAccountId, currency] of Object.entries(json.accountCurrencies || {})) {
+      const tr = document.createElement('tr');
+      const actions = document.createElement('td');
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'link-btn';
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => saveCurrency({ merchantAccountId, currency: '' }));
+      actions.appendChild(del);
+      tr.append(cell(merchantAccountId), cell(currency), actions);
+      currenciesEl.appendChild(tr);
+    }
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+async function removeEntry(entry) {
+  if (!window.confirm(`Delete mapping for ${entry.hotelId || entry.hotelName} (${entry.currency || 'any'})?`)) return;
+  const res = await fetch(`/merchants/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+  const json = await res.json();
+  statusEl.textContent = json.ok ? 'Mapping deleted.' : `Error: ${json.error}`;
+  loadEntries();
+}
+
+async function saveCurrency(body) {
+  statusEl.textContent = '';
+  try {
+    const res = await fetch('/merchants/currencies', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Failed to save');
+    statusEl.textContent = json.currency ? `Saved: ${json.merchantAccountId} settles in ${json.currency}` : `Removed currency of ${json.merchantAccountId}`;
+    currencyForm.reset();
+    loadEntries();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+currencyForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  saveCurrency(Object.fromEntries(new FormData(currencyForm).entries()));
+});
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  statusEl.textContent = '';
+  try {
+    const body = Object.fromEntries(new FormData(form).entries());
+    const res = await fetch('/merchants', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Failed to save');
+    statusEl.textContent = `Saved: ${json.entry.hotelId || json.entry.hotelName} -> ${json.entry.merchantAccountId}`;
+    form.reset();
+    loadEntries();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+loadEntries();
@@ -0,0 +1,188 @@
+const statusEl = document.getElementById('status');
+const jobsEl = document.getElementById('jobs');
+const pauseBtn = document.getElementById('pauseBtn');
+const scheduleForm = document.getElementById('schedule-form');
+const schedulesEl = document.getElementById('schedules');
+let paused = false;
+
+function cell(text) {
+  const td = document.createElement('td');
+  td.textContent = text ?? '';
+  return td;
+}
+
+function fmtTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '';
+}
+
+function actionButton(label, onClick, className = 'link-btn') {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = className;
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+async function post(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  const json = await res.json();
+  if (!json.ok) throw new Error(json.error || 'Request failed');
+  return json;
+}
+
+async function act(fn) {
+  statusEl.textContent = '';
+  try {
+    await fn();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+  loadQueue();
+}
+
+async function loadQueue() {
+  try {
+    const json = await (await fetch('/queue')).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load queue');
+    paused = json.paused;
+    pauseBtn.textContent = paused ? 'Resume queue' : 'Pause queue';
+    jobsEl.innerHTML = '';
+    if (!json.jobs.length) {
+      const tr = document.createElement('tr');
+      const td = cell('Nothing queued.');
+      td.colSpan = 8;
+      tr.appendChild(td);
+      jobsEl.appendChild(tr);
+    }
+    for (const job of json.jobs) {
+      const tr = document.createElement('tr');
+      const runCell = document.createElement('td');
+      if (job.runId) {
+        const link = document.createElement('a');
+        link.href = `/history.html#${job.runId}`;
+        link.textContent = job.runId;
+        runCell.appendChild(link);
+      }
+      const actions = document.createElement('td');
+      if (job.status === 'pending') {
+        actions.append(
+          actionButton('Up', () => act(() => post(`/queue/${encodeURIComponent(job.id)}/move`, { direction: 'up' })), 'link-btn neutral'),
+          ' ',
+          actionButton('Down', () => act(() => post(`/queue/${encodeURIComponent(job.id)}/move`, { direction: 'down' })), 'link-btn neutral'),
+          ' '
+        );
+      }
+      if (job.status === 'pending' || job.status === 'running') {
+        actions.appendChild(actionButton('Cancel', () => {
+          if (!window.confirm(job.status === 'running' ? `Stop the running job ${job.inputFile}?` : `Remove ${job.inputFile} from the queue?`)) return;
+          act(() => post(`/queue/${encodeURIComponent(job.id)}/cancel`));
+        }));
+      }
+      const status = job.error ? `${job.status}: ${job.error}` : job.status;
+      tr.append(cell(job.inputFile), cell(job.brand), cell(job.mode || 'brand default'), cell(job.mapping), cell(job.source === 'upload' && job.queuedBy ? `upload by ${job.queuedBy}` : job.source), cell(status), runCell, actions);
+      jobsEl.appendChild(tr);
+    }
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+pauseBtn.addEventListener('click', () => act(() => post('/queue/pause', { paused: !paused })));
+
+async function loadOptions() {
+  try {
+    const [brands, mappings] = await Promise.all([
+      (await fetch('/brands')).json(),
+      (await fetch('/mappings')).json()
+    ]);
+    const brandEl = document.getElementById('scheduleBrand');
+    for (const b of brands.brands || []) {
+      if (b.error) continue;
+      brandEl.appendChild(new Option(b.label, b.name, false, b.name === brands.defaultBrand));
+    }
+    const mappingEl = document.getElementById('scheduleMapping');
+    for (const p of mappings.profiles || []) {
+      mappingEl.appendChild(new Option(p.name, p.name, false, p.name === mappings.defaultProfile));
+    }
+  } catch (_) {}
+}
+
+function editSchedule(schedule) {
+  for (const el of scheduleForm.elements) {
+    if (!el.name) continue;
+    if (el.type === 'checkbox') el.checked = Boolean(schedule[el.name]);
+    else el.value = schedule[el.name] ?? '';
+  }
+  scheduleForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function loadSchedules() {
+  try {
+    const json = await (await fetch('/schedules')).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load schedules');
+    document.getElementById('defaultWatchDir').textContent = json.defaultWatchDir;
+    schedulesEl.innerHTML = '';
+    for (const schedule of json.schedules) {
+      const tr = document.createElement('tr');
+      const actions = document.createElement('td');
+      actions.append(
+        actionButton('Edit', () => editSchedule(schedule), 'link-btn neutral'),
+        ' ',
+        actionButton('Delete', async () => {
+          if (!window.confirm(`Delete schedule "${schedule.name}"?`)) return;
+          await fetch(`/schedules/${encodeURIComponent(schedule.id)}`, { method: 'DELETE' });
+          loadSchedules();
+        })
+      );
+      tr.append(
+        cell(schedule.enabled ? schedule.name : `${schedule.name} (disabled)`),
+        cell(schedule.cron),
+        cell(schedule.watchDir),
+        cell(schedule.brand),
+        cell(schedule.mode || 'brand default'),
+        cell(schedule.mapping),
+        cell(fmtTime(schedule.lastFiredAt)),
+        actions
+      );
+      schedulesEl.appendChild(tr);
+    }
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+scheduleForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  statusEl.textContent = '';
+  const body = {};
+  for (const el of scheduleForm.elements) {
+    if (!el.name) continue;
+    body[el.name] = el.type === 'checkbox' ? el.checked : el.value;
+  }
+  try {
+    const json = await post('/schedules', body);
+    statusEl.textContent = `Saved schedule "${json.schedule.name}".`;
+    scheduleForm.reset();
+    loadSchedules();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+// The hidden id is not cleared by reset(); without this "Clear" would keep editing the old schedule
+scheduleForm.addEventListener('reset', () => { scheduleForm.elements.id.value = ''; });
+
+// Queue changes are pushed over the log stream
+try {
+  const es = new EventSource('/logs');
+  for (const type of ['queue-changed', 'run-exited']) es.addEventListener(type, () => loadQueue());
+} catch (_) {}
+
+loadOptions();
+loadQueue();
+loadSchedules();
@@ -2,9 +2,67 @@ const form = document.getElementById('start-form');
 const statusEl = document.getElementById('status');
 const startBtn = document.getElementById('startBtn');
 const downloadBtn = document.getElementById('downloadBtn');
+const reportBtn = document.getElementById('reportBtn');
 const logEl = document.getElementById('log');
+const mappingEl = document.getElementById('mapping');
+const previewBtn = document.getElementById('previewBtn');
+const queueBtn = document.getElementById('queueBtn');
+const previewEl = document.getElementById('preview');
+const validationEl = document.getElementById('validation');
+const resumeBtn = document.getElementById('resumeBtn');
+const brandsEl = document.getElementById('brands');
+const sessionInfoEl = document.getElementById('sessionInfo');
+const forgetSessionBtn = document.getElementById('forgetSessionBtn');
+const logLevelEl = document.getElementById('logLevel');
 let running = false;
 
+// Live log: entries from lib/logger.js, shown from the chosen level up
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const MAX_LOG_ENTRIES = 5000;
+let logEntries = [];
+
+function formatLogEntry(entry) {
+  const time = entry.at ? new Date(entry.at).toLocaleTimeString() : '';
+  return `${time} ${entry.level.toUpperCase().padEnd(5)} ${entry.msg}`;
+}
+
+function shownLevel(entry) {
+  return LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(logLevelEl.value);
+}
+
+function renderLog() {
+  logEl.textContent = logEntries.filter(shownLevel).map((entry) => `${formatLogEntry(entry)}\n`).join('');
+  logEl.scrollTop = logEl.scrollHeight;
+}
+
+function addLogEntry(entry) {
+  logEntries.push(entry);
+  if (logEntries.length > MAX_LOG_ENTRIES) logEntries = logEntries.slice(-MAX_LOG_ENTRIES);
+  if (!shownLevel(entry)) return;
+  logEl.textContent += `${formatLogEntry(entry)}\n`;
+  logEl.scrollTop = logEl.scrollHeight;
+}
+
+function clearLog() {
+  logEntries = [];
+  logEl.textContent = '';
+}
+
+logLevelEl.addEventListener('change', renderLog);
+
+// Restore the active run's log after a page reload
+async function restoreRunLog() {
+  try {
+    const status = await (await fetch('/status')).json();
+    if (!status.ok || !status.runId) return;
+    const json = await (await fetch(`/runs/${encodeURIComponent(status.runId)}`)).json();
+    if (json.ok && json.run.log.length && !logEntries.length) {
+      logEntries = json.run.log.slice(-MAX_LOG_ENTRIES);
+      renderLog();
+    }
+  } catch (_) {}
+}
+
 async function refreshStatus() {
   try {
     const res = await fetch('/status');
@@ -12,6 +70,18 @@ async function refreshStatus() {
     if (json.ok) {
       running = Boolean(json.running);
       startBtn.textContent = running ? 'Stop' : 'Start';
+      if (json.awaitingReview && (!reviewing || reviewing.row !== json.awaitingReview.row)) showReview(json.awaitingReview);
+      const session = json.session || {};
+      sessionInfoEl.textContent = session.saved
+        ? `Saved Braintree session from ${new Date(session.savedAt).toLocaleString()}.`
+        : 'No saved session: the next run needs an interactive login.';
+      forgetSessionBtn.hidden = !session.saved || running;
+      // Offer to pick up the latest interrupted run where it stopped
+      resumeBtn.hidden = !json.resumable;
+      if (json.resumable) {
+        resumeBtn.dataset.runId = json.resumable.runId;
+        resumeBtn.textContent = `Resume ${json.resumable.inputFile} at row ${json.resumable.checkpoint.row}`;
+      }
       if (json.file) {
         downloadBtn.setAttribute('href', '/download');
         downloadBtn.removeAttribute('aria-disabled');
@@ -22,22 +92,213 @@ async function refreshStatus() {
   } catch (_) {}
 }
 
+async function loadMappings() {
+  try {
+    const res = await fetch('/mappings');
+    const json = await res.json();
+    if (!json.ok) return;
+    mappingEl.innerHTML = '';
+    for (const p of json.profiles) {
+      const opt = document.createElement('option');
+      opt.value = p.name;
+      opt.textContent = p.description ? `${p.name} — ${p.description}` : p.name;
+      if (p.name === json.defaultProfile) opt.selected = true;
+      mappingEl.appendChild(opt);
+    }
+  } catch (_) {}
+}
+
+// Brand radios come from the brand profiles; picking one applies its default review mode
+async function loadBrands() {
+  try {
+    const json = await (await fetch('/brands')).json();
+    if (!json.ok) return;
+    brandsEl.innerHTML = '';
+    for (const b of json.brands) {
+      if (b.error) continue;
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'brand';
+      input.value = b.name;
+      input.dataset.review = b.reviewByDefault ? 'review' : 'no-review';
+      input.checked = b.name === json.defaultBrand;
+      input.addEventListener('change', () => {
+        const mode = form.querySelector(`input[name="review"][value="${input.dataset.review}"]`);
+        if (mode) mode.checked = true;
+      });
+      label.append(input, ` ${b.label}`);
+      brandsEl.appendChild(label);
+    }
+    const checked = brandsEl.querySelector('input:checked');
+    if (checked) checked.dispatchEvent(new Event('change'));
+  } catch (_) {}
+}
+
+// Pre-flight counts of pending rows by charge window state (lib/charge-window.js)
+function dueSummary(due) {
+  if (!due) return '';
+  return `Charge window: ${due.dueToday} due today, ${due.overdue} overdue, ${due.notYetDue} not yet due, ${due.expired} expired card(s).`;
+}
+
+function renderPreview(json) {
+  previewEl.innerHTML = '';
+  const caption = document.createElement('caption');
+  caption.textContent = `Row ${json.row} of ${json.totalRows} mapped with "${json.profile}". ${dueSummary(json.due)}`;
+  previewEl.appendChild(caption);
+  for (const [field, value] of Object.entries(json.values)) {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    const td = document.createElement('td');
+    th.textContent = field;
+    td.textContent = value || '(empty)';
+    if (field === 'merchantAccount') {
+      if (json.merchantSource === 'registry') th.textContent = `${field} (registry)`;
+      if (!value) td.textContent = '(no MAIDS and no registry mapping — row will be skipped)';
+    }
+    if (!value) td.className = 'empty';
+    tr.append(th, td);
+    previewEl.appendChild(tr);
+  }
+  previewEl.hidden = false;
+}
+
+// Queued files run after the current run, one at a time (see the Queue page)
+queueBtn.addEventListener('click', async () => {
+  statusEl.textContent = '';
+  validationEl.hidden = true;
+  if (!form.inputFile.files.length) {
+    statusEl.textContent = 'Choose an input file to queue.';
+    return;
+  }
+  queueBtn.disabled = true;
+  try {
+    const res = await fetch('/queue', { method: 'POST', body: new FormData(form) });
+    const json = await res.json();
+    if (json.validation && (!json.ok || json.validation.invalid)) renderValidation(json);
+    if (!json.ok) throw new Error(json.error || 'Failed to queue');
+    statusEl.textContent = `Queued ${json.job.inputFile}. It starts when the runs ahead of it finish.`;
+    form.inputFile.value = '';
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  } finally {
+    queueBtn.disabled = false;
+  }
+});
+
+previewBtn.addEventListener('click', async () => {
+  statusEl.textContent = '';
+  previewEl.hidden = true;
+  const data = new FormData(form);
+  if (!form.inputFile.files.length) {
+    statusEl.textContent = 'Choose an input file to preview.';
+    return;
+  }
+  previewBtn.disabled = true;
+  try {
+    const res = await fetch('/preview', { method: 'POST', body: data });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Preview failed');
+    renderPreview(json);
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  } finally {
+    previewBtn.disabled = false;
+  }
+});
+
+function renderValidation(json) {
+  const v = json.validation;
+  validationEl.innerHTML = '';
+  const summary = document.createElement('p');
+  summary.textContent = `Pre-flight: ${v.pending} row(s) to process, ${v.valid} valid, ${v.invalid} invalid`
+    + (v.alreadyProcessed ? `, ${v.alreadyProcessed} already processed. ` : '. ') + dueSummary(v.due);
+  validationEl.appendChild(summary);
+  const table = document.createElement('table');
+  table.className = 'table';
+  for (const issue of v.issues) {
+    const tr = document.createElement('tr');
+    const row = document.createElement('td');
+    const order = document.createElement('td');
+    const errors = document.createElement('td');
+    row.textContent = `Row ${issue.row}`;
+    order.textContent = issue.orderId || '—';
+    errors.textContent = issue.errors.join('; ');
+    tr.append(row, order, errors);
+    table.appendChild(tr);
+  }
+  validationEl.appendChild(table);
+  if (v.truncated) {
+    const more = document.createElement('p');
+    more.textContent = `…and ${v.truncated} more invalid row(s). See the log for the full list.`;
+    validationEl.appendChild(more);
+  }
+  if (json.needsConfirmation) {
+    const buttons = document.createElement('div');
+    buttons.className = 'buttons';
+    const cont = document.createElement('button');
+    cont.type = 'button';
+    cont.className = 'btn-primary';
+    cont.textContent = `Continue with ${v.valid} valid row(s)`;
+    const abort = document.createElement('button');
+    abort.type = 'button';
+    abort.className = 'btn-secondary';
+    abort.textContent = 'Abort';
+    cont.addEventListener('click', async () => {
+      const data = new FormData(form);
+      data.delete('inputFile');
+      data.set('pendingFile', json.pendingFile);
+      data.set('skipInvalid', 'true');
+      cont.disabled = true;
+      abort.disabled = true;
+      try {
+        await startRun(data);
+      } catch (err) {
+        statusEl.textContent = `Error: ${err.message || String(err)}`;
+      }
+    });
+    abort.addEventListener('click', async () => {
+      await fetch('/discard', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pendingFile: json.pendingFile })
+      }).catch(() => {});
+      validationEl.hidden = true;
+      statusEl.textContent = 'Run aborted. Nothing was charged.';
+    });
+    buttons.append(cont, abort);
+    validationEl.appendChild(buttons);
+  }
+  validationEl.hidden = false;
+}
+
+async function startRun(data) {
+  const res = await fetch('/start', { method: 'POST', body: data });
+  const json = await res.json();
+  if (json.validation && (!json.ok || json.validation.invalid)) renderValidation(json);
+  if (json.needsConfirmation) {
+    statusEl.textContent = 'Some rows failed pre-flight validation. Review them below.';
+    startBtn.textContent = 'Start';
+    return;
+  }
+  if (!json.ok) throw new Error(json.error || 'Failed to start');
+  if (!json.validation.invalid) validationEl.hidden = true;
+  statusEl.textContent = `Started process (pid ${json.pid}). ${dueSummary(json.validation.due)}`;
+  running = true;
+  startBtn.textContent = 'Stop';
+  downloadBtn.removeAttribute('aria-disabled');
+}
+
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
   statusEl.textContent = '';
-  logEl.textContent = '';
+  validationEl.hidden = true;
+  clearLog();
   startBtn.disabled = true;
   try {
     if (!running) {
       startBtn.textContent = 'Starting...';
-      const data = new FormData(form);
-      const res = await fetch('/start', { method: 'POST', body: data });
-      const json = await res.json();
-      if (!json.ok) throw new Error(json.error || 'Failed to start');
-      statusEl.textContent = `Started process (pid ${json.pid}).`;
-      running = true;
-      startBtn.textContent = 'Stop';
-      downloadBtn.removeAttribute('aria-disabled');
+      await startRun(new FormData(form));
     } else {
       startBtn.textContent = 'Stopping...';
       const res = await fetch('/stop', { method: 'POST' });
@@ -54,25 +315,265 @@ form.addEventListener('submit', async (e) => {
   }
 });
 
-// Live logs via SSE
+resumeBtn.addEventListener('click', async () => {
+  statusEl.textContent = '';
+  clearLog();
+  resumeBtn.disabled = true;
+  try {
+    const res = await fetch('/resume', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ runId: resumeBtn.dataset.runId })
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Failed to resume');
+    statusEl.textContent = `Resumed run ${json.resumedFrom} (pid ${json.pid}).`;
+    resumeBtn.hidden = true;
+    running = true;
+    startBtn.textContent = 'Stop';
+    downloadBtn.removeAttribute('aria-disabled');
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  } finally {
+    resumeBtn.disabled = false;
+  }
+});
+
+forgetSessionBtn.addEventListener('click', async () => {
+  if (!window.confirm('Forget the saved Braintree session? The next run will ask for username, password and code.')) return;
+  try {
+    const json = await (await fetch('/session', { method: 'DELETE' })).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to clear session');
+    refreshStatus();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+// Per-row progress driven by the automation's typed events
+const progressEl = document.getElementById('progress');
+const phaseEl = document.getElementById('phase');
+const progressRowsEl = document.getElementById('progressRows');
+const selectorWarningsEl = document.getElementById('selectorWarnings');
+const failureSummaryEl = document.getElementById('failureSummary');
+const counterEls = {
+  started: document.getElementById('countStarted'),
+  submitted: document.getElementById('countSubmitted'),
+  approved: document.getElementById('countApproved'),
+  declined: document.getElementById('countDeclined'),
+  skipped: document.getElementById('countSkipped'),
+  failed: document.getElementById('countFailed')
+};
+let counters = {};
+const progressRows = new Map();
+
+function resetProgress() {
+  counters = {
+    started: 0, submitted: 0, approved: 0, declined: 0, skipped: 0, failed: 0
+  };
+  progressRows.clear();
+  progressRowsEl.innerHTML = '';
+  selectorWarningsEl.innerHTML = '';
+  selectorWarningsEl.hidden = true;
+  failureSummaryEl.innerHTML = '';
+  failureSummaryEl.hidden = true;
+  phaseEl.textContent = '';
+  renderCounters();
+}
+
+function renderCounters() {
+  for (const [key, el] of Object.entries(counterEls)) el.textContent = String(counters[key] || 0);
+}
+
+function bump(key) {
+  counters[key] = (counters[key] || 0) + 1;
+  renderCounters();
+}
+
+function setRow(data, state, status, detail) {
+  let tr = progressRows.get(data.row);
+  if (!tr) {
+    tr = document.createElement('tr');
+    for (let i = 0; i < 5; i += 1) tr.appendChild(document.createElement('td'));
+    tr.cells[0].textContent = String(data.row);
+    progressRows.set(data.row, tr);
+    progressRowsEl.appendChild(tr);
+  }
+  if (data.orderId) tr.cells[1].textContent = data.orderId;
+  tr.cells[2].textContent = state;
+  tr.className = `state-${state}`;
+  if (status !== undefined) tr.cells[3].textContent = status;
+  if (detail !== undefined) tr.cells[4].textContent = detail;
+}
+
+function setRunning(value) {
+  running = value;
+  startBtn.textContent = running ? 'Stop' : 'Start';
+}
+
+// Review mode: the automation pauses after each fill until one of these actions is posted
+const reviewEl = document.getElementById('review');
+const reviewValuesEl = document.getElementById('reviewValues');
+const reviewErrorsEl = document.getElementById('reviewErrors');
+let reviewing = null;
+
+function showReview(d) {
+  reviewing = d;
+  document.getElementById('reviewRow').textContent = `${d.row}${d.orderId ? ` (${d.orderId})` : ''}`;
+  reviewErrorsEl.innerHTML = '';
+  for (const err of d.errors || []) {
+    const li = document.createElement('li');
+    li.textContent = err;
+    reviewErrorsEl.appendChild(li);
+  }
+  reviewErrorsEl.hidden = !(d.errors && d.errors.length);
+  reviewValuesEl.innerHTML = '';
+  for (const [field, value] of Object.entries(d.values || {})) {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    const td = document.createElement('td');
+    th.textContent = field;
+    if ((d.editable || []).includes(field)) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = field;
+      input.value = value || '';
+      input.dataset.original = value || '';
+      td.appendChild(input);
+    } else {
+      td.textContent = value || '(empty)';
+    }
+    tr.append(th, td);
+    reviewValuesEl.appendChild(tr);
+  }
+  reviewEl.hidden = false;
+  progressEl.hidden = false;
+}
+
+function hideReview() {
+  reviewing = null;
+  reviewEl.hidden = true;
+}
+
+reviewEl.addEventListener('click', async (e) => {
+  const action = e.target && e.target.dataset ? e.target.dataset.action : null;
+  if (!action || !reviewing) return;
+  if (action === 'abort' && !window.confirm('Abort the run? Remaining rows will not be processed.')) return;
+  const values = {};
+  for (const input of reviewValuesEl.querySelectorAll('input')) {
+    if (input.value !== input.dataset.original) values[input.name] = input.value;
+  }
+  if (action === 'edit' && !Object.keys(values).length) {
+    statusEl.textContent = 'Change at least one field before refilling.';
+    return;
+  }
+  try {
+    const res = await fetch('/review', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ row: reviewing.row, action, values })
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Review action failed');
+    statusEl.textContent = '';
+    hideReview();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+const eventHandlers = {
+  'run-started': (d) => {
+    resetProgress();
+    progressEl.hidden = false;
+    reportBtn.hidden = true;
+    phaseEl.textContent = d.resumedFrom ? `Resuming run ${d.resumedFrom}: starting browser...` : 'Starting browser...';
+    setRunning(true);
+  },
+  'login-required': (d) => {
+    phaseEl.textContent = `${d.sessionExpired ? 'Saved session expired. ' : ''}Login required: sign in to Braintree in the Chromium window.`;
+  },
+  'otp-required': () => { phaseEl.textContent = 'One-time code required: enter it in the Chromium window.'; },
+  'row-started': (d) => {
+    phaseEl.textContent = `Processing row ${d.row}...`;
+    bump('started');
+    setRow(d, 'filling');
+  },
+  'row-filled': (d) => setRow(d, 'filled'),
+  'awaiting-review': (d) => {
+    phaseEl.textContent = `Row ${d.row} is filled and waiting for review.`;
+    setRow(d, 'review');
+    showReview(d);
+  },
+  'row-submitted': (d) => {
+    bump('submitted');
+    setRow(d, 'submitted');
+  },
+  'row-status': (d) => {
+    if (/declined|rejected|failed/i.test(d.status || '')) bump('declined');
+    else if (d.status && !/^UN(CONFIRMED|VERIFIED)$/.test(d.status)) bump('approved');
+    setRow(d, 'done', d.status, [d.recovered ? 'found after resume:' : '', d.verified ? 'found by search:' : '',
+      d.attempts && d.attempts.length > 1 ? `split: ${d.chargedAmount} charged, ${d.remainingAmount} remaining;` : '', d.transactionId, d.processorResponseCode, d.processorResponseText, d.gatewayRejectionReason].filter(Boolean).join(' '));
+  },
+  // Braintree markup no longer matches selectors/braintree.json or the saved snapshots
+  'selector-drift': (d) => {
+    for (const problem of d.problems || []) {
+      const li = document.createElement('li');
+      li.textContent = `${d.page ? `${d.page}: ` : ''}${problem}`;
+      if (d.blocking) li.className = 'blocking';
+      selectorWarningsEl.appendChild(li);
+    }
+    selectorWarningsEl.hidden = !selectorWarningsEl.children.length;
+  },
+  'row-skipped': (d) => {
+    bump('skipped');
+    // Rows finished in an earlier run only count; listing thousands of them buries the rows that matter
+    if (d.outcome !== 'already-processed') setRow(d, 'skipped', d.status || '', d.reason || '');
+  },
+  // Retries exhausted, failed after submit, or the browser went away
+  'row-failed': (d) => {
+    bump('failed');
+    setRow(d, 'failed', d.failureClass, d.reason || '');
+  },
+  'run-finished': (d) => {
+    phaseEl.textContent = d.exitCode ? `Run stopped (exit code ${d.exitCode}${d.reason ? `: ${d.reason}` : ''}).` : 'Run finished.';
+    failureSummaryEl.innerHTML = '';
+    for (const f of d.failures || []) {
+      const li = document.createElement('li');
+      li.textContent = `Row ${f.row}${f.orderId ? ` (${f.orderId})` : ''} — ${f.failureClass}${f.attempts > 1 ? ` after ${f.attempts} attempts` : ''}: ${f.reason}`;
+      li.className = `failure-${f.failureClass}`;
+      failureSummaryEl.appendChild(li);
+    }
+    failureSummaryEl.hidden = !failureSummaryEl.children.length;
+  },
+  'run-exited': (d) => {
+    hideReview();
+    // Written by the runner once the process is gone (lib/report.js)
+    reportBtn.hidden = !d.report;
+    if (d.report) reportBtn.href = `/runs/${encodeURIComponent(d.runId)}/report?format=xlsx`;
+    if (!phaseEl.textContent || !/^Run /.test(phaseEl.textContent)) phaseEl.textContent = `Process exited with code ${d.code}.`;
+    setRunning(false);
+  }
+};
+
+// Live logs and events via SSE
 try {
   const es = new EventSource('/logs');
   es.onmessage = (e) => {
-    logEl.textContent += `${e.data}\n`;
-    logEl.scrollTop = logEl.scrollHeight;
-    if (e.data.includes('Started process pid=')) {
-      running = true;
-      startBtn.textContent = 'Stop';
-    }
-    if (e.data.includes('Process exited')) {
-      running = false;
-      startBtn.textContent = 'Start';
-    }
+    try { addLogEntry(JSON.parse(e.data)); } catch (_) {}
   };
+  for (const [type, handler] of Object.entries(eventHandlers)) {
+    es.addEventListener(type, (e) => {
+      try { handler(JSON.parse(e.data)); } catch (_) {}
+    });
+  }
 } catch (err) {
   // ignore
 }
 
+loadBrands();
+loadMappings();
+restoreRunLog();
 refreshStatus();
 setInterval(refreshStatus, 5000);
 
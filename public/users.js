@@ -0,0 +1,99 @@
+const form = document.getElementById('user-form');
+const statusEl = document.getElementById('status');
+const usersEl = document.getElementById('users');
+const auditEl = document.getElementById('audit');
+
+function cell(text) {
+  const td = document.createElement('td');
+  td.textContent = text ?? '';
+  return td;
+}
+
+function fmtTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '';
+}
+
+function fillForm(user) {
+  form.username.value = user.username;
+  form.password.value = '';
+  for (const box of form.querySelectorAll('input[name="roles"]')) box.checked = user.roles.includes(box.value);
+  form.username.focus();
+}
+
+async function loadUsers() {
+  try {
+    const json = await (await fetch('/users')).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load users');
+    usersEl.innerHTML = '';
+    for (const user of json.users) {
+      const tr = document.createElement('tr');
+      const actions = document.createElement('td');
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'link-btn neutral';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => fillForm(user));
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'link-btn';
+      del.textContent = 'Delete';
+      del.style.marginLeft = '12px';
+      del.addEventListener('click', () => removeUser(user));
+      actions.append(edit, del);
+      tr.append(cell(user.username), cell(user.roles.join(', ')), cell(fmtTime(user.createdAt)), cell(fmtTime(user.updatedAt)), actions);
+      usersEl.appendChild(tr);
+    }
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+async function loadAudit() {
+  try {
+    const json = await (await fetch('/audit')).json();
+    if (!json.ok) throw new Error(json.error || 'Failed to load the audit log');
+    auditEl.innerHTML = '';
+    for (const entry of json.entries) {
+      const { at, user, action, ...detail } = entry;
+      const tr = document.createElement('tr');
+      const details = Object.entries(detail).map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(', ') : v}`).join('; ');
+      tr.append(cell(fmtTime(at)), cell(user), cell(action), cell(details));
+      auditEl.appendChild(tr);
+    }
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+async function removeUser(user) {
+  if (!window.confirm(`Delete user ${user.username}? They are signed out at once.`)) return;
+  const res = await fetch(`/users/${encodeURIComponent(user.username)}`, { method: 'DELETE' });
+  const json = await res.json();
+  statusEl.textContent = json.ok ? 'User deleted.' : `Error: ${json.error}`;
+  loadUsers();
+  loadAudit();
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  statusEl.textContent = '';
+  try {
+    const roles = Array.from(form.querySelectorAll('input[name="roles"]:checked'), (box) => box.value);
+    const res = await fetch('/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: form.username.value, password: form.password.value, roles })
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Failed to save user');
+    statusEl.textContent = `Saved ${json.user.username} (${json.user.roles.join(', ')}).`;
+    form.reset();
+    loadUsers();
+    loadAudit();
+  } catch (err) {
+    statusEl.textContent = `Error: ${err.message || String(err)}`;
+  }
+});
+
+loadUsers();
+loadAudit();
@@ -3,10 +3,56 @@ const path = require('path');
 const fs = require('fs');
 const express = require('express');
 const multer = require('multer');
+const os = require('os');
 const { spawn } = require('child_process');
+const { readAllRowsFromExcel } = require('./lib/sheet');
+const { listProfiles, loadProfile, applyProfile, DEFAULT_PROFILE } = require('./lib/mapping');
+const { maskFormValues } = require('./lib/mask');
+const { validateRows } = require('./lib/validate');
+const {
+  runDir, runLogFile, createRun, updateRun, recordRowOutcome, finishRun, writeCheckpoint, readCheckpoint, isResumable, removeBrowserProfile,
+  listRuns, getRun
+} = require('./lib/runs');
+const { isEvent } = require('./lib/events');
+const { REVIEW_ACTIONS } = require('./lib/review');
+const {
+  loadMerchantAccounts, resolveRowMerchantAccount, upsertMerchantAccount, removeMerchantAccount,
+  loadAccountCurrencies, setAccountCurrency, merchantAccountCurrency
+} = require('./lib/merchants');
+const { formatAmount } = require('./lib/currency');
+const {
+  DEFAULT_BRAND, listBrands, loadBrand, saveBrand, brandFormValues
+} = require('./lib/brands');
+const { sessionInfo, clearSession } = require('./lib/session');
+const {
+  loadQueue, enqueueJob, updateJob, findJobByRun, moveJob, setPaused, markInterruptedJobs
+} = require('./lib/queue');
+const {
+  DEFAULT_WATCH_DIR, resolveWatchDir, inDataDir, loadSchedules, upsertSchedule, removeSchedule, markFired, dueSchedules, watchedFiles
+} = require('./lib/schedules');
+const { dataDir, ensureDir, dataPath } = require('./lib/paths');
+const { createLogger, isLogMessage } = require('./lib/logger');
+const {
+  ENCRYPTED_EXT, plainName, readFileDecrypted, writeFileEncrypted
+} = require('./lib/encryption');
+const { loadRetention, saveRetention, purgeDir, purgeSubdirs } = require('./lib/retention');
+const { EVIDENCE_DIR, listEvidence, evidenceFile } = require('./lib/evidence');
+const { FORMATS: REPORT_FORMATS, writeReport, ensureReport } = require('./lib/report');
+const {
+  PERMISSIONS, hasUsers, listUsers, findUser, saveUser, removeUser, authenticate, can
+} = require('./lib/users');
+const {
+  sessionCookie, clearedCookie, createSession, sessionUser, destroySession, destroyUserSessions,
+  lockedMinutes, recordLoginFailure, clearLoginFailures
+} = require('./lib/auth');
+const { audit, readAudit } = require('./lib/audit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Loopback only unless HOST says otherwise: the UI can download sheets full of card data
+const HOST = process.env.HOST || '127.0.0.1';
+// Runs inherit BRAINTREE_BASE_URL; the saved session shown in the UI is the one for that gateway
+const SESSION_HOST = process.env.BRAINTREE_BASE_URL ? new URL(process.env.BRAINTREE_BASE_URL).host : undefined;
 const projectRoot = __dirname;
 const publicDir = path.join(projectRoot, 'public');
 const uploadsDir = path.join(projectRoot, 'uploads');
@@ -15,34 +61,97 @@ const uploadsDir = path.join(projectRoot, 'uploads');
 try { fs.mkdirSync(publicDir, { recursive: true }); } catch (_) {}
 try { fs.mkdirSync(uploadsDir, { recursive: true }); } catch (_) {}
 
-app.use(express.static(publicDir));
 app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+// Reachable without signing in: the login page and the endpoints it calls
+const PUBLIC_PATHS = new Set(['/login.html', '/login.js', '/styles.css', '/auth/me', '/auth/login', '/auth/setup']);
 
-// Configure disk storage to save as /uploads/<originalName>_<timestamp>.xlsx
-const storage = multer.diskStorage({
-  destination: function destination(req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function filename(req, file, cb) {
-    const original = file.originalname || 'input_file.xlsx';
-    const ext = path.extname(original) || '.xlsx';
-    const base = path.basename(original, ext).replace(/[^a-zA-Z0-9._-]+/g, '_') || 'input_file';
-    const ts = Date.now();
-    cb(null, `${base}_${ts}${ext}`);
+// Everything else needs a signed-in user (lib/users.js, lib/auth.js); pages redirect to the login page
+function requireLogin(req, res, next) {
+  const username = sessionUser(req.headers.cookie);
+  const user = username && findUser(username);
+  if (user) req.user = { username: user.username, roles: user.roles };
+  if (req.user || PUBLIC_PATHS.has(req.path)) return next();
+  if (req.method === 'GET' && (req.path === '/' || req.path.endsWith('.html'))) {
+    return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
   }
-});
-const upload = multer({ storage });
+  return res.status(401).json({ ok: false, error: 'Sign in required' });
+}
+
+// Route guard for a permission of lib/users.js PERMISSIONS
+function allow(permission) {
+  return (req, res, next) => {
+    if (can(req.user, permission)) return next();
+    return res.status(403).json({ ok: false, error: `Requires the ${PERMISSIONS[permission].join(' or ')} role` });
+  };
+}
+
+app.use(requireLogin);
+app.use(express.static(publicDir));
+
+// Name inside uploads/: <originalName>_<timestamp>.<xlsx|csv>.enc
+function uploadFileName(original = 'input_file.xlsx') {
+  const ext = path.extname(original) || '.xlsx';
+  const base = path.basename(original, ext).replace(/[^a-zA-Z0-9._-]+/g, '_') || 'input_file';
+  return `${base}_${Date.now()}${ext}${ENCRYPTED_EXT}`;
+}
+
+// Uploads are held in memory and only ever written encrypted (lib/encryption.js); req.file.path is the encrypted file
+function encryptedUpload(dir) {
+  const single = multer({ storage: multer.memoryStorage() }).single('inputFile');
+  return (req, res, next) => single(req, res, (err) => {
+    if (err || !req.file) return next(err);
+    try {
+      req.file.path = path.join(dir, uploadFileName(req.file.originalname || undefined));
+      writeFileEncrypted(req.file.path, req.file.buffer);
+      req.file.buffer = null;
+      return next();
+    } catch (e) {
+      return next(e);
+    }
+  });
+}
+const upload = encryptedUpload(uploadsDir);
+// Preview uploads are throwaway copies and never land in uploads/
+const previewUpload = encryptedUpload(os.tmpdir());
 
 // SSE log streaming
 /** @type {Set<import('http').ServerResponse>} */
 const clients = new Set();
-/** @type {{ child: import('child_process').ChildProcess | null, file: string | null, killTimer?: NodeJS.Timeout }} */
-const current = { child: null, file: null };
-function broadcast(message) {
-  const line = typeof message === 'string' ? message : String(message);
+/** @type {{ child: import('child_process').ChildProcess | null, file: string | null, runId: string | null, awaitingReview: object | null, killTimer?: NodeJS.Timeout }} */
+const current = {
+  child: null, file: null, runId: null, awaitingReview: null
+};
+
+// child.killed only says a signal was sent: a stopped child stays alive until it exits
+function childAlive(child) {
+  return Boolean(child) && child.exitCode === null && child.signalCode === null;
+}
+// Live log entries (lib/logger.js, already redacted) as unnamed SSE messages
+function streamLogEntry(entry) {
+  const data = JSON.stringify(entry);
+  for (const res of clients) {
+    try {
+      res.write(`data: ${data}\n\n`);
+    } catch (_) { /* ignore */ }
+  }
+}
+// The run's log.jsonl while a run is active, logs/ui.jsonl otherwise
+const log = createLogger({
+  source: 'ui',
+  file: () => (current.runId ? runLogFile(current.runId) : dataPath('logs', 'ui.jsonl')),
+  sink: streamLogEntry
+});
+function broadcast(message, level = 'info') {
+  log.write({ level, msg: typeof message === 'string' ? message : String(message) });
+}
+// Named SSE event carrying a JSON payload (see lib/events.js for the automation's event types)
+function broadcastEvent(type, payload) {
+  const data = JSON.stringify(payload);
   for (const res of clients) {
     try {
-      res.write(`data: ${line.replace(/\n/g, '\\n')}\n\n`);
+      res.write(`event: ${type}\ndata: ${data}\n\n`);
     } catch (_) { /* ignore */ }
   }
 }
@@ -62,105 +171,858 @@ app.get('/logs', (req, res) => {
   });
 });
 
-app.post('/start', upload.single('inputFile'), (req, res) => {
+// Resolves a pendingFile name from a pre-flight response back to its path in uploads/
+function pendingUploadPath(name) {
+  if (!name) return null;
+  const filePath = path.join(uploadsDir, path.basename(String(name)));
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+// Caps the issue list so a badly broken sheet doesn't flood the UI
+function summarizeReport(report, maxIssues = 500) {
+  const { invalidRows, issues, ...counts } = report;
+  return { ...counts, issues: issues.slice(0, maxIssues), truncated: Math.max(0, issues.length - maxIssues) };
+}
+
+// Creates the run record and spawns the automation for it; the caller has checked nothing is running
+function launchRun(options) {
+  const {
+    brand, mode, mapping, skipInvalid, allowRecharge, headless, evidence, inputPath, resumeFrom, startedBy
+  } = options;
+  current.file = inputPath;
+  const run = createRun({
+    ...options,
+    inputFile: plainName(inputPath)
+  });
+  // A resumed run keeps the interrupted run's browser profile (and with it the Braintree session)
+  const browserProfileDir = options.browserProfileDir || path.join(runDir(run.id), 'browser');
+  updateRun(run.id, { browserProfileDir });
+  current.runId = run.id;
+  if (resumeFrom) {
+    updateRun(resumeFrom, { resumedBy: run.id });
+    // Carry the checkpoint over so this run can itself be resumed before it reaches a row
+    const checkpoint = readCheckpoint(resumeFrom);
+    if (checkpoint) writeCheckpoint(run.id, checkpoint);
+  }
+
+  // Build args
+  const args = [path.join(projectRoot, 'server.js')];
+  args.push(`--brand=${brand}`);
+  if (mode === 'no-review') args.push('--no-review'); else args.push('--review');
+  args.push(`--mapping=${mapping}`);
+  if (skipInvalid) args.push('--skip-invalid');
+  if (allowRecharge) {
+    args.push('--allow-recharge');
+    broadcast('[UI] Re-charge override enabled: reservations already in the ledger will be charged again');
+  }
+  if (headless) args.push('--headless');
+  if (evidence) args.push('--evidence');
+  if (resumeFrom) args.push(`--resume-from=${resumeFrom}`);
+
+  const child = spawn(process.execPath, args, {
+    cwd: projectRoot,
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+    env: { ...process.env, INPUT_XLSX: inputPath, RUN_ID: run.id, BROWSER_PROFILE_DIR: browserProfileDir },
+  });
+  broadcast(`[UI] Started process pid=${child.pid} (run ${run.id}${startedBy ? `, by ${startedBy}` : ''})`);
+  audit(startedBy, resumeFrom ? 'resume' : 'start', { runId: run.id, file: run.inputFile, brand, resumedFrom: resumeFrom || undefined });
+  updateRun(run.id, { pid: child.pid });
+  broadcastEvent('run-started', { runId: run.id, pid: child.pid, file: plainName(inputPath), resumedFrom: resumeFrom || null });
+  current.child = child;
+  if (current.killTimer) { clearTimeout(current.killTimer); current.killTimer = undefined; }
+  // The automation logs over IPC; anything else it prints (Chromium, crashes) is logged here
+  const pipe = (stream, level) => {
+    let buf = '';
+    stream.on('data', (chunk) => {
+      buf += chunk.toString();
+      let idx;
+      while ((idx = buf.indexOf('\n')) >= 0) {
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 1);
+        log.write({ level, source: 'automation', msg: line });
+      }
+    });
+  };
+  pipe(child.stdout, 'info');
+  pipe(child.stderr, 'error');
+  child.on('message', (message) => {
+    if (isLogMessage(message)) {
+      const { kind, ...entry } = message;
+      log.write(entry);
+      return;
+    }
+    if (!isEvent(message)) return;
+    const { kind, ...event } = message;
+    broadcastEvent(event.type, { runId: run.id, ...event });
+    if (event.type === 'awaiting-review') current.awaitingReview = event;
+    else if (['row-submitted', 'row-skipped', 'row-failed', 'run-finished'].includes(event.type)) current.awaitingReview = null;
+    if (['row-skipped', 'row-failed', 'row-status'].includes(event.type)) {
+      const { type, at, ...outcome } = event;
+      recordRowOutcome(run.id, outcome);
+    }
+    if (event.type === 'run-finished') {
+      const { type, at, ...summary } = event;
+      updateRun(run.id, { summary });
+    }
+  });
+  child.on('close', (code) => {
+    broadcast(`[UI] Process exited with code ${code}`, code ? 'warn' : 'info');
+    const finished = finishRun(run.id, code);
+    // The profile holds the Braintree session; only a run that can still be resumed needs it
+    if (!isResumable(finished, readCheckpoint(run.id))) removeBrowserProfile(finished);
+    let report = false;
+    try {
+      writeReport(run.id);
+      report = true;
+      broadcast(`[UI] Reconciliation report written for run ${run.id}`);
+    } catch (e) {
+      log.error('[UI] Reconciliation report failed for run %s: %s', run.id, e.message || e);
+    }
+    broadcastEvent('run-exited', {
+      runId: run.id, code, counts: finished.counts, report
+    });
+    // A run started after this one exited (before its streams closed) keeps its state
+    if (current.child === child) {
+      current.runId = null;
+      current.awaitingReview = null;
+      current.child = null;
+      if (current.killTimer) { clearTimeout(current.killTimer); current.killTimer = undefined; }
+    }
+    const job = findJobByRun(run.id);
+    if (job && job.status === 'running') {
+      updateJob(job.id, { status: code === 0 ? 'done' : 'failed', exitCode: code, finishedAt: new Date().toISOString() });
+      broadcastEvent('queue-changed', {});
+    }
+    setImmediate(dispatchQueue);
+  });
+  return run;
+}
+
+// Run options shared by /start, the queue and schedules; throws on an unknown brand
+function runOptions(body) {
+  const brand = String(body.brand || DEFAULT_BRAND).toLowerCase(); // brands/<name>.json
+  const brandProfile = loadBrand(brand);
+  const flag = (v) => v === true || v === 'true';
+  return {
+    brand,
+    // 'review' | 'no-review'; the brand profile decides when the form doesn't say
+    mode: String(body.review || body.mode || (brandProfile.reviewByDefault ? 'review' : 'no-review')).toLowerCase(),
+    mapping: body.mapping || DEFAULT_PROFILE,
+    skipInvalid: flag(body.skipInvalid),
+    allowRecharge: flag(body.allowRecharge),
+    headless: flag(body.headless),
+    evidence: flag(body.evidence)
+  };
+}
+
+function preflight(filePath, mapping, brand) {
+  return validateRows(readAllRowsFromExcel(filePath), { profile: loadProfile(mapping), window: loadBrand(brand).chargeWindow });
+}
+
+function dueLine({ due }) {
+  return `${due.dueToday} due today, ${due.overdue} overdue, ${due.notYetDue} not yet due, ${due.expired} expired card(s)`;
+}
+
+// Starts the next pending job when nothing is running and the queue isn't paused
+function dispatchQueue() {
+  if (current.child) return;
+  const queue = loadQueue();
+  const job = queue.paused ? null : queue.jobs.find((j) => j.status === 'pending');
+  if (!job) return;
+  try {
+    const options = runOptions(job);
+    const report = preflight(job.inputPath, options.mapping, options.brand);
+    if (!report.valid) throw new Error('No valid rows to process');
+    if (report.invalid && !options.skipInvalid) {
+      throw new Error(`${report.invalid} invalid row(s); re-queue with "skip invalid rows" or fix the sheet`);
+    }
+    broadcast(`[UI] Queue: starting ${job.inputFile} (${options.brand}, ${options.mode}, mapping ${options.mapping}); charge window: ${dueLine(report)}`);
+    const run = launchRun({
+      ...options,
+      inputPath: job.inputPath,
+      jobId: job.id,
+      startedBy: job.queuedBy || job.source,
+      validation: { pending: report.pending, valid: report.valid, invalid: report.invalid }
+    });
+    updateJob(job.id, { status: 'running', runId: run.id, startedAt: new Date().toISOString() });
+  } catch (e) {
+    broadcast(`[UI] Queue: ${job.inputFile} failed to start: ${e.message || String(e)}`, 'error');
+    updateJob(job.id, { status: 'failed', error: e.message || String(e), finishedAt: new Date().toISOString() });
+    setImmediate(dispatchQueue);
+  }
+  broadcastEvent('queue-changed', {});
+}
+
+// Moves files out of each due schedule's watched folder into uploads/ and queues them
+function checkSchedules() {
+  const at = new Date();
+  for (const schedule of dueSchedules(at)) {
+    markFired(schedule.id, at);
+    const files = watchedFiles(schedule);
+    if (files.length) broadcast(`[UI] Schedule "${schedule.name}": picking up ${files.length} file(s) from ${schedule.watchDir}`);
+    for (const file of files) {
+      const target = path.join(uploadsDir, uploadFileName(path.basename(file)));
+      try {
+        // Stored encrypted like any upload; the plaintext drop is removed
+        writeFileEncrypted(target, fs.readFileSync(file));
+        fs.unlinkSync(file);
+        enqueueJob({
+          ...schedule, inputPath: target, inputFile: plainName(target), source: `schedule:${schedule.name}`, queuedBy: `schedule:${schedule.name}`
+        });
+      } catch (e) {
+        broadcast(`[UI] Schedule "${schedule.name}": could not pick up ${path.basename(file)}: ${e.message || String(e)}`, 'warn');
+      }
+    }
+    if (files.length) broadcastEvent('queue-changed', {});
+  }
+  dispatchQueue();
+}
+
+app.post('/start', allow('run'), upload, (req, res) => {
   try {
-    if (current.child && !current.child.killed) {
+    if (childAlive(current.child)) {
+      if (req.file) { try { fs.unlinkSync(req.file.path); } catch (_) {} }
       return res.status(409).json({ ok: false, error: 'A run is already in progress' });
     }
-    const brand = (req.body.brand || 'booking').toLowerCase(); // 'booking' | 'agoda'
-    const review = (req.body.review || 'review').toLowerCase(); // 'review' | 'no-review'
+    let options;
+    try {
+      options = runOptions(req.body);
+    } catch (e) {
+      if (req.file) { try { fs.unlinkSync(req.file.path); } catch (_) {} }
+      return res.status(400).json({ ok: false, error: e.message || String(e) });
+    }
+    const { brand, mapping, skipInvalid } = options;
 
-    if (!req.file) {
+    // Either a fresh upload or a file held back by a previous pre-flight report
+    const uploadedPath = req.file ? req.file.path : pendingUploadPath(req.body.pendingFile);
+    if (!uploadedPath) {
       return res.status(400).json({ ok: false, error: 'No file uploaded' });
     }
-    const uploadedPath = req.file.path; // already saved as /uploads/<name>_<ts>.xlsx
-    broadcast(`[UI] Received file: ${path.basename(uploadedPath)}`);
-    current.file = uploadedPath;
+    let report;
+    try {
+      report = preflight(uploadedPath, mapping, brand);
+    } catch (e) {
+      // Unreadable or malformed: nothing will ever run it
+      if (uploadedPath !== current.file) { try { fs.unlinkSync(uploadedPath); } catch (_) {} }
+      return res.status(400).json({ ok: false, error: e.message || String(e) });
+    }
+    if (req.file) broadcast(`[UI] Received file: ${path.basename(uploadedPath)}`);
+    broadcast(`[UI] Pre-flight: ${report.pending} to process, ${report.valid} valid, ${report.invalid} invalid; charge window: ${dueLine(report)}`);
+    const validation = summarizeReport(report);
+    if (!report.valid) {
+      if (uploadedPath !== current.file) { try { fs.unlinkSync(uploadedPath); } catch (_) {} }
+      return res.status(400).json({ ok: false, error: 'No valid rows to process', validation });
+    }
+    if (report.invalid && !skipInvalid) {
+      // Not started: the UI shows the report and re-posts with skipInvalid, or discards
+      return res.json({
+        ok: false, needsConfirmation: true, error: `${report.invalid} invalid row(s)`, validation, pendingFile: path.basename(uploadedPath)
+      });
+    }
+    const run = launchRun({
+      ...options,
+      inputPath: uploadedPath,
+      startedBy: req.user.username,
+      validation: { pending: report.pending, valid: report.valid, invalid: report.invalid }
+    });
+    return res.json({
+      ok: true, pid: current.child.pid, runId: run.id, message: 'Process started', validation
+    });
+  } catch (e) {
+    log.error('[UI] Failed to start process: %s', e && e.stack ? e.stack : String(e));
+    return res.status(500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// Job queue: files waiting to run one after another
+app.get('/queue', (req, res) => {
+  const queue = loadQueue();
+  res.json({ ok: true, ...queue, runningJob: queue.jobs.find((j) => j.status === 'running') || null });
+});
+
+// Queue an upload with its run options; it is validated now and again when its turn comes
+app.post('/queue', allow('run'), upload, (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
+  }
+  let options;
+  let report;
+  try {
+    options = runOptions(req.body);
+    report = preflight(req.file.path, options.mapping, options.brand);
+    if (!report.valid) throw new Error('No valid rows to process');
+    if (report.invalid && !options.skipInvalid) {
+      throw new Error(`${report.invalid} invalid row(s); tick "skip invalid rows" to queue the valid ones`);
+    }
+  } catch (e) {
+    try { fs.unlinkSync(req.file.path); } catch (_) {}
+    return res.status(400).json({ ok: false, error: e.message || String(e), validation: report && summarizeReport(report) });
+  }
+  const job = enqueueJob({
+    ...options, inputPath: req.file.path, inputFile: plainName(req.file.path), queuedBy: req.user.username
+  });
+  audit(req.user.username, 'queue', { jobId: job.id, file: job.inputFile, brand: options.brand });
+  broadcast(`[UI] Queued ${job.inputFile} (${options.brand}, ${options.mode}, mapping ${options.mapping}) by ${req.user.username}`);
+  broadcastEvent('queue-changed', {});
+  setImmediate(dispatchQueue);
+  return res.json({ ok: true, job, validation: summarizeReport(report) });
+});
+
+app.post('/queue/:id/move', allow('run'), (req, res) => {
+  try {
+    const moved = moveJob(req.params.id, req.body.direction === 'up' ? 'up' : 'down');
+    if (moved) broadcastEvent('queue-changed', {});
+    return res.json({ ok: true, moved });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// Pending jobs are dropped with their upload; a running job is stopped like /stop
+// SIGINT lets the automation close the browser; SIGKILL after 7s if it is still alive
+function stopChild(child) {
+  try { child.kill('SIGINT'); } catch (_) {}
+  if (current.killTimer) clearTimeout(current.killTimer);
+  current.killTimer = setTimeout(() => {
+    current.killTimer = undefined;
+    if (current.child === child && childAlive(child)) {
+      broadcast('[UI] Force killing process...', 'warn');
+      try { child.kill('SIGKILL'); } catch (_) {}
+    }
+  }, 7000);
+}
 
-    // Build args
-    const args = [path.join(projectRoot, 'server.js')];
-    if (brand === 'agoda') args.push('--agoda'); else args.push('--booking');
-    if (review === 'no-review') args.push('--no-review'); else args.push('--review');
+app.post('/queue/:id/cancel', allow('run'), (req, res) => {
+  const job = loadQueue().jobs.find((j) => j.id === req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+  if (job.status === 'pending') {
+    try { fs.unlinkSync(job.inputPath); } catch (_) {}
+  } else if (job.status === 'running' && current.child && current.runId === job.runId) {
+    stopChild(current.child);
+  } else {
+    return res.status(400).json({ ok: false, error: `Job is already ${job.status}` });
+  }
+  updateJob(job.id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+  audit(req.user.username, job.status === 'running' ? 'stop' : 'cancel', { jobId: job.id, runId: job.runId, file: job.inputFile });
+  broadcast(`[UI] Queue: cancelled ${job.inputFile} (by ${req.user.username})`);
+  broadcastEvent('queue-changed', {});
+  return res.json({ ok: true });
+});
+
+app.post('/queue/pause', allow('run'), (req, res) => {
+  const paused = setPaused(req.body.paused === true || req.body.paused === 'true');
+  broadcast(`[UI] Queue ${paused ? 'paused' : 'resumed'}`);
+  broadcastEvent('queue-changed', {});
+  if (!paused) setImmediate(dispatchQueue);
+  return res.json({ ok: true, paused });
+});
 
-    const child = spawn(process.execPath, args, {
-      cwd: projectRoot,
-      stdio: ['ignore', 'pipe', 'pipe'],
-      env: { ...process.env, INPUT_XLSX: uploadedPath },
+// Watched-folder schedules
+app.get('/schedules', (req, res) => {
+  res.json({ ok: true, schedules: loadSchedules(), defaultWatchDir: DEFAULT_WATCH_DIR });
+});
+
+app.post('/schedules', allow('run'), (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.brand) loadBrand(body.brand);
+    // Files picked up are deleted, so only admins may point a schedule outside the data directory
+    if (!inDataDir(resolveWatchDir(body.watchDir)) && !can(req.user, 'manage')) {
+      return res.status(403).json({ ok: false, error: `Only admins can watch a folder outside ${dataDir}` });
+    }
+    const schedule = upsertSchedule(body);
+    ensureDir(schedule.watchDir);
+    broadcast(`[UI] Schedule saved: "${schedule.name}" (${schedule.cron}) watching ${schedule.watchDir}`);
+    return res.json({ ok: true, schedule });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+app.delete('/schedules/:id', allow('run'), (req, res) => {
+  if (!removeSchedule(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'Schedule not found' });
+  }
+  return res.json({ ok: true });
+});
+
+// Most recent interrupted run that can be picked up again
+function latestResumableRun() {
+  return listRuns().find((run) => run.id !== current.runId && isResumable(run, readCheckpoint(run.id))) || null;
+}
+
+// Restart an interrupted run from its checkpoint, with the same file and options
+app.post('/resume', allow('run'), (req, res) => {
+  try {
+    if (childAlive(current.child)) {
+      return res.status(409).json({ ok: false, error: 'A run is already in progress' });
+    }
+    let original;
+    try {
+      original = req.body.runId ? getRun(req.body.runId) : latestResumableRun();
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message || String(e) });
+    }
+    if (!original) return res.status(404).json({ ok: false, error: 'No interrupted run to resume' });
+    const checkpoint = readCheckpoint(original.id);
+    if (!isResumable(original, checkpoint)) {
+      return res.status(400).json({ ok: false, error: `Run ${original.id} cannot be resumed` });
+    }
+    broadcast(`[UI] Resuming run ${original.id} from row ${checkpoint.row}${checkpoint.submitClicked && checkpoint.phase !== 'done' ? ' (submitted, unconfirmed)' : ''}`);
+    const run = launchRun({
+      brand: original.brand,
+      mode: original.mode,
+      mapping: original.mapping || DEFAULT_PROFILE,
+      skipInvalid: Boolean(original.skipInvalid),
+      allowRecharge: Boolean(original.allowRecharge),
+      headless: Boolean(original.headless),
+      evidence: Boolean(original.evidence),
+      inputPath: original.inputPath,
+      browserProfileDir: original.browserProfileDir,
+      resumeFrom: original.id,
+      startedBy: req.user.username
     });
-    broadcast(`[UI] Started process pid=${child.pid}`);
-    current.child = child;
-    if (current.killTimer) { clearTimeout(current.killTimer); current.killTimer = undefined; }
-    const pipe = (stream, tag) => {
-      let buf = '';
-      stream.on('data', (chunk) => {
-        buf += chunk.toString();
-        let idx;
-        while ((idx = buf.indexOf('\n')) >= 0) {
-          const line = buf.slice(0, idx);
-          buf = buf.slice(idx + 1);
-          broadcast(`[${tag}] ${line}`);
-        }
-      });
-    };
-    pipe(child.stdout, 'RUN');
-    pipe(child.stderr, 'ERR');
-    child.on('close', (code) => {
-      broadcast(`[UI] Process exited with code ${code}`);
-      current.child = null;
-      if (current.killTimer) { clearTimeout(current.killTimer); current.killTimer = undefined; }
+    return res.json({
+      ok: true, pid: current.child.pid, runId: run.id, resumedFrom: original.id, message: 'Process resumed'
     });
-
-    return res.json({ ok: true, pid: child.pid, message: 'Process started' });
   } catch (e) {
-    console.error('Failed to start process:', e);
+    log.error('[UI] Failed to resume process: %s', e && e.stack ? e.stack : String(e));
     return res.status(500).json({ ok: false, error: e.message || String(e) });
   }
 });
 
+// Drop an upload that was held back by pre-flight validation and not started
+app.post('/discard', allow('run'), (req, res) => {
+  const filePath = pendingUploadPath(req.body.pendingFile);
+  if (!filePath || filePath === current.file) {
+    return res.status(404).json({ ok: false, error: 'No pending file' });
+  }
+  try { fs.unlinkSync(filePath); } catch (_) {}
+  broadcast(`[UI] Discarded ${path.basename(filePath)}`);
+  return res.json({ ok: true });
+});
+
+// Column-mapping profiles available to the runner
+app.get('/mappings', (req, res) => {
+  res.json({ ok: true, profiles: listProfiles(), defaultProfile: DEFAULT_PROFILE });
+});
+
+// Map one row of an uploaded sheet with the chosen profile (card data masked)
+app.post('/preview', allow('run'), previewUpload, (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ ok: false, error: 'No file uploaded' });
+  }
+  const filePath = req.file.path;
+  try {
+    const profile = loadProfile(req.body.mapping || DEFAULT_PROFILE);
+    const rows = readAllRowsFromExcel(filePath);
+    const requested = Number(req.body.row || 0);
+    const index = requested > 0
+      ? requested - 1
+      : Math.max(0, rows.findIndex((r) => !String(r.STATUS ?? r.Status ?? r.status ?? '').trim()));
+    if (!rows[index]) {
+      return res.status(400).json({ ok: false, error: `Row ${index + 1} not found (sheet has ${rows.length} rows)` });
+    }
+    const mapped = applyProfile(profile, rows[index]);
+    const merchant = resolveRowMerchantAccount(mapped);
+    mapped.merchantAccount = merchant.merchantAccount;
+    // Amount as it will be typed; left as mapped when pre-flight would reject it
+    try { mapped.amount = formatAmount(mapped.amount, mapped.currency || merchantAccountCurrency(mapped.merchantAccount)); } catch (_) {}
+    // Same precedence as the automation: brand defaults, then mapped sheet values
+    const brandProfile = loadBrand(req.body.brand || DEFAULT_BRAND);
+    const brandValues = req.body.brand ? brandFormValues(brandProfile) : {};
+    const values = maskFormValues({ ...brandValues, ...mapped });
+    // Whole-sheet counts so the operator sees what a run today would charge
+    const { due } = validateRows(rows, { profile, window: brandProfile.chargeWindow });
+    return res.json({
+      ok: true, profile: profile.name, row: index + 1, totalRows: rows.length, values, merchantSource: merchant.source, due
+    });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  } finally {
+    try { fs.unlinkSync(filePath); } catch (_) {}
+  }
+});
+
+// Brand profiles (cardholder, billing address, review default, timeouts)
+app.get('/brands', (req, res) => {
+  res.json({ ok: true, brands: listBrands(), defaultBrand: DEFAULT_BRAND });
+});
+
+app.post('/brands', allow('manage'), (req, res) => {
+  try {
+    const brand = saveBrand(req.body || {});
+    broadcast(`[UI] Brand profile saved: ${brand.name} (${brand.cardholderName})`);
+    return res.json({ ok: true, brand });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// Hotel -> merchant account registry
+app.get('/merchants', (req, res) => {
+  res.json({ ok: true, entries: loadMerchantAccounts(), accountCurrencies: loadAccountCurrencies() });
+});
+
+app.post('/merchants', allow('manage'), (req, res) => {
+  try {
+    const entry = upsertMerchantAccount(req.body || {});
+    broadcast(`[UI] Merchant mapping saved: ${entry.hotelId || entry.hotelName} ${entry.currency || '*'} -> ${entry.merchantAccountId}`);
+    return res.json({ ok: true, entry });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+app.delete('/merchants/:id', allow('manage'), (req, res) => {
+  if (!removeMerchantAccount(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'Mapping not found' });
+  }
+  return res.json({ ok: true });
+});
+
+// Merchant account -> currency; an empty currency removes the account
+app.post('/merchants/currencies', allow('manage'), (req, res) => {
+  try {
+    const saved = setAccountCurrency((req.body || {}).merchantAccountId, (req.body || {}).currency);
+    broadcast(`[UI] Merchant account currency saved: ${saved.merchantAccountId} -> ${saved.currency || '(removed)'}`);
+    return res.json({ ok: true, ...saved });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
 // Stop the running process without stopping the UI server
-app.post('/stop', (req, res) => {
+app.post('/stop', allow('run'), (req, res) => {
   try {
     const child = current.child;
-    if (!child || child.killed) {
+    if (!childAlive(child)) {
       return res.status(400).json({ ok: false, error: 'No active process' });
     }
-    broadcast(`[UI] Stopping process pid=${child.pid} ...`);
-    try {
-      child.kill('SIGINT');
-    } catch (e) {
-      // ignore
-    }
-    // Fallback SIGKILL after 7s if still alive
-    current.killTimer = setTimeout(() => {
-      if (current.child && !current.child.killed) {
-        broadcast('[UI] Force killing process...');
-        try { current.child.kill('SIGKILL'); } catch (_) {}
-      }
-    }, 7000);
+    broadcast(`[UI] Stopping process pid=${child.pid} (by ${req.user.username}) ...`);
+    audit(req.user.username, 'stop', { runId: current.runId, file: plainName(current.file) });
+    stopChild(child);
     return res.json({ ok: true });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message || String(e) });
   }
 });
 
+// Review decision for the row the automation is paused on
+app.post('/review', allow('review'), (req, res) => {
+  const child = current.child;
+  const pending = current.awaitingReview;
+  if (!childAlive(child) || !pending) {
+    return res.status(409).json({ ok: false, error: 'No row is awaiting review' });
+  }
+  const { action, values } = req.body || {};
+  const row = Number(req.body && req.body.row);
+  if (!REVIEW_ACTIONS.includes(action)) {
+    return res.status(400).json({ ok: false, error: `Unknown action: ${action}` });
+  }
+  if (row !== pending.row) {
+    return res.status(409).json({ ok: false, error: `Row ${pending.row} is awaiting review, not row ${row}` });
+  }
+  current.awaitingReview = null;
+  child.send({
+    kind: 'review-decision', row, action, values: action === 'edit' ? (values || {}) : {}
+  });
+  audit(req.user.username, 'review', { runId: current.runId, row, action });
+  broadcast(`[UI] Review decision for row ${row}: ${action} (by ${req.user.username})`);
+  return res.json({ ok: true });
+});
+
 // Status endpoint for UI to discover running state and file
 app.get('/status', (req, res) => {
-  const running = Boolean(current.child && !current.child.killed);
+  const running = childAlive(current.child);
   const pid = running ? current.child.pid : null;
-  const file = current.file ? path.basename(current.file) : null;
-  res.json({ ok: true, running, pid, file });
+  const file = current.file ? plainName(current.file) : null;
+  const resumable = running ? null : latestResumableRun();
+  res.json({
+    ok: true,
+    running,
+    pid,
+    file,
+    runId: current.runId,
+    awaitingReview: current.awaitingReview,
+    session: sessionInfo(SESSION_HOST),
+    resumable: resumable && { runId: resumable.id, inputFile: resumable.inputFile, checkpoint: readCheckpoint(resumable.id) }
+  });
+});
+
+// Forget the saved Braintree session; the next run asks for an interactive login
+app.delete('/session', allow('run'), (req, res) => {
+  if (childAlive(current.child)) {
+    return res.status(409).json({ ok: false, error: 'A run is in progress' });
+  }
+  const removed = clearSession(SESSION_HOST);
+  if (removed) broadcast('[UI] Saved Braintree session cleared');
+  return res.json({ ok: true, removed });
 });
 
+// Decrypted copy of an upload, audited; rows with a STATUS already have their card data masked in it
+function sendOutputFile(req, res, filePath, { name, runId } = {}) {
+  let content;
+  try {
+    content = readFileDecrypted(filePath);
+  } catch (e) {
+    return res.status(500).send(e.message || String(e));
+  }
+  audit(req.user.username, 'download', { runId, file: plainName(name || filePath) });
+  res.attachment(plainName(name || filePath));
+  return res.send(content);
+}
+
 // Download current working file
-app.get('/download', (req, res) => {
+app.get('/download', allow('run'), (req, res) => {
   if (!current.file || !fs.existsSync(current.file)) {
     return res.status(404).send('No file available');
   }
-  res.download(current.file, path.basename(current.file));
+  return sendOutputFile(req, res, current.file, { runId: current.runId });
+});
+
+// Uploads still needed: the current run's, queued jobs' and those of runs that can be resumed
+function uploadsInUse() {
+  const keep = new Set();
+  if (current.file) keep.add(current.file);
+  for (const job of loadQueue().jobs) {
+    if (['pending', 'running'].includes(job.status)) keep.add(job.inputPath);
+  }
+  for (const run of listRuns()) {
+    if (run.inputPath && isResumable(run, readCheckpoint(run.id))) keep.add(run.inputPath);
+  }
+  return keep;
+}
+
+function purgeUploads(olderThanDays) {
+  const removed = purgeDir(uploadsDir, { olderThanDays, keep: uploadsInUse() });
+  if (removed.length) {
+    broadcast(`[UI] Retention: deleted ${removed.length} upload(s)${olderThanDays ? ` not written to for ${olderThanDays} day(s)` : ''}`);
+  }
+  return removed;
+}
+
+// Evidence of the active run is kept whatever its age
+function purgeEvidence(olderThanDays) {
+  const keep = current.runId ? [path.join(EVIDENCE_DIR, current.runId)] : [];
+  const removed = purgeSubdirs(EVIDENCE_DIR, { olderThanDays, keep });
+  if (removed.length) broadcast(`[UI] Retention: deleted the evidence of ${removed.length} run(s) older than ${olderThanDays} day(s)`);
+  return removed;
+}
+
+// Browser profiles left behind by runs that can no longer be resumed (runner restarts, runs from before they were deleted on exit).
+// A resumed run shares the profile of the run it resumed, so profiles still in use are kept whoever created them
+function purgeBrowserProfiles() {
+  const runs = listRuns();
+  const inUse = new Set(runs
+    .filter((run) => run.id === current.runId || isResumable(run, readCheckpoint(run.id)))
+    .map((run) => path.resolve(String(run.browserProfileDir || ''))));
+  const removed = runs.filter((run) => run.browserProfileDir && !inUse.has(path.resolve(run.browserProfileDir)) && removeBrowserProfile(run));
+  if (removed.length) broadcast(`[UI] Retention: deleted the browser profiles of ${removed.length} finished run(s)`);
+  return removed;
+}
+
+// Hourly, with the saved policy; 0 days keeps everything (browser profiles are deleted whatever the policy)
+function applyRetention() {
+  try {
+    purgeBrowserProfiles();
+    const { uploadDays, evidenceDays } = loadRetention();
+    if (uploadDays) purgeUploads(uploadDays);
+    if (evidenceDays) purgeEvidence(evidenceDays);
+  } catch (e) {
+    log.error('[UI] Retention failed: %s', e.message || e);
+  }
+}
+
+// Retention policy for source uploads (lib/retention.js)
+app.get('/retention', (req, res) => {
+  try {
+    let uploads = 0;
+    let evidenceRuns = 0;
+    try { uploads = fs.readdirSync(uploadsDir).length; } catch (_) {}
+    try { evidenceRuns = fs.readdirSync(EVIDENCE_DIR).length; } catch (_) {}
+    return res.json({
+      ok: true, retention: loadRetention(), uploads, evidenceRuns
+    });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+app.post('/retention', allow('manage'), (req, res) => {
+  try {
+    const retention = saveRetention(req.body || {});
+    const kept = (days) => (days ? `${days} day(s)` : 'forever');
+    broadcast(`[UI] Retention policy saved: uploads kept ${kept(retention.uploadDays)}, evidence kept ${kept(retention.evidenceDays)}`);
+    return res.json({ ok: true, retention });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// Delete uploads now: those older than olderThanDays (default: the policy), or every unused one with 0
+app.post('/purge', allow('manage'), (req, res) => {
+  try {
+    const raw = (req.body || {}).olderThanDays;
+    const olderThanDays = raw === undefined || raw === null || raw === '' ? loadRetention().uploadDays : Number(raw);
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({ ok: false, error: 'olderThanDays must be a whole number of days >= 0' });
+    }
+    const removed = purgeUploads(olderThanDays);
+    return res.json({ ok: true, removed: removed.map(plainName) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// Sign-in. While no user exists the login page offers /auth/setup, which creates the first admin
+app.get('/auth/me', (req, res) => {
+  res.json({
+    ok: true,
+    user: req.user || null,
+    permissions: Object.keys(PERMISSIONS).filter((p) => can(req.user, p)),
+    setup: !hasUsers()
+  });
+});
+
+function signIn(req, res, user) {
+  res.setHeader('Set-Cookie', sessionCookie(createSession(user.username)));
+  audit(user.username, 'login', { ip: req.ip });
+  return res.json({ ok: true, user: { username: user.username, roles: user.roles } });
+}
+
+app.post('/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const locked = lockedMinutes(username);
+  if (locked) {
+    return res.status(429).json({ ok: false, error: `Too many failed attempts; try again in ${locked} minute(s)` });
+  }
+  const user = authenticate(username, password);
+  if (!user) {
+    recordLoginFailure(username);
+    audit(String(username || ''), 'login-failed', { ip: req.ip });
+    return res.status(401).json({ ok: false, error: 'Wrong username or password' });
+  }
+  clearLoginFailures(username);
+  return signIn(req, res, user);
+});
+
+app.post('/auth/setup', (req, res) => {
+  if (hasUsers()) return res.status(409).json({ ok: false, error: 'Users already exist; sign in instead' });
+  try {
+    const user = saveUser({ ...(req.body || {}), roles: ['admin'] });
+    audit(user.username, 'user-saved', { username: user.username, roles: user.roles });
+    return signIn(req, res, user);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+app.post('/auth/logout', (req, res) => {
+  destroySession(req.headers.cookie);
+  audit(req.user.username, 'logout');
+  res.setHeader('Set-Cookie', clearedCookie());
+  return res.json({ ok: true });
+});
+
+// User management and the audit trail (admins)
+app.get('/users', allow('manage'), (req, res) => {
+  res.json({ ok: true, users: listUsers() });
+});
+
+app.post('/users', allow('manage'), (req, res) => {
+  try {
+    const passwordChanged = Boolean((req.body || {}).password);
+    const user = saveUser(req.body || {});
+    // A new password signs the user out everywhere else
+    if (passwordChanged && user.username !== req.user.username) destroyUserSessions(user.username);
+    audit(req.user.username, 'user-saved', { username: user.username, roles: user.roles, passwordChanged });
+    return res.json({ ok: true, user });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+app.delete('/users/:username', allow('manage'), (req, res) => {
+  try {
+    if (!removeUser(req.params.username)) return res.status(404).json({ ok: false, error: 'User not found' });
+    destroyUserSessions(req.params.username.toLowerCase());
+    audit(req.user.username, 'user-removed', { username: req.params.username.toLowerCase() });
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message || String(e) });
+  }
 });
 
-app.listen(PORT, () => {
-  console.log(`UI available at http://localhost:${PORT}`);
+app.get('/audit', allow('manage'), (req, res) => {
+  res.json({ ok: true, entries: readAudit(Number(req.query.limit) || 200) });
+});
+
+// Run history
+app.get('/runs', (req, res) => {
+  res.json({ ok: true, runs: listRuns() });
+});
+
+app.get('/runs/:id', (req, res) => {
+  let run;
+  try { run = getRun(req.params.id); } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+  if (!run) return res.status(404).json({ ok: false, error: 'Run not found' });
+  return res.json({ ok: true, run: { ...run, evidence: listEvidence(run.id) } });
+});
+
+// One evidence file of a run (lib/evidence.js); snapshots are shown sandboxed, with no scripts or remote loads
+app.get('/runs/:id/evidence/:row/:file', (req, res) => {
+  let file;
+  try { file = evidenceFile(req.params.id, `${req.params.row}/${req.params.file}`); } catch (e) { return res.status(400).send(e.message); }
+  if (!file) return res.status(404).send('Evidence not found');
+  const headers = file.endsWith('.html')
+    ? { 'Content-Security-Policy': "sandbox; default-src 'none'; style-src 'unsafe-inline'; img-src data:" }
+    : {};
+  return res.sendFile(file, { headers });
+});
+
+// Output file of a past run (results are written into the uploaded copy)
+app.get('/runs/:id/download', allow('run'), (req, res) => {
+  let run;
+  try { run = getRun(req.params.id); } catch (e) { return res.status(400).send(e.message); }
+  if (!run) return res.status(404).send('Run not found');
+  if (!run.inputPath || !fs.existsSync(run.inputPath)) return res.status(404).send('Output file no longer available');
+  return sendOutputFile(req, res, run.inputPath, { name: run.inputFile, runId: run.id });
+});
+
+// Reconciliation report of a run (lib/report.js) as xlsx, csv or pdf; runs from before reports get one on first download
+app.get('/runs/:id/report', allow('run'), (req, res) => {
+  const format = String(req.query.format || 'xlsx').toLowerCase();
+  if (!REPORT_FORMATS[format]) return res.status(400).send(`Unknown report format: ${format}`);
+  let run;
+  try { run = getRun(req.params.id); } catch (e) { return res.status(400).send(e.message); }
+  if (!run) return res.status(404).send('Run not found');
+  if (!run.endedAt && current.runId === run.id) return res.status(409).send('The run is still in progress');
+  let file;
+  try {
+    file = ensureReport(run.id, format);
+  } catch (e) {
+    log.error('[UI] Reconciliation report failed for run %s: %s', run.id, e.message || e);
+    return res.status(500).send(e.message || String(e));
+  }
+  const name = `reconciliation-${run.id}.${format}`;
+  audit(req.user.username, 'download', { runId: run.id, file: name });
+  res.type(REPORT_FORMATS[format]);
+  return res.download(file, name);
+});
+
+app.listen(PORT, HOST, () => {
+  console.log(`UI available at http://${HOST}:${PORT}`);
+  if (!hasUsers()) console.log('No users yet: open the UI to create the first admin account.');
+  // A restart loses the child process; jobs it was running can be resumed from Run history
+  for (const job of markInterruptedJobs()) {
+    console.log(`Queue: ${job.inputFile} was running when the server stopped (run ${job.runId}); resume it from History.`);
+  }
+  ensureDir(DEFAULT_WATCH_DIR);
+  checkSchedules();
+  setInterval(checkSchedules, 20000);
+  applyRetention();
+  setInterval(applyRetention, 60 * 60 * 1000);
 });
 
 
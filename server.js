@@ -1,14 +1,29 @@
 /*
   Braintree login helper driven by Puppeteer.
   Steps:
-  1) Open Chromium (non-headless)
-  2) Navigate to https://www.braintreegateway.com/login
-  3) Verify login page selectors present
-  4) Wait for user to manually enter username/password and submit
+  1) Open Chromium (non-headless, or headless with --headless)
+  2) Restore the saved session cookies, if any, and navigate to https://www.braintreegateway.com/login
+     (or BRAINTREE_BASE_URL / --base-url, e.g. the local simulator: npm run simulator)
+  3) Verify login page selectors present (or the dashboard, when the saved session is still valid)
+  4) Wait for user to manually enter username/password and submit (in a visible window, even with --headless)
   5) If OTP page appears, wait for user to enter OTP
-  6) Detect arrival at main dashboard
+  6) Detect arrival at main dashboard and save the session for the next run
   7) Take a screenshot and exit
 
+  A row that fails before its submit is retried with backoff (--retries=<n>); one that fails
+  after it is left for checking in Braintree, and the run carries on with the next row.
+  Failed rows are listed at the end of the run (see lib/retry.js).
+  With split charges on (brand splitCharges or --split-charges) an insufficient-funds decline
+  is followed by smaller charges for what is still owed (see lib/split-charge.js).
+  A row is never filled into a merchant account of another currency (see lib/currency.js).
+  With --evidence a masked screenshot and DOM snapshot are kept per row after fill, after
+  submit and on failure (see lib/evidence.js).
+  Logging goes through lib/logger.js, which redacts card data: under the UI runner the
+  entries are handed to it over IPC, from a terminal they go to the console and logs/.
+
+  Before the first row the dashboard, search and New Transaction pages are checked against
+  selectors/braintree.json and the saved snapshots; `--check-selectors` runs only that check.
+
   Note: This script uses dynamic import for Puppeteer to support ESM-only versions.
   Install dependency first if missing: npm i puppeteer
 */
@@ -17,150 +32,117 @@
 
 const path = require('path');
 const fs = require('fs');
+const { readAllRowsFromExcel, writeResultsToExcel, maskProcessedRows } = require('./lib/sheet');
+const { loadProfile, applyProfile, DEFAULT_PROFILE } = require('./lib/mapping');
+const {
+  loadMerchantAccounts, loadAccountCurrencies, setAccountCurrency, merchantAccountCurrency, resolveRowMerchantAccount
+} = require('./lib/merchants');
+const {
+  formatAmount, currencyMismatch, toMinorUnits, fromMinorUnits
+} = require('./lib/currency');
+const { validateRows, validateValues } = require('./lib/validate');
+const {
+  WINDOW_FIELDS, SKIP_STATUS, cardExpired, dueState
+} = require('./lib/charge-window');
+const { maskFormValues } = require('./lib/mask');
+const {
+  readLedger, findCharge, recordSubmission, recordOutcome
+} = require('./lib/ledger');
+const { scrapeTransactionDetail, toResultColumns } = require('./lib/transaction-detail');
+const { findTransaction } = require('./lib/transaction-search');
+const { writeCheckpoint, readCheckpoint } = require('./lib/runs');
+const { saveSession, loadSession, clearSession } = require('./lib/session');
+const { emitEvent } = require('./lib/events');
+const { createLogger, sendToParent } = require('./lib/logger');
+const { cliRunKey, captureEvidence } = require('./lib/evidence');
+const {
+  retryPolicy, backoffDelay, classifyFailure, isFinalStatus, isUnknownStatus, describeFailure
+} = require('./lib/retry');
+const {
+  isInsufficientFunds, nextSplitAmount, summarizeAttempts
+} = require('./lib/split-charge');
+const { dataPath, writeJson } = require('./lib/paths');
+const {
+  loadSelectorConfig, resolveElement, waitForPage, inspectTemplate, detectDrift, pageProblems
+} = require('./lib/selectors');
+const { EDITABLE_FIELDS, waitForReviewDecision, applyReviewEdits } = require('./lib/review');
+const {
+  DEFAULT_BRAND, listBrands, loadBrand, brandFormValues
+} = require('./lib/brands');
 
-// Configurable timeouts (override with env vars if desired)
-const LOGIN_PAGE_LOAD_TIMEOUT_MS = Number(process.env.LOGIN_PAGE_LOAD_TIMEOUT_MS || 30000);
-const POST_LOGIN_WAIT_TIMEOUT_MS = Number(process.env.POST_LOGIN_WAIT_TIMEOUT_MS || 10 * 60 * 1000); // 10 minutes
-const OTP_WAIT_TIMEOUT_MS = Number(process.env.OTP_WAIT_TIMEOUT_MS || 10 * 60 * 1000); // 10 minutes
+const log = typeof process.send === 'function'
+  ? createLogger({ source: 'automation', sink: sendToParent })
+  : createLogger({ source: 'automation', echo: true, file: dataPath('logs', 'automation.jsonl') });
 
-// Brand selection via CLI: --agoda or --booking (default booking)
-const BRAND = process.argv.includes('--agoda') ? 'agoda' : 'booking';
 const hasFlag = (flag) => process.argv.includes(flag);
-// Review mode: explicit --review, or default for agoda unless --no-review is passed
-const REVIEW_MODE = hasFlag('--review') || (BRAND === 'agoda' && !hasFlag('--no-review'));
-// Status page wait timeout (longer for agoda)
-const STATUS_WAIT_TIMEOUT_MS = Number(process.env.STATUS_WAIT_TIMEOUT_MS || (BRAND === 'agoda' ? 120000 : 60000));
-// Input Excel file path (can be injected by UI runner); fallback to ./input_file.xlsx
-const INPUT_XLSX = (process.env.INPUT_XLSX && fs.existsSync(process.env.INPUT_XLSX))
-  ? process.env.INPUT_XLSX
-  : path.join(process.cwd(), 'input_file.xlsx');
-
-// Stable selectors derived from saved HTML templates in html_templates_for_selectors/
-const SELECTORS = {
-  login: [
-    'form[action="/session"]',
-    '#login',
-    '#password',
-    'input.login-submit-button'
-  ],
-  otp: [
-    'form[action="/session/two_factor"]',
-    'input[name="code"]',
-    'h2.unified-login__title'
-  ],
-  dashboard: [
-    'input#q.unified-panel-search_input',
-    'a[href*="/transactions/advanced_search"]',
-    'h4.graph-title'
-  ],
-  transactionsLink: [
-    'a[onclick*="trackClick(\'transactions\')"]',
-    'a[href*="/transactions/advanced_search"]'
-  ],
-  newTransactionLink: [
-    'a[onclick*="trackClick(\'new_transaction\')"]',
-    'a[href$="/transactions/new"]'
-  ],
-  newTransactionPage: [
-    'body.transactions_new',
-    'h2:has-text("New Transaction")',
-    'h2:has-text("Transaction Create")'
-  ],
-  submitPage: [
-    'body.transactions_show',
-    'span.transaction-status',
-    'h2:has-text("Transaction Detail")'
-  ]
+// Value of a --name=value flag, or undefined
+const flagValue = (flag) => {
+  const arg = process.argv.find((a) => a.startsWith(`${flag}=`));
+  return arg ? arg.slice(flag.length + 1) : undefined;
 };
 
-const FORM_SELECTORS = {
-  merchantAccount: '#transaction_merchant_account_id',
-  amount: '#transaction_amount',
-  orderId: '#transaction_order_id',
-  customerFirstName: '#transaction_customer_first_name',
-  cardholderName: '#transaction_credit_card_cardholder_name',
-  cardNumber: '#transaction_credit_card_number',
-  expirationDate: '#transaction_credit_card_expiration_date',
-  cvv: '#transaction_credit_card_cvv',
-  billingPostalCode: '#transaction_billing_postal_code',
-  billingCompany: '#transaction_billing_company',
-  billingFirstName: '#transaction_billing_first_name',
-  billingStreet: '#transaction_billing_street_address',
-  billingRegion: '#transaction_billing_region',
-  billingCountryName: '#transaction_billing_country_name',
-  skipPremiumFraudCheckbox: '#transaction_options_skip_advanced_fraud_checking'
-};
+// Brand profile (brands/<name>.json) via --brand=<name> or the --<name> shorthand, e.g. --agoda (default booking)
+const BRAND = loadBrand(
+  flagValue('--brand') || (listBrands().find((b) => !b.error && hasFlag(`--${b.name}`)) || {}).name || DEFAULT_BRAND
+);
 
-function readFirstRowFromExcel(filePath) {
-  let xlsx;
-  try {
-    // eslint-disable-next-line global-require
-    xlsx = require('xlsx');
-  } catch (e) {
-    throw new Error('Missing dependency: xlsx. Install with "npm i xlsx"');
-  }
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`Input file not found: ${filePath}`);
-  }
-  const wb = xlsx.readFile(filePath);
-  const sheetName = wb.SheetNames[0];
-  const ws = wb.Sheets[sheetName];
-  const rows = xlsx.utils.sheet_to_json(ws, { defval: '' });
-  if (!rows.length) {
-    throw new Error('Excel sheet is empty');
-  }
-  return rows[0];
-}
+// Configurable timeouts: env vars win over the brand profile
+const LOGIN_PAGE_LOAD_TIMEOUT_MS = Number(process.env.LOGIN_PAGE_LOAD_TIMEOUT_MS || BRAND.timeouts.loginPageLoadMs || 30000);
+const POST_LOGIN_WAIT_TIMEOUT_MS = Number(process.env.POST_LOGIN_WAIT_TIMEOUT_MS || BRAND.timeouts.postLoginWaitMs || 10 * 60 * 1000); // 10 minutes
+const OTP_WAIT_TIMEOUT_MS = Number(process.env.OTP_WAIT_TIMEOUT_MS || BRAND.timeouts.otpWaitMs || 10 * 60 * 1000); // 10 minutes
 
-function readAllRowsFromExcel(filePath) {
-  // eslint-disable-next-line global-require
-  const xlsx = require('xlsx');
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`Input file not found: ${filePath}`);
-  }
-  const wb = xlsx.readFile(filePath);
-  const sheetName = wb.SheetNames[0];
-  const ws = wb.Sheets[sheetName];
-  return xlsx.utils.sheet_to_json(ws, { defval: '' });
-}
+// Review mode: explicit --review, or the brand's default unless --no-review is passed
+const REVIEW_MODE = hasFlag('--review') || (BRAND.reviewByDefault && !hasFlag('--no-review'));
+// Pre-flight: with --skip-invalid, rows failing validation are skipped instead of aborting the run
+const SKIP_INVALID = hasFlag('--skip-invalid');
+// Split charges on insufficient-funds declines: the brand's splitCharges, or --split-charges / --no-split-charges for this run
+const SPLIT_CHARGES = {
+  ...BRAND.splitCharges,
+  enabled: hasFlag('--split-charges') || (BRAND.splitCharges.enabled && !hasFlag('--no-split-charges'))
+};
+// Deliberate re-charge of reservations the ledger already shows as charged (per run)
+const ALLOW_RECHARGE = hasFlag('--allow-recharge');
+// Status page wait timeout (per brand)
+const STATUS_WAIT_TIMEOUT_MS = Number(process.env.STATUS_WAIT_TIMEOUT_MS || BRAND.timeouts.statusWaitMs || 60000);
+// Input sheet path (.xlsx or OTA .csv export; can be injected by UI runner); fallback to ./input_file.xlsx
+const INPUT_XLSX = (process.env.INPUT_XLSX && fs.existsSync(process.env.INPUT_XLSX))
+  ? process.env.INPUT_XLSX
+  : path.join(process.cwd(), 'input_file.xlsx');
 
-function buildCardNumber(first4, last12) {
-  const f = String(first4 || '').replace(/\D+/g, '').slice(0, 4);
-  const l = String(last12 || '').replace(/\D+/g, '').slice(0, 12);
-  return `${f}${l}`.trim();
-}
+// Column-mapping profile (mappings/<name>.json) via --mapping=<name> or MAPPING_PROFILE
+const MAPPING_PROFILE = flagValue('--mapping') || process.env.MAPPING_PROFILE || DEFAULT_PROFILE;
+// Run id assigned by the UI runner; the checkpoint is kept in that run's directory
+const RUN_ID = process.env.RUN_ID || '';
+// Resume an interrupted run from its checkpoint via --resume-from=<runId>
+const RESUME_FROM = flagValue('--resume-from');
+// Chromium profile directory; a resumed run reuses the interrupted run's session
+const BROWSER_PROFILE_DIR = process.env.BROWSER_PROFILE_DIR || undefined;
+// Unattended mode: no browser window; relies on the saved session (a window opens only if it has expired)
+const HEADLESS = hasFlag('--headless');
+// Evidence capture per row (--evidence), filed under the run id or, from a terminal, the start time
+const CAPTURE_EVIDENCE = hasFlag('--evidence');
+const EVIDENCE_RUN = RUN_ID || cliRunKey();
+// Pre-submit failures are retried --retries=<n> times (default 2), waiting ROW_RETRY_BACKOFF_MS (doubling each time)
+const RETRY_POLICY = retryPolicy({
+  retries: flagValue('--retries') ?? process.env.ROW_RETRIES,
+  backoffMs: process.env.ROW_RETRY_BACKOFF_MS,
+  maxBackoffMs: process.env.ROW_RETRY_MAX_BACKOFF_MS
+});
+// Days either side of the submit searched when verifying a row whose status never showed
+const VERIFY_WINDOW_DAYS = Number(process.env.VERIFY_WINDOW_DAYS || 1);
+// STATUS of rows whose currency is not their merchant account's
+const CURRENCY_MISMATCH_STATUS = 'REJECTED - CURRENCY MISMATCH';
+// Gateway to drive; point at simulator/server.js to test without real cards
+const BASE_URL = (flagValue('--base-url') || process.env.BRAINTREE_BASE_URL || 'https://www.braintreegateway.com').replace(/\/+$/, '');
+// Saved sessions are kept per gateway host
+const SESSION_HOST = new URL(BASE_URL).host;
 
-function writeStatusToExcel(filePath, rowIndexZeroBased, statusValue) {
-  // eslint-disable-next-line global-require
-  const xlsx = require('xlsx');
-  const wb = xlsx.readFile(filePath);
-  const sheetName = wb.SheetNames[0];
-  const ws = wb.Sheets[sheetName];
-  const range = xlsx.utils.decode_range(ws['!ref']);
-  const headerRow = range.s.r;
-  let statusCol = null;
-  for (let c = range.s.c; c <= range.e.c; c += 1) {
-    const addr = xlsx.utils.encode_cell({ r: headerRow, c });
-    const cell = ws[addr];
-    const txt = cell ? String(cell.v ?? cell.w ?? '').trim().toLowerCase() : '';
-    if (txt === 'status') { statusCol = c; break; }
-  }
-  if (statusCol === null) {
-    statusCol = range.e.c + 1;
-    const headerAddr = xlsx.utils.encode_cell({ r: headerRow, c: statusCol });
-    ws[headerAddr] = { t: 's', v: 'STATUS' };
-    range.e.c = statusCol;
-    ws['!ref'] = xlsx.utils.encode_range(range);
-  }
-  const targetRow = headerRow + 1 + rowIndexZeroBased;
-  const targetAddr = xlsx.utils.encode_cell({ r: targetRow, c: statusCol });
-  ws[targetAddr] = { t: 's', v: statusValue };
-  if (targetRow > range.e.r) {
-    range.e.r = targetRow;
-    ws['!ref'] = xlsx.utils.encode_range(range);
-  }
-  xlsx.writeFile(wb, filePath);
-}
+// Page markers and element locators with fallbacks: selectors/braintree.json (see lib/selectors.js)
+const SELECTOR_CONFIG = loadSelectorConfig();
+// Health check instead of a run: --check-selectors [--templates-only] [--transaction=<id>]
+const CHECK_SELECTORS = hasFlag('--check-selectors');
+const TEMPLATES_ONLY = hasFlag('--templates-only');
+const SELECTOR_HEALTH_FILE = dataPath('selector-health.json');
 
 function now() {
   return new Date().toISOString();
@@ -173,14 +155,15 @@ function sleep(ms) {
 async function waitForStatusText(page, timeoutMs) {
   const start = Date.now();
   let lastSeen = '';
+  const statusSelector = await selectorFor(page, 'detail.status', timeoutMs);
   /* Poll until a non-empty status text appears or timeout */
   // eslint-disable-next-line no-constant-condition
   while (true) {
     try {
-      const text = await page.evaluate(() => {
-        const el = document.querySelector('span.transaction-status, span[class*="transaction-status"]');
+      const text = await page.evaluate((sel) => {
+        const el = document.querySelector(sel);
         return el ? (el.textContent || '').trim() : '';
-      });
+      }, statusSelector);
       if (text) return text;
       lastSeen = text;
     } catch (e) {
@@ -200,19 +183,11 @@ async function importPuppeteer() {
     const m = await (new Function('return import("puppeteer")'))();
     return m.default || m;
   } catch (err) {
-    console.error('[%s] Failed to load puppeteer. Install it first: npm i puppeteer', now());
+    log.error('Failed to load puppeteer. Install it first: npm i puppeteer');
     throw err;
   }
 }
 
-async function waitForAnySelector(page, selectors, timeoutMs) {
-  return page.waitForFunction(
-    (sels) => sels.some((sel) => document.querySelector(sel)),
-    { timeout: timeoutMs },
-    selectors
-  );
-}
-
 async function waitForText(page, selector, includesText, timeoutMs) {
   return page.waitForFunction(
     (sel, txt) => {
@@ -227,26 +202,25 @@ async function waitForText(page, selector, includesText, timeoutMs) {
   );
 }
 
-function raceStages(page, stages, timeoutMs) {
-  const promises = stages.map((stage) => {
-    if (stage.type === 'selectors') {
-      return waitForAnySelector(page, stage.selectors, timeoutMs).then(() => stage.name);
-    }
-    if (stage.type === 'text') {
-      return waitForText(page, stage.selector, stage.text, timeoutMs).then(() => stage.name);
-    }
-    return Promise.reject(new Error('Unsupported stage type'));
-  });
-  return Promise.race(promises);
+// Configured element -> CSS selector for it; a fallback match is reported once per element
+const healedKeys = new Set();
+async function selectorFor(page, key, timeoutMs = 30000) {
+  const hit = await resolveElement(page, SELECTOR_CONFIG, key, timeoutMs);
+  if (hit.healed && !healedKeys.has(key)) {
+    healedKeys.add(key);
+    log.warn('Selector "%s" matched only by fallback %s; Braintree markup may have changed.', key, hit.locator);
+    emitEvent('selector-drift', { problems: [`${key} found only by fallback ${hit.locator}`], blocking: false });
+  }
+  return hit.selector;
 }
 
-async function main() {
-  const puppeteer = await importPuppeteer();
-
-  console.log('[%s] Launching Chromium (non-headless)...', now());
-  const browser = await puppeteer.launch({
-    headless: false,
-    defaultViewport: null,
+async function launchBrowser(puppeteer, headless) {
+  log.info('Launching Chromium (%s)...', headless ? 'headless' : 'non-headless');
+  return puppeteer.launch({
+    headless,
+    // Headless has no window to maximize; give pages a desktop-sized viewport instead
+    defaultViewport: headless ? { width: 1366, height: 900 } : null,
+    userDataDir: BROWSER_PROFILE_DIR,
     executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
     args: [
       '--disable-dev-shm-usage',
@@ -276,321 +250,962 @@ async function main() {
       "--disable-infobars"
     ]
   });
+}
 
-  let exitCode = 0;
+// Reads and validates every row up front so bad data is reported before any browser work
+function loadAndValidateInput() {
+  let rows;
+  let mappingProfile;
+  const merchantAccounts = loadMerchantAccounts();
   try {
-    const page = await browser.newPage();
-
-    const loginUrl = 'https://www.braintreegateway.com/login';
-    console.log('[%s] Navigating to %s ...', now(), loginUrl);
-    await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-
-    console.log('[%s] Verifying login page loaded (selectors from login_selectors.html)...', now());
-    await waitForAnySelector(page, SELECTORS.login, LOGIN_PAGE_LOAD_TIMEOUT_MS);
-    console.log('[%s] Login page detected. Please enter username and password manually, then submit.', now());
-
-    console.log('[%s] Waiting for either OTP page or dashboard...', now());
-    const firstStage = await raceStages(
-      page,
-      [
-        { name: 'otp', type: 'selectors', selectors: SELECTORS.otp },
-        { name: 'dashboard', type: 'selectors', selectors: SELECTORS.dashboard }
-      ],
-      POST_LOGIN_WAIT_TIMEOUT_MS
-    );
-
-    if (firstStage === 'otp') {
-      // Confirm OTP title text for extra robustness
-      await waitForText(page, 'h2.unified-login__title', 'Two-Factor Authentication', 5000).catch(() => {});
-      console.log('[%s] OTP page detected. Please enter your one-time code manually.', now());
-
-      console.log('[%s] Waiting for dashboard after OTP...', now());
-      await waitForAnySelector(page, SELECTORS.dashboard, OTP_WAIT_TIMEOUT_MS);
-    } else {
-      console.log('[%s] Dashboard detected (no OTP required).', now());
+    mappingProfile = loadProfile(MAPPING_PROFILE);
+    log.info('Using mapping profile "%s".', mappingProfile.name);
+    rows = readAllRowsFromExcel(INPUT_XLSX);
+  } catch (e) {
+    log.error('Input read error: %s', e.message || e);
+    throw e;
+  }
+
+  const report = validateRows(rows, { profile: mappingProfile, merchantAccounts, window: BRAND.chargeWindow });
+  log.info('Pre-flight: %d rows, %d already processed, %d valid, %d invalid.', report.total, report.alreadyProcessed, report.valid, report.invalid);
+  log.info('Charge window: %d due today, %d overdue, %d not yet due, %d expired card(s).', report.due.dueToday, report.due.overdue, report.due.notYetDue, report.due.expired);
+  for (const issue of report.issues) {
+    log.info('Row %d (%s) invalid: %s', issue.row, issue.orderId || 'no reservation ID', issue.errors.join('; '));
+  }
+  if (report.invalid && !SKIP_INVALID) {
+    log.error('%d invalid row(s). Aborting before launch; fix the sheet or re-run with --skip-invalid to charge only valid rows.', report.invalid);
+    return null;
+  }
+  const invalidRows = new Map(report.issues.map((issue) => [issue.row - 1, issue.errors]));
+  return { rows, mappingProfile, merchantAccounts, invalidRows };
+}
+
+// Transactions link (top nav, visible on every signed-in page) opens the advanced search page
+async function goToTransactionSearch(page) {
+  log.info('Navigating to Transactions search...');
+  const link = await selectorFor(page, 'transactionsLink', 20000);
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => null),
+    page.click(link)
+  ]);
+  await waitForPage(page, SELECTOR_CONFIG, 'transactionSearch', 20000);
+}
+
+async function goToNewTransaction(page) {
+  await goToTransactionSearch(page);
+  log.info('Navigating to New Transaction...');
+  const link = await selectorFor(page, 'newTransactionLink', 20000);
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => null),
+    page.click(link)
+  ]);
+  await waitForPage(page, SELECTOR_CONFIG, 'newTransaction', 20000);
+}
+
+/**
+ * Compares the live page with its saved snapshot and logs what drifted.
+ * `blocking` means a required element is gone, so rows cannot be filled.
+ */
+async function checkPageStructure(browser, page, pageName) {
+  const result = await detectDrift(browser, page, SELECTOR_CONFIG, pageName);
+  const problems = pageProblems(result);
+  const blocking = !result.onPage || result.elements.some((el) => el.required && el.status === 'missing');
+  for (const problem of problems) log.warn('Selector check (%s): %s', pageName, problem);
+  if (problems.length) emitEvent('selector-drift', { page: pageName, problems, blocking });
+  return { ...result, problems, blocking };
+}
+
+// Currency shown for the chosen merchant account, once Braintree has looked the account up ('' if none)
+async function readPageCurrency(page, selector) {
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => null);
+  const text = await page.$eval(selector, (el) => (el.value || el.textContent || '').trim().toUpperCase()).catch(() => '');
+  return /^[A-Z]{3}$/.test(text) ? text : '';
+}
+
+/**
+ * Fills the New Transaction form currently open in `page`; never submits it.
+ * Stops after the merchant account when the page shows a currency the row cannot be
+ * charged in, and returns { currencyProblem }; formValues.amount is reformatted
+ * for that currency when the row has none of its own.
+ */
+async function fillTransactionForm(page, formValues, rowNumber) {
+  const expectedCardDigits = String(formValues.cardNumber || '').replace(/\D+/g, '');
+
+  // Resolve every form element up front; a missing optional one is left alone, a missing required one stops the run
+  const fields = {};
+  for (const [key, el] of Object.entries(SELECTOR_CONFIG.elements)) {
+    if (!key.startsWith('form.')) continue;
+    try {
+      fields[key.slice(5)] = await selectorFor(page, key, el.required ? 30000 : 2000);
+    } catch (e) {
+      if (el.required) throw e;
+      fields[key.slice(5)] = null;
     }
+  }
 
-    console.log('[%s] Main dashboard confirmed (selectors from main_dashboard_selectors.html).', now());
-
-    // Helper to navigate to New Transaction page from any state where the top nav is visible
-    async function goToNewTransaction() {
-      console.log('[%s] Navigating to New Transaction...', now());
-      await waitForAnySelector(page, SELECTORS.transactionsLink, 20000);
-      await page.click(SELECTORS.transactionsLink[0]).catch(async () => { await page.click(SELECTORS.transactionsLink[1]); });
-      await Promise.race([
-        waitForAnySelector(page, SELECTORS.newTransactionLink, 20000),
-        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => null)
-      ]);
-      await page.click(SELECTORS.newTransactionLink[0]).catch(async () => { await page.click(SELECTORS.newTransactionLink[1]); });
-      await Promise.race([
-        page.waitForSelector('body.transactions_new', { timeout: 20000 }).catch(() => null),
-        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => null)
-      ]);
-      try {
-        await page.waitForSelector('body.transactions_new', { timeout: 20000 });
-      } catch (_) {
-        await waitForAnySelector(page, ['h2'], 20000);
-        await page.waitForFunction(() => {
-          const h2s = Array.from(document.querySelectorAll('h2'));
-          return h2s.some(h => /New Transaction|Transaction Create/i.test((h.textContent || '').trim()));
-        }, { timeout: 20000 });
+  // Prevent accidental submit via Enter while we fill fields
+  await page.evaluate((formSelector) => {
+    try {
+      const preventEnter = (e) => {
+        if (e.key === 'Enter' && e.target && e.target.tagName === 'INPUT') {
+          e.preventDefault();
+          e.stopPropagation();
+        }
+      };
+      window.addEventListener('keydown', preventEnter, true);
+      const form = document.querySelector(formSelector);
+      if (form) { form.addEventListener('submit', (e) => { e.preventDefault(); e.stopPropagation(); }, true); }
+    } catch (_) {}
+  }, fields.transactionForm);
+  await sleep(400);
+
+  log.info('Filling New Transaction form for row %d...', rowNumber);
+  // Merchant Account
+  if (formValues.merchantAccount) {
+    await page.focus(fields.merchantAccount);
+    await page.click(fields.merchantAccount, { clickCount: 3 });
+    await page.type(fields.merchantAccount, formValues.merchantAccount, { delay: 25 });
+    await sleep(250);
+    await page.keyboard.press('Tab').catch(() => {});
+    const pageCurrency = fields.currency ? await readPageCurrency(page, fields.currency) : '';
+    if (pageCurrency) {
+      const known = loadAccountCurrencies()[formValues.merchantAccount];
+      if (known !== pageCurrency) {
+        if (known) log.warn('Merchant account %s shows %s, not %s as recorded. Updating the record.', formValues.merchantAccount, pageCurrency, known);
+        try { setAccountCurrency(formValues.merchantAccount, pageCurrency); } catch (_) {}
+      }
+      const mismatch = currencyMismatch(formValues.currency, pageCurrency, formValues.merchantAccount);
+      if (mismatch) return { currencyProblem: mismatch };
+      if (!formValues.currency) {
+        try {
+          formValues.amount = formatAmount(formValues.amount, pageCurrency);
+          formValues.currency = pageCurrency;
+        } catch (e) {
+          return { currencyProblem: `${e.message} for merchant account ${formValues.merchantAccount}` };
+        }
       }
     }
+  }
+  // Amount
+  if (formValues.amount) {
+    await page.focus(fields.amount);
+    await page.click(fields.amount, { clickCount: 3 });
+    await page.type(fields.amount, formValues.amount, { delay: 10 });
+  }
+  // Order ID
+  if (formValues.orderId) {
+    await page.focus(fields.orderId);
+    await page.click(fields.orderId, { clickCount: 3 });
+    await page.type(fields.orderId, formValues.orderId, { delay: 10 });
+  }
+  // Customer First Name
+  if (formValues.customerFirstName && fields.customerFirstName) {
+    await page.focus(fields.customerFirstName);
+    await page.click(fields.customerFirstName, { clickCount: 3 });
+    await page.type(fields.customerFirstName, formValues.customerFirstName, { delay: 10 });
+  }
+  // Cardholder Name
+  await page.focus(fields.cardholderName);
+  await page.click(fields.cardholderName, { clickCount: 3 });
+  await page.type(fields.cardholderName, formValues.cardholderName, { delay: 10 });
+  // Card Number
+  if (formValues.cardNumber) {
+    await page.focus(fields.cardNumber);
+    await page.click(fields.cardNumber, { clickCount: 3 });
+    await page.type(fields.cardNumber, formValues.cardNumber, { delay: 10 });
+    try {
+      const typed = await page.$eval(fields.cardNumber, (el) => (el.value || ''));
+      const typedDigits = String(typed).replace(/\D+/g, '');
+      if (expectedCardDigits && typedDigits.length < expectedCardDigits.length) {
+        const remaining = expectedCardDigits.slice(typedDigits.length);
+        await page.type(fields.cardNumber, `${remaining}`, { delay: 10 });
+      }
+    } catch (_) {}
+  }
+  // Expiration Date
+  if (formValues.expirationDate) {
+    await page.focus(fields.expirationDate);
+    await page.click(fields.expirationDate, { clickCount: 3 });
+    await page.type(fields.expirationDate, formValues.expirationDate, { delay: 10 });
+  }
+  // CVV
+  if (formValues.cvv && fields.cvv) {
+    await page.focus(fields.cvv);
+    await page.click(fields.cvv, { clickCount: 3 });
+    await page.type(fields.cvv, formValues.cvv, { delay: 10 });
+  }
+  // Postal Code
+  await page.focus(fields.billingPostalCode);
+  await page.click(fields.billingPostalCode, { clickCount: 3 });
+  await page.type(fields.billingPostalCode, formValues.billingPostalCode, { delay: 10 });
+  // Brand billing address: First Name, Street Address, Region (empty in the profile = left untouched)
+  for (const field of ['billingFirstName', 'billingStreet', 'billingRegion']) {
+    if (!formValues[field] || !fields[field]) continue;
+    try {
+      await page.focus(fields[field]);
+      await page.click(fields[field], { clickCount: 3 });
+      await page.type(fields[field], formValues[field], { delay: 10 });
+    } catch (_) {}
+  }
+  // Clear Billing Company
+  if (fields.billingCompany) {
+    await page.$eval(fields.billingCompany, (el) => {
+      el.value = '';
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+    }).catch(() => {});
+  }
+  // Country Name
+  if (formValues.billingCountryName && fields.billingCountryName) {
+    await page.select(fields.billingCountryName, formValues.billingCountryName).catch(async () => {
+      await page.evaluate((sel, val) => { const el = document.querySelector(sel); if (el) { el.value = val; el.dispatchEvent(new Event('change', { bubbles: true })); } }, fields.billingCountryName, formValues.billingCountryName);
+    });
+  }
+  // Skip Premium Fraud Checking
+  const skipChecked = fields.skipPremiumFraudCheckbox
+    ? await page.$eval(fields.skipPremiumFraudCheckbox, (el) => el.checked).catch(() => false)
+    : true;
+  if (!skipChecked) {
+    try { await page.$eval(fields.skipPremiumFraudCheckbox, (el) => el.scrollIntoView({ block: 'center' })); } catch (_) {}
+    await page.click(fields.skipPremiumFraudCheckbox).catch(() => {});
+    const stillUnchecked = await page.$eval(fields.skipPremiumFraudCheckbox, (el) => el.checked).catch(() => false);
+    if (!stillUnchecked) {
+      await page.evaluate((sel) => { const el = document.querySelector(sel); if (el) { el.checked = true; el.dispatchEvent(new Event('change', { bubbles: true })); } }, fields.skipPremiumFraudCheckbox);
+    }
+  }
+  return {};
+}
 
-    // Read all rows and iterate
-    const inputPath = INPUT_XLSX;
-    let rows;
+/**
+ * Opens Braintree in `browser`, restoring the saved session or waiting for a manual login (and OTP).
+ * `onPage(name, page)` is awaited whenever the login or OTP page is shown.
+ * Resolves to { browser, page } on the dashboard; the browser is relaunched with a window
+ * when a headless run needs an interactive login.
+ */
+async function signIn(puppeteer, browser, onPage = async () => {}) {
+  let page = await browser.newPage();
+
+  // Restore the session saved by an earlier run; Braintree then skips the login page
+  const savedCookies = loadSession(SESSION_HOST);
+  if (savedCookies.length) {
+    log.info('Restoring saved Braintree session (%d cookies)...', savedCookies.length);
+    await page.setCookie(...savedCookies).catch((e) => log.warn('Could not restore saved session: %s', e && e.message ? e.message : String(e)));
+  }
+
+  const loginUrl = `${BASE_URL}/login`;
+  log.info('Navigating to %s ...', loginUrl);
+  await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+  log.info('Verifying login page loaded (selector config v%s)...', SELECTOR_CONFIG.version);
+  // A restored session (or reused browser profile) lands straight on the dashboard
+  const entryStage = await waitForPage(page, SELECTOR_CONFIG, ['login', 'dashboard'], LOGIN_PAGE_LOAD_TIMEOUT_MS);
+  let firstStage = 'dashboard';
+  if (entryStage === 'login') {
+    const sessionExpired = savedCookies.length > 0;
+    if (sessionExpired) {
+      log.info('Saved session has expired. Falling back to interactive login.');
+      clearSession(SESSION_HOST);
+    }
+    // Nobody can type into a headless browser: reopen with a window for the login only
+    if (HEADLESS) {
+      log.info('Interactive login needs a visible browser. Relaunching with a window...');
+      try { await browser.close(); } catch (_) {}
+      browser = await launchBrowser(puppeteer, false);
+      page = await browser.newPage();
+      await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await waitForPage(page, SELECTOR_CONFIG, 'login', LOGIN_PAGE_LOAD_TIMEOUT_MS);
+    }
+    await onPage('login', page);
+    log.info('Login page detected. Please enter username and password manually, then submit.');
+    emitEvent('login-required', { sessionExpired });
+
+    log.info('Waiting for either OTP page or dashboard...');
+    firstStage = await waitForPage(page, SELECTOR_CONFIG, ['otp', 'dashboard'], POST_LOGIN_WAIT_TIMEOUT_MS);
+  } else {
+    log.info('Saved session is still signed in.');
+  }
+
+  if (firstStage === 'otp') {
+    // Confirm OTP title text for extra robustness
+    await selectorFor(page, 'otpTitle', 5000)
+      .then((sel) => waitForText(page, sel, 'Two-Factor Authentication', 5000))
+      .catch(() => {});
+    await onPage('otp', page);
+    log.info('OTP page detected. Please enter your one-time code manually.');
+    emitEvent('otp-required');
+
+    log.info('Waiting for dashboard after OTP...');
+    await waitForPage(page, SELECTOR_CONFIG, 'dashboard', OTP_WAIT_TIMEOUT_MS);
+  } else {
+    log.info('Dashboard detected (no OTP required).');
+  }
+
+  log.info('Main dashboard confirmed.');
+  try {
+    saveSession(await page.cookies(), SESSION_HOST);
+    log.info('Session saved for the next run.');
+  } catch (e) {
+    log.warn('Could not save session: %s', e && e.message ? e.message : String(e));
+  }
+  return { browser, page };
+}
+
+// Masked screenshot and DOM snapshot of what the page shows for a row; never fails the row
+async function captureRowEvidence(page, idx, stage) {
+  if (!CAPTURE_EVIDENCE) return;
+  try {
+    const saved = await captureEvidence(page, { runKey: EVIDENCE_RUN, row: idx + 1, stage });
+    log.debug('Row %d evidence (%s): %s', idx + 1, stage, saved.screenshot);
+  } catch (e) {
+    log.warn('Could not capture %s evidence for row %d: %s', stage, idx + 1, e && e.message ? e.message : String(e));
+  }
+}
+
+// Closes a row that must not be charged into its merchant account; STATUS keeps later runs off it too
+function rejectCurrency(idx, orderId, reason, { inputPath, checkpoint }) {
+  log.warn('Row %d rejected: %s. Not filled.', idx + 1, reason);
+  try { writeResultsToExcel(inputPath, idx, { STATUS: CURRENCY_MISMATCH_STATUS }); } catch (e) { log.warn('Failed to write results for row %d: %s', idx + 1, e && e.message ? e.message : String(e)); }
+  emitEvent('row-skipped', {
+    row: idx + 1, orderId, outcome: 'currency-mismatch', status: CURRENCY_MISMATCH_STATUS, reason
+  });
+  checkpoint({ row: idx + 1, orderId, phase: 'skipped', submitClicked: false });
+}
+
+/**
+ * Fills, reviews and submits one row, then reads the outcome from the transaction page.
+ * `state.submitClicked` is set just before the form is posted, so whoever catches an error
+ * from here knows whether the charge may already exist in Braintree.
+ * @returns {Promise<{ action: 'submitted'|'skipped'|'aborted', formValues: object, detail?: object }>}
+ */
+async function processRow(page, idx, formValues, { inputPath, checkpoint, state }) {
+  emitEvent('row-started', { row: idx + 1, orderId: formValues.orderId, amount: formValues.amount });
+  checkpoint({ row: idx + 1, orderId: formValues.orderId, phase: 'filling', submitClicked: false });
+  await goToNewTransaction(page);
+  const filled = await fillTransactionForm(page, formValues, idx + 1);
+  if (filled.currencyProblem) {
+    rejectCurrency(idx, formValues.orderId, filled.currencyProblem, { inputPath, checkpoint });
+    return { action: 'skipped', formValues };
+  }
+
+  emitEvent('row-filled', { row: idx + 1, orderId: formValues.orderId, values: maskFormValues(formValues) });
+  log.debug('Row %d filled: %j', idx + 1, maskFormValues(formValues));
+  await captureRowEvidence(page, idx, 'filled');
+
+  // Review mode: pause for an approve / skip / edit-and-refill / abort decision before submitting
+  if (REVIEW_MODE) {
+    let decision;
+    let reviewErrors = [];
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      log.info('Row %d filled and awaiting review.', idx + 1);
+      emitEvent('awaiting-review', {
+        row: idx + 1, orderId: formValues.orderId, values: maskFormValues(formValues), editable: EDITABLE_FIELDS, errors: reviewErrors
+      });
+      decision = await waitForReviewDecision(idx + 1);
+      if (decision.action !== 'edit') break;
+      const edited = applyReviewEdits(formValues, decision.values);
+      reviewErrors = validateValues(edited);
+      if (cardExpired(edited.expirationDate)) reviewErrors.push(`Card expired ${edited.expirationDate}`);
+      const accountMismatch = currencyMismatch(edited.currency, merchantAccountCurrency(edited.merchantAccount), edited.merchantAccount);
+      if (accountMismatch) reviewErrors.push(accountMismatch);
+      if (edited.orderId !== formValues.orderId && findCharge(edited.orderId) && !ALLOW_RECHARGE) {
+        reviewErrors.push(`Reservation ${edited.orderId} is already charged`);
+      }
+      if (reviewErrors.length) {
+        log.info('Row %d edit rejected: %s', idx + 1, reviewErrors.join('; '));
+        continue;
+      }
+      if (edited.currency) edited.amount = formatAmount(edited.amount, edited.currency);
+      formValues = edited;
+      // A retry of this row starts from the reviewer's values
+      state.formValues = edited;
+      log.info('Row %d edited by reviewer. Refilling form...', idx + 1);
+      await goToNewTransaction(page);
+      const refilled = await fillTransactionForm(page, formValues, idx + 1);
+      if (refilled.currencyProblem) {
+        rejectCurrency(idx, formValues.orderId, refilled.currencyProblem, { inputPath, checkpoint });
+        return { action: 'skipped', formValues };
+      }
+      emitEvent('row-filled', { row: idx + 1, orderId: formValues.orderId, values: maskFormValues(formValues) });
+      await captureRowEvidence(page, idx, 'filled');
+    }
+    if (decision.action === 'abort') {
+      log.info('Run aborted by reviewer at row %d.', idx + 1);
+      return { action: 'aborted', formValues };
+    }
+    if (decision.action === 'skip') {
+      log.info('Row %d skipped by reviewer.', idx + 1);
+      emitEvent('row-skipped', { row: idx + 1, orderId: formValues.orderId, outcome: 'skipped', reason: 'Skipped by reviewer' });
+      checkpoint({ row: idx + 1, orderId: formValues.orderId, phase: 'skipped', submitClicked: false });
+      return { action: 'skipped', formValues };
+    }
+    log.info('Row %d approved by reviewer. Submitting...', idx + 1);
+  } else {
+    log.info('Row %d filled. Submitting in 2 seconds...', idx + 1);
+    await sleep(2000);
+  }
+
+  const detail = await submitTransaction(page, idx, formValues, { inputPath, checkpoint, state });
+  const result = SPLIT_CHARGES.enabled && isInsufficientFunds(detail)
+    ? await splitCharge(page, idx, formValues, detail, { inputPath, checkpoint })
+    : detail;
+  recordRowResult(idx, formValues, result, { inputPath, checkpoint });
+
+  return { action: 'submitted', formValues, detail: { ...result, status: result.status || 'UNCONFIRMED' } };
+}
+
+/**
+ * Posts the New Transaction form filled with `formValues` and reads the outcome, verifying it
+ * through the search when the transaction page shows no status. Every call is one ledger entry.
+ * `state.submitClicked` is set just before the form is posted.
+ */
+async function submitTransaction(page, idx, formValues, { inputPath, checkpoint, state }) {
+  // Resolved before the ledger entry so a missing form never leaves an unconfirmed submit behind
+  const formSelector = await selectorFor(page, 'form.transactionForm', 5000);
+  const submitSelector = await selectorFor(page, 'form.submit', 2000).catch(() => null);
+  const ledgerId = recordSubmission({
+    reservationId: formValues.orderId,
+    amount: formValues.amount,
+    currency: formValues.currency,
+    merchantAccount: formValues.merchantAccount,
+    inputFile: inputPath,
+    row: idx + 1
+  });
+  state.ledgerId = ledgerId;
+  state.submittedAt = new Date();
+  // Written before the click: if the process dies now, resume must look the order up first (by amount and submit time)
+  checkpoint({
+    row: idx + 1,
+    orderId: formValues.orderId,
+    ledgerId,
+    phase: 'submitting',
+    submitClicked: true,
+    amount: formValues.amount,
+    currency: formValues.currency,
+    merchantAccount: formValues.merchantAccount,
+    submittedAt: state.submittedAt.toISOString()
+  });
+  state.submitClicked = true;
+  await page.evaluate((formSel, btnSel) => { const form = document.querySelector(formSel); const btn = btnSel && document.querySelector(btnSel); if (form && typeof form.submit === 'function') { form.submit(); } else if (btn) { btn.click(); } }, formSelector, submitSelector);
+  emitEvent('row-submitted', { row: idx + 1, orderId: formValues.orderId, amount: formValues.amount });
+  await Promise.race([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 60000 }).catch(() => null),
+    waitForPage(page, SELECTOR_CONFIG, 'transactionDetail', 60000).catch(() => null)
+  ]);
+  await waitForPage(page, SELECTOR_CONFIG, 'transactionDetail', 30000);
+  let statusText = '';
+  try {
+    statusText = await waitForStatusText(page, STATUS_WAIT_TIMEOUT_MS);
+  } catch (e) {
+    log.warn('Status text not ready within timeout. Retrying once...');
+    await sleep(2000);
+    statusText = await waitForStatusText(page, STATUS_WAIT_TIMEOUT_MS).catch(() => '');
+  }
+  let detail = { status: statusText };
+  try {
+    detail = { ...(await scrapeTransactionDetail(page)), status: statusText };
+  } catch (e) {
+    log.warn('Could not read transaction details for row %d: %s', idx + 1, e && e.message ? e.message : String(e));
+  }
+  // No status on the transaction page: the search decides between the real outcome and UNVERIFIED
+  if (!statusText) detail = await verifySubmission(page, formValues, state.submittedAt);
+  log.info('Row %d status: %s (transaction %s%s)', idx + 1, detail.status || 'N/A', detail.transactionId || 'unknown',
+    detail.processorResponseCode ? `, processor ${detail.processorResponseCode} ${detail.processorResponseText}` : '');
+  await captureRowEvidence(page, idx, 'submitted');
+  try {
+    recordOutcome(ledgerId, { ...detail, status: detail.status || 'UNCONFIRMED' });
+  } catch (e) {
+    log.warn('Failed to update ledger for row %d: %s', idx + 1, e && e.message ? e.message : String(e));
+  }
+  return detail;
+}
+
+
+/**
+ * Split-charge mode, after an insufficient-funds decline: charges what the card will take in
+ * smaller transactions under the same order ID (see lib/split-charge.js). Every transaction is
+ * its own ledger entry. Resolves to the row's combined result.
+ */
+async function splitCharge(page, idx, formValues, firstDetail, { inputPath, checkpoint }) {
+  const currency = formValues.currency || firstDetail.currency || '';
+  const totalUnits = toMinorUnits(formValues.amount, currency);
+  const split = { ...SPLIT_CHARGES, currency };
+  const toAttempt = (amount, detail) => ({
+    amount,
+    status: detail.status || 'UNCONFIRMED',
+    transactionId: detail.transactionId || '',
+    processorResponseCode: detail.processorResponseCode || '',
+    processorResponseText: detail.processorResponseText || '',
+    approved: Boolean(detail.status) && !isFinalStatus(detail.status) && !isUnknownStatus(detail.status),
+    insufficientFunds: isInsufficientFunds(detail)
+  });
+  const attempts = [toAttempt(formValues.amount, firstDetail)];
+  let amount = nextSplitAmount(split, totalUnits, attempts);
+  while (amount) {
+    log.info('Row %d: card declined for insufficient funds; trying %s (transaction %d of at most %d).', idx + 1, amount, attempts.length + 1, SPLIT_CHARGES.maxAttempts);
+    const values = { ...formValues, amount };
+    const state = { submitClicked: false, submittedAt: null, ledgerId: null };
+    let detail;
     try {
-      rows = readAllRowsFromExcel(inputPath);
+      await goToNewTransaction(page);
+      const { currencyProblem } = await fillTransactionForm(page, values, idx + 1);
+      if (currencyProblem) throw new Error(currencyProblem);
+      detail = await submitTransaction(page, idx, values, { inputPath, checkpoint, state });
     } catch (e) {
-      console.error('[%s] Excel read error: %s', now(), e.message || e);
-      throw e;
+      log.warn('Row %d split charge of %s failed: %s', idx + 1, amount, e && e.message ? e.message : String(e));
+      if (!state.submitClicked) break;
+      detail = await verifySubmission(page, values, state.submittedAt);
+      try { recordOutcome(state.ledgerId, detail); } catch (_) {}
     }
+    attempts.push(toAttempt(amount, detail));
+    amount = nextSplitAmount(split, totalUnits, attempts);
+  }
+  const result = { ...summarizeAttempts(totalUnits, attempts, currency), attempts };
+  log.info('Row %d split charge: %s of %s charged in %d transaction(s), %s remaining.', idx + 1, result.chargedAmount, formValues.amount,
+    attempts.filter((a) => a.approved).length, result.remainingAmount);
+  return result;
+}
 
-    for (let idx = 0; idx < rows.length; idx += 1) {
+// Creation dates a transaction submitted at `submittedAt` can have: VERIFY_WINDOW_DAYS either side
+function submitWindow(submittedAt) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const at = (submittedAt || new Date()).getTime();
+  return { createdFrom: new Date(at - VERIFY_WINDOW_DAYS * dayMs), createdTo: new Date(at + VERIFY_WINDOW_DAYS * dayMs) };
+}
+
+/**
+ * Looks a submitted row up in the advanced search by order ID, amount and the days around
+ * `submittedAt` (VERIFY_WINDOW_DAYS either side). Resolves to the found transaction's detail,
+ * to status UNVERIFIED when nothing matches, or to UNCONFIRMED when the search itself failed.
+ */
+async function verifySubmission(page, formValues, submittedAt) {
+  log.info('Verifying order %s (amount %s) in Braintree transaction search...', formValues.orderId, formValues.amount);
+  let found;
+  try {
+    await goToTransactionSearch(page);
+    found = await findTransaction(page, {
+      orderId: formValues.orderId,
+      amount: formValues.amount,
+      currency: formValues.currency,
+      ...submitWindow(submittedAt)
+    }, { selectors: SELECTOR_CONFIG });
+  } catch (e) {
+    log.warn('Transaction search failed for order %s: %s', formValues.orderId, e && e.message ? e.message : String(e));
+    return { status: 'UNCONFIRMED' };
+  }
+  if (!found) {
+    log.warn('No Braintree transaction matches order %s, amount %s. Marking it UNVERIFIED.', formValues.orderId, formValues.amount);
+    return { status: 'UNVERIFIED' };
+  }
+  log.info('Order %s verified: transaction %s, status %s.', formValues.orderId, found.transactionId || 'unknown', found.status || 'N/A');
+  const { matches, ...detail } = found;
+  return { ...detail, status: detail.status || 'UNCONFIRMED', verified: true };
+}
+
+// A submitted row's outcome goes to the UI, the sheet and the checkpoint (the ledger has one entry per transaction)
+function recordRowResult(idx, formValues, detail, { inputPath, checkpoint }) {
+  const status = detail.status || 'UNCONFIRMED';
+  // Rows charged in one transaction are all or nothing; split rows bring their own figures
+  const amounts = {};
+  if (detail.chargedAmount === undefined && !isUnknownStatus(status)) {
+    const currency = formValues.currency || detail.currency || '';
+    const totalUnits = toMinorUnits(formValues.amount, currency);
+    const chargedUnits = isFinalStatus(status) ? 0 : totalUnits;
+    amounts.chargedAmount = fromMinorUnits(chargedUnits, currency);
+    amounts.remainingAmount = fromMinorUnits(totalUnits - chargedUnits, currency);
+  }
+  emitEvent('row-status', {
+    ...amounts,
+    ...detail,
+    row: idx + 1,
+    outcome: 'submitted',
+    status,
+    orderId: formValues.orderId,
+    amount: formValues.amount,
+    settledAmount: detail.amount || '',
+    currency: formValues.currency || detail.currency || '',
+    merchantAccount: formValues.merchantAccount
+  });
+  try { writeResultsToExcel(inputPath, idx, toResultColumns({ ...detail, ...amounts, status })); log.info('Results written to sheet for row %d.', idx + 1); } catch (e) { log.warn('Failed to write results for row %d: %s', idx + 1, e && e.message ? e.message : String(e)); }
+  checkpoint({
+    row: idx + 1, orderId: formValues.orderId, phase: 'done', submitClicked: true
+  });
+}
+
+// After a failed attempt: reload the current page so the next one starts clean.
+// Resolves to the page that is showing afterwards (null if none is recognised).
+async function recoverPage(page) {
+  try { await page.goto(page.url(), { waitUntil: 'domcontentloaded', timeout: 30000 }); } catch (_) {}
+  return waitForPage(page, SELECTOR_CONFIG, Object.keys(SELECTOR_CONFIG.pages), 10000).catch(() => null);
+}
+
+async function main() {
+  const input = loadAndValidateInput();
+  if (!input) {
+    await emitEvent('run-finished', { exitCode: 2, reason: 'Pre-flight validation failed' });
+    process.exit(2);
+  }
+  const {
+    rows, mappingProfile, merchantAccounts, invalidRows
+  } = input;
+
+  // Resume: continue at the checkpointed row. A row whose submit was clicked but never
+  // confirmed is looked up in Braintree before it is retried.
+  const resumeCheckpoint = RESUME_FROM ? readCheckpoint(RESUME_FROM) : null;
+  let startIdx = 0;
+  let unconfirmed = null;
+  if (RESUME_FROM && !resumeCheckpoint) {
+    log.warn('Run %s has no checkpoint; starting from the first row.', RESUME_FROM);
+  } else if (resumeCheckpoint) {
+    const finished = ['done', 'skipped'].includes(resumeCheckpoint.phase);
+    startIdx = Math.min(rows.length, resumeCheckpoint.row - (finished ? 0 : 1));
+    if (resumeCheckpoint.submitClicked && resumeCheckpoint.phase !== 'done') unconfirmed = resumeCheckpoint;
+    log.info('Resuming run %s at row %d (row %d was %s%s).', RESUME_FROM, startIdx + 1, resumeCheckpoint.row, resumeCheckpoint.phase,
+      unconfirmed ? ', submitted but unconfirmed' : '');
+  }
+  const checkpoint = (data) => { if (RUN_ID) writeCheckpoint(RUN_ID, data); };
+  log.info('Brand profile "%s" (cardholder "%s", %s mode).', BRAND.name, BRAND.cardholderName, REVIEW_MODE ? 'review' : 'no-review');
+  const puppeteer = await importPuppeteer();
+
+  let browser = await launchBrowser(puppeteer, HEADLESS);
+
+  let exitCode = 0;
+  const summary = {
+    total: rows.length, submitted: 0, skipped: 0, aborted: false, failures: []
+  };
+  const recordFailure = (failure) => {
+    summary.failures.push(failure);
+    emitEvent('row-failed', { ...failure, outcome: 'failed' });
+  };
+  let loggedIn = false;
+  try {
+    let page;
+    ({ browser, page } = await signIn(puppeteer, browser));
+    loggedIn = true;
+
+    // Before anything is charged: the pages every row goes through must still have what the selectors expect
+    if (startIdx < rows.length) {
+      const checks = [await checkPageStructure(browser, page, 'dashboard')];
+      await goToTransactionSearch(page);
+      checks.push(await checkPageStructure(browser, page, 'transactionSearch'));
+      await goToNewTransaction(page);
+      checks.push(await checkPageStructure(browser, page, 'newTransaction'));
+      const blocking = checks.filter((c) => c.blocking);
+      if (blocking.length) {
+        throw new Error(`Braintree page structure changed (${blocking.map((c) => c.page).join(', ')}); no row was submitted. Run "npm run check-selectors" and update selectors/braintree.json.`);
+      }
+      if (!checks.some((c) => c.problems.length)) log.info('Selector check passed (config v%s).', SELECTOR_CONFIG.version);
+    }
+    const inputPath = INPUT_XLSX;
+    for (let idx = startIdx; idx < rows.length; idx += 1) {
       const row = rows[idx];
 
       // Skip if STATUS already present/non-empty
       const statusCell = (row.STATUS ?? row.Status ?? row.status ?? '').toString().trim();
       if (statusCell) {
-        console.log('[%s] Row %d already has STATUS="%s". Skipping.', now(), idx + 1, statusCell);
-        continue;
-      }
-
-      // Build helpers for this row and validate CVV length >= 3
-      const normalizeKey = (s) => String(s || '').trim().toLowerCase().replace(/\s+/g, ' ');
-      const normalizedRow = Object.keys(row).reduce((acc, k) => { acc[normalizeKey(k)] = (row[k] ?? '').toString().trim(); return acc; }, {});
-      const valueByHeaders = (headers) => {
-        for (const h of headers) { if (Object.prototype.hasOwnProperty.call(row, h)) { const v = (row[h] ?? '').toString().trim(); if (v) return v; } }
-        for (const h of headers) { const v = normalizedRow[normalizeKey(h)]; if (v) return v; }
-        return '';
-      };
-      const cvvRawEarly = valueByHeaders(['CVV', 'Security Code', 'CVV2']);
-      const cvvDigitsEarly = String(cvvRawEarly || '').replace(/\D+/g, '');
-      if (cvvDigitsEarly.length < 3) {
-        console.log('[%s] Row %d CVV has less than 3 digits. Skipping.', now(), idx + 1);
+        log.info('Row %d already has STATUS="%s". Skipping.', idx + 1, statusCell);
+        emitEvent('row-skipped', { row: idx + 1, outcome: 'already-processed', status: statusCell, reason: `STATUS already "${statusCell}"` });
+        summary.skipped += 1;
         continue;
       }
 
-      await goToNewTransaction();
-
-      // Prevent accidental submit via Enter while we fill fields
-      await page.evaluate(() => {
+      // Submit was clicked for this row before the interruption: retry only if Braintree has no such transaction
+      if (unconfirmed && unconfirmed.row === idx + 1) {
+        const { orderId, ledgerId: priorLedgerId } = unconfirmed;
+        // What was submitted: checkpoints from before amounts were recorded there only point at the ledger entry
+        const prior = (priorLedgerId && readLedger().find((e) => e.id === priorLedgerId)) || {};
+        const submitted = {
+          orderId,
+          amount: unconfirmed.amount ?? prior.amount ?? '',
+          currency: unconfirmed.currency ?? prior.currency ?? '',
+          merchantAccount: unconfirmed.merchantAccount ?? prior.merchantAccount ?? ''
+        };
+        const submittedAt = new Date(unconfirmed.submittedAt || prior.timestamp || unconfirmed.updatedAt || Date.now());
+        unconfirmed = null;
+        log.info('Row %d was submitted but not confirmed before the interruption. Searching Braintree for order %s (amount %s)...', idx + 1, orderId, submitted.amount || 'unknown');
+        let existing;
         try {
-          const preventEnter = (e) => {
-            if (e.key === 'Enter' && e.target && e.target.tagName === 'INPUT') {
-              e.preventDefault();
-              e.stopPropagation();
-            }
-          };
-          window.addEventListener('keydown', preventEnter, true);
-          const form = document.getElementById('transaction_form');
-          if (form) { form.addEventListener('submit', (e) => { e.preventDefault(); e.stopPropagation(); }, true); }
-        } catch (_) {}
-      });
+          await goToTransactionSearch(page);
+          // Same amount, created around the submit: an older decline or another part of a split charge is not this row's outcome
+          existing = await findTransaction(page, {
+            orderId, amount: submitted.amount, currency: submitted.currency, ...submitWindow(submittedAt)
+          }, { selectors: SELECTOR_CONFIG });
+        } catch (e) {
+          log.warn('Transaction search failed for row %d: %s. Leaving it unconfirmed rather than risk a double charge.', idx + 1, e && e.message ? e.message : String(e));
+          emitEvent('row-skipped', {
+            row: idx + 1, orderId, outcome: 'unconfirmed', reason: 'Submitted before interruption; Braintree lookup failed'
+          });
+          summary.skipped += 1;
+          continue;
+        }
+        if (existing) {
+          log.info('Row %d found in Braintree: transaction %s, status %s. Recording it instead of retrying.', idx + 1, existing.transactionId || 'unknown', existing.status || 'N/A');
+          summary.submitted += 1;
+          if (priorLedgerId) {
+            try { recordOutcome(priorLedgerId, { ...existing, status: existing.status || 'UNCONFIRMED' }); } catch (_) {}
+          }
+          // Recorded like any submit, so charged and remaining amounts reach the sheet and the run history
+          const { matches, ...detail } = existing;
+          recordRowResult(idx, { ...submitted, amount: submitted.amount || existing.amount || '' }, { ...detail, recovered: true }, { inputPath, checkpoint });
+          continue;
+        }
+        log.info('No Braintree transaction for order %s. Retrying row %d.', orderId, idx + 1);
+        // Release the ledger reservation so the duplicate guard below lets the retry through
+        if (priorLedgerId) {
+          try { recordOutcome(priorLedgerId, { status: 'FAILED - NOT FOUND IN BRAINTREE' }); } catch (_) {}
+        }
+      }
 
-      // Ensure critical inputs
-      try {
-        await page.waitForSelector(FORM_SELECTORS.merchantAccount, { timeout: 30000 });
-      } catch (e) {
-        console.warn('[%s] Merchant Account input not immediately available, adding brief delay...', now());
-        await sleep(1500);
-        await page.waitForSelector(FORM_SELECTORS.merchantAccount, { timeout: 30000 });
+      if (invalidRows.has(idx)) {
+        log.info('Row %d failed pre-flight validation. Skipping.', idx + 1);
+        emitEvent('row-skipped', { row: idx + 1, outcome: 'invalid', reason: invalidRows.get(idx).join('; ') });
+        summary.skipped += 1;
+        continue;
       }
-      await Promise.all([
-        page.waitForSelector(FORM_SELECTORS.amount, { timeout: 30000 }).catch(() => null),
-        page.waitForSelector(FORM_SELECTORS.orderId, { timeout: 30000 }).catch(() => null),
-        page.waitForSelector(FORM_SELECTORS.cardNumber, { timeout: 30000 }).catch(() => null),
-      ]);
-      await sleep(400);
-
-      const first4Raw = valueByHeaders(['Card first 4', 'Card First 4', 'First 4']);
-      const last12Raw = valueByHeaders(['Card last 12', 'Card Last 12', 'Last 12']);
-      const first4Digits = String(first4Raw).replace(/\D+/g, '').slice(0, 4);
-      const last12Digits = String(last12Raw).replace(/\D+/g, '').slice(0, 12);
 
-      const formValues = {
-        merchantAccount: valueByHeaders(['MAIDS', 'Merchant Account', 'Merchant Account ID']),
-        amount: valueByHeaders(['Amount']),
-        orderId: valueByHeaders(['Reservation ID', 'Order ID']),
-        customerFirstName: valueByHeaders(['Hotel Name', 'First Name']),
-        cardholderName: BRAND === 'agoda' ? 'Agoda Ltd.' : 'BOOKING.COM',
-        cardNumber: first4Digits && last12Digits ? `${first4Digits}${last12Digits}` : (first4Digits || last12Digits || ''),
-        expirationDate: valueByHeaders(['Expiry', 'Expiration', 'Expiration Date (MM/YYYY)', 'Expiration Date', 'Exp Date']).replace(/\s+/g, ''),
-        cvv: valueByHeaders(['CVV', 'Security Code', 'CVV2']),
-        billingPostalCode: BRAND === 'agoda' ? '80525' : '10118',
-        billingCompany: '',
-        billingCountryName: 'United States of America'
-      };
+      const mapped = applyProfile(mappingProfile, row);
 
-      console.log('[%s] Filling New Transaction form for row %d...', now(), idx + 1);
-      // Merchant Account
-      if (formValues.merchantAccount) {
-        await page.focus(FORM_SELECTORS.merchantAccount);
-        await page.click(FORM_SELECTORS.merchantAccount, { clickCount: 3 });
-        await page.type(FORM_SELECTORS.merchantAccount, formValues.merchantAccount, { delay: 25 });
-        await sleep(250);
-        await page.keyboard.press('Tab').catch(() => {});
-      }
-      // Amount
-      if (formValues.amount) {
-        await page.focus(FORM_SELECTORS.amount);
-        await page.click(FORM_SELECTORS.amount, { clickCount: 3 });
-        await page.type(FORM_SELECTORS.amount, formValues.amount, { delay: 10 });
-      }
-      // Order ID
-      if (formValues.orderId) {
-        await page.focus(FORM_SELECTORS.orderId);
-        await page.click(FORM_SELECTORS.orderId, { clickCount: 3 });
-        await page.type(FORM_SELECTORS.orderId, formValues.orderId, { delay: 10 });
-      }
-      // Customer First Name
-      if (formValues.customerFirstName) {
-        await page.focus(FORM_SELECTORS.customerFirstName);
-        await page.click(FORM_SELECTORS.customerFirstName, { clickCount: 3 });
-        await page.type(FORM_SELECTORS.customerFirstName, formValues.customerFirstName, { delay: 10 });
-      }
-      // Cardholder Name
-      await page.focus(FORM_SELECTORS.cardholderName);
-      await page.click(FORM_SELECTORS.cardholderName, { clickCount: 3 });
-      await page.type(FORM_SELECTORS.cardholderName, formValues.cardholderName, { delay: 10 });
-      // Card Number
-      if (formValues.cardNumber) {
-        await page.focus(FORM_SELECTORS.cardNumber);
-        await page.click(FORM_SELECTORS.cardNumber, { clickCount: 3 });
-        await page.type(FORM_SELECTORS.cardNumber, formValues.cardNumber, { delay: 10 });
-        try {
-          const typed = await page.$eval(FORM_SELECTORS.cardNumber, (el) => (el.value || ''));
-          const typedDigits = String(typed).replace(/\D+/g, '');
-          const expectedDigits = `${first4Digits}${last12Digits}`;
-          if (expectedDigits && typedDigits.length < expectedDigits.length) {
-            const remaining = expectedDigits.slice(typedDigits.length);
-            await page.type(FORM_SELECTORS.cardNumber, `${remaining}`, { delay: 10 });
-          }
-        } catch (_) {}
+      // Outside the charge window: expired cards and missed deadlines are closed with a status, early rows wait
+      const due = dueState(mapped, { today: new Date(), window: BRAND.chargeWindow });
+      for (const field of WINDOW_FIELDS) delete mapped[field];
+      if (due.state !== 'due') {
+        const status = SKIP_STATUS[due.state] || '';
+        log.info('Row %d %s: %s. Skipping.', idx + 1, due.state, due.reason);
+        if (status) {
+          try { writeResultsToExcel(inputPath, idx, { STATUS: status }); } catch (e) { log.warn('Failed to write results for row %d: %s', idx + 1, e && e.message ? e.message : String(e)); }
+        }
+        emitEvent('row-skipped', {
+          row: idx + 1, orderId: mapped.orderId, outcome: due.state, status, reason: due.reason
+        });
+        summary.skipped += 1;
+        continue;
       }
-      // Expiration Date
-      if (formValues.expirationDate) {
-        await page.focus(FORM_SELECTORS.expirationDate);
-        await page.click(FORM_SELECTORS.expirationDate, { clickCount: 3 });
-        await page.type(FORM_SELECTORS.expirationDate, formValues.expirationDate, { delay: 10 });
+
+      // Never fall through to Braintree's default merchant account
+      const merchant = resolveRowMerchantAccount(mapped, merchantAccounts);
+      if (!merchant.merchantAccount) {
+        log.info('Row %d has no MAIDS value and no merchant registry mapping. Skipping.', idx + 1);
+        emitEvent('row-skipped', { row: idx + 1, orderId: mapped.orderId, outcome: 'skipped', reason: 'No merchant account' });
+        summary.skipped += 1;
+        continue;
       }
-      // CVV
-      if (formValues.cvv) {
-        await page.focus(FORM_SELECTORS.cvv);
-        await page.click(FORM_SELECTORS.cvv, { clickCount: 3 });
-        await page.type(FORM_SELECTORS.cvv, formValues.cvv, { delay: 10 });
+      if (merchant.source === 'registry') {
+        log.info('Row %d merchant account "%s" resolved from registry.', idx + 1, merchant.merchantAccount);
       }
-      // Postal Code
-      await page.focus(FORM_SELECTORS.billingPostalCode);
-      await page.click(FORM_SELECTORS.billingPostalCode, { clickCount: 3 });
-      await page.type(FORM_SELECTORS.billingPostalCode, formValues.billingPostalCode, { delay: 10 });
-      // Billing First Name (brand-specific)
-      try {
-        await page.focus(FORM_SELECTORS.billingFirstName);
-        await page.click(FORM_SELECTORS.billingFirstName, { clickCount: 3 });
-        await page.type(FORM_SELECTORS.billingFirstName, BRAND === 'agoda' ? 'Agoda Company Pte Ltd.' : 'Booking.com', { delay: 10 });
-      } catch (_) {}
+      mapped.merchantAccount = merchant.merchantAccount;
 
-      // Agoda-only fields: Street Address and Region
-      if (BRAND === 'agoda') {
+      // The merchant account must settle in the row's currency; the amount goes out in its minor units
+      const accountCurrency = merchantAccountCurrency(mapped.merchantAccount, merchantAccounts);
+      let currencyProblem = currencyMismatch(mapped.currency, accountCurrency, mapped.merchantAccount);
+      if (!currencyProblem) {
         try {
-          await page.focus(FORM_SELECTORS.billingStreet);
-          await page.click(FORM_SELECTORS.billingStreet, { clickCount: 3 });
-          await page.type(FORM_SELECTORS.billingStreet, '155 E. Boardwalk #490', { delay: 10 });
-        } catch (_) {}
-        try {
-          await page.focus(FORM_SELECTORS.billingRegion);
-          await page.click(FORM_SELECTORS.billingRegion, { clickCount: 3 });
-          await page.type(FORM_SELECTORS.billingRegion, 'Fort Collins, CO', { delay: 10 });
-        } catch (_) {}
+          mapped.amount = formatAmount(mapped.amount, mapped.currency || accountCurrency);
+          // Amounts are counted in minor units later on (charged, remaining, search), which needs the currency
+          if (!mapped.currency && accountCurrency) mapped.currency = accountCurrency;
+        } catch (e) {
+          currencyProblem = e.message;
+        }
       }
-      // Clear Billing Company
-      try {
-        await page.$eval(FORM_SELECTORS.billingCompany, (el) => {
-          el.value = '';
-          el.dispatchEvent(new Event('input', { bubbles: true }));
-          el.dispatchEvent(new Event('change', { bubbles: true }));
-        });
-      } catch (_) {}
-      // Country Name
-      if (formValues.billingCountryName) {
-        await page.select(FORM_SELECTORS.billingCountryName, formValues.billingCountryName).catch(async () => {
-          await page.evaluate((sel, val) => { const el = document.querySelector(sel); if (el) { el.value = val; el.dispatchEvent(new Event('change', { bubbles: true })); } }, FORM_SELECTORS.billingCountryName, formValues.billingCountryName);
-        });
+      if (currencyProblem) {
+        rejectCurrency(idx, mapped.orderId, currencyProblem, { inputPath, checkpoint });
+        summary.skipped += 1;
+        continue;
       }
-      // Skip Premium Fraud Checking
-      const skipChecked = await page.$eval(FORM_SELECTORS.skipPremiumFraudCheckbox, (el) => el.checked).catch(() => false);
-      if (!skipChecked) {
-        try { await page.$eval(FORM_SELECTORS.skipPremiumFraudCheckbox, (el) => el.scrollIntoView({ block: 'center' })); } catch (_) {}
-        await page.click(FORM_SELECTORS.skipPremiumFraudCheckbox).catch(() => {});
-        const stillUnchecked = await page.$eval(FORM_SELECTORS.skipPremiumFraudCheckbox, (el) => el.checked).catch(() => false);
-        if (!stillUnchecked) {
-          await page.evaluate((sel) => { const el = document.querySelector(sel); if (el) { el.checked = true; el.dispatchEvent(new Event('change', { bubbles: true })); } }, FORM_SELECTORS.skipPremiumFraudCheckbox);
+
+      // Cross-run duplicate guard: the ledger remembers every reservation already sent to Braintree
+      const priorCharge = findCharge(mapped.orderId);
+      if (priorCharge) {
+        if (!ALLOW_RECHARGE) {
+          log.info('Row %d reservation %s already charged on %s (status "%s", transaction %s, file %s). Skipping.', idx + 1, mapped.orderId, priorCharge.timestamp, priorCharge.status, priorCharge.transactionId || 'unknown', priorCharge.inputFile || 'unknown');
+          emitEvent('row-skipped', {
+            row: idx + 1, orderId: mapped.orderId, outcome: 'skipped', reason: `Already charged on ${priorCharge.timestamp} (${priorCharge.transactionId || priorCharge.status})`
+          });
+          summary.skipped += 1;
+          continue;
         }
+        log.warn('Row %d reservation %s was already charged on %s; re-charging because --allow-recharge is set.', idx + 1, mapped.orderId, priorCharge.timestamp);
       }
 
-      // Submit with settle wait (disabled in REVIEW_MODE)
-      if (REVIEW_MODE) {
-        console.log('[%s] REVIEW MODE enabled. Pausing after fill for manual review on row %d. Press Ctrl+C to exit.', now(), idx + 1);
-        await new Promise(() => {});
-      } else {
-        console.log('[%s] Row %d filled. Submitting in 2 seconds...', now(), idx + 1);
-        await sleep(2000);
-        await page.evaluate(() => { const form = document.getElementById('transaction_form'); const btn = document.getElementById('create_transaction_btn'); if (form && typeof form.submit === 'function') { form.submit(); } else if (btn) { btn.click(); } });
-        await Promise.race([
-          page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 60000 }).catch(() => null),
-          page.waitForSelector('body.transactions_show', { timeout: 60000 }).catch(() => null)
-        ]);
-        await waitForAnySelector(page, SELECTORS.submitPage, 30000);
-      }
+      const formValues = {
+        ...brandFormValues(BRAND),
+        billingCompany: '',
+        ...mapped
+      };
 
-      if (!REVIEW_MODE) {
-        // Ensure submit page is fully ready and capture status robustly
-        try {
-          await waitForAnySelector(page, SELECTORS.submitPage, STATUS_WAIT_TIMEOUT_MS);
-        } catch (_) {}
-        let statusText = '';
+      // Pre-submit failures are retried with backoff; anything else is recorded and the run moves on
+      const state = {
+        submitClicked: false, submittedAt: null, ledgerId: null, formValues
+      };
+      let result = null;
+      for (let attempt = 1; !result; attempt += 1) {
         try {
-          statusText = await waitForStatusText(page, STATUS_WAIT_TIMEOUT_MS);
+          result = await processRow(page, idx, state.formValues, { inputPath, checkpoint, state });
         } catch (e) {
-          console.warn('[%s] Status text not ready within timeout. Retrying once...', now());
-          await sleep(2000);
-          statusText = await waitForStatusText(page, STATUS_WAIT_TIMEOUT_MS).catch(() => '');
+          let reason = e && e.message ? e.message : String(e);
+          const browserConnected = browser.isConnected();
+          // Before recovery reloads it: the page as the failure left it
+          if (browserConnected) await captureRowEvidence(page, idx, 'error');
+          const landedOn = browserConnected ? await recoverPage(page) : null;
+          const failureClass = classifyFailure(e, { submitClicked: state.submitClicked, browserConnected, signedOut: ['login', 'otp'].includes(landedOn) });
+          if (failureClass === 'retryable' && attempt <= RETRY_POLICY.retries) {
+            const delayMs = backoffDelay(RETRY_POLICY, attempt);
+            log.warn('Row %d attempt %d failed before submit: %s. Retrying in %ds...', idx + 1, attempt, reason, Math.round(delayMs / 1000));
+            await sleep(delayMs);
+            continue;
+          }
+          // Never retried: the search says whether the charge went through
+          if (failureClass === 'ambiguous') {
+            log.warn('Row %d failed after submit: %s. Not retrying.', idx + 1, reason);
+            const detail = await verifySubmission(page, state.formValues, state.submittedAt);
+            try { recordOutcome(state.ledgerId, detail); } catch (_) {}
+            recordRowResult(idx, state.formValues, detail, { inputPath, checkpoint });
+            if (detail.verified) {
+              result = { action: 'submitted', formValues: state.formValues, detail };
+              break;
+            }
+            reason = `${reason}; ${detail.status === 'UNVERIFIED' ? 'no matching transaction in Braintree' : 'Braintree search failed'} (${detail.status})`;
+          }
+          recordFailure({
+            row: idx + 1, orderId: state.formValues.orderId, failureClass, reason, attempts: attempt
+          });
+          if (failureClass === 'fatal') throw e;
+          if (failureClass === 'retryable') {
+            log.warn('Row %d failed %d time(s) before submit: %s. Moving on to the next row.', idx + 1, attempt, reason);
+          }
+          break;
         }
-        console.log('[%s] Row %d status: %s', now(), idx + 1, statusText || 'N/A');
-        try { writeStatusToExcel(inputPath, idx, statusText || ''); console.log('[%s] STATUS written to Excel for row %d.', now(), idx + 1); } catch (e) { console.warn('[%s] Failed to write STATUS for row %d: %s', now(), idx + 1, e && e.message ? e.message : String(e)); }
-
-        // Screenshot
-        // const screenshotsDir = path.join(process.cwd(), 'screenshots');
-        // try { fs.mkdirSync(screenshotsDir, { recursive: true }); } catch (_) {}
-        // const submitShot = path.join(screenshotsDir, `submit_row${idx + 1}_${Date.now()}.png`);
-        // await page.screenshot({ path: submitShot, fullPage: true });
-
-        // Back to Transactions for next iteration
-        await waitForAnySelector(page, SELECTORS.transactionsLink, 15000);
-        await page.click(SELECTORS.transactionsLink[0]).catch(async () => { await page.click(SELECTORS.transactionsLink[1]); });
-        await Promise.race([
-          page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => null),
-          waitForAnySelector(page, SELECTORS.newTransactionLink, 30000).catch(() => null)
-        ]);
+      }
+      if (!result) continue;
+      if (result.action === 'aborted') {
+        summary.aborted = true;
+        break;
+      }
+      if (result.action === 'skipped') {
+        summary.skipped += 1;
+        continue;
+      }
+      summary.submitted += 1;
+      const { detail } = result;
+      if (isFinalStatus(detail.status)) {
+        summary.failures.push({
+          row: idx + 1,
+          orderId: result.formValues.orderId,
+          failureClass: 'final',
+          reason: [detail.status, detail.processorResponseCode, detail.processorResponseText, detail.gatewayRejectionReason].filter(Boolean).join(' ')
+        });
+      } else if (toMinorUnits(detail.remainingAmount, result.formValues.currency) > 0) {
+        summary.failures.push({
+          row: idx + 1,
+          orderId: result.formValues.orderId,
+          failureClass: 'final',
+          reason: `Partially charged: ${detail.chargedAmount} of ${result.formValues.amount}, ${detail.remainingAmount} remaining`
+        });
       }
     }
 
-    console.log('[%s] All rows processed successfully. Closing browser...', now());
+    if (summary.aborted) log.info('Run aborted. Closing browser...');
+    else if (summary.failures.length) log.info('All rows processed, %d with failures. Closing browser...', summary.failures.length);
+    else log.info('All rows processed successfully. Closing browser...');
   } catch (err) {
     exitCode = 1;
-    console.error('[%s] Error: %s', now(), err && err.stack ? err.stack : String(err));
+    log.error('Error: %s', err && err.stack ? err.stack : String(err));
   } finally {
-    console.log('[%s] Closing browser...', now());
+    // Refresh the saved session with whatever Braintree rotated during the run
+    if (loggedIn) {
+      try {
+        const pages = await browser.pages();
+        if (pages.length) saveSession(await pages[pages.length - 1].cookies(), SESSION_HOST);
+      } catch (_) {}
+    }
+    log.info('Closing browser...');
     try { await browser.close(); } catch (e) { /* ignore */ }
+    // Rows given a STATUS by an earlier run (or before masking existed) lose their card data too
+    try {
+      const masked = maskProcessedRows(INPUT_XLSX);
+      if (masked) log.info('Card data masked in %d processed row(s) of the output file.', masked);
+    } catch (e) {
+      log.warn('Failed to mask card data in the output file: %s', e && e.message ? e.message : String(e));
+    }
+    if (summary.failures.length) {
+      log.info('%d row(s) failed:', summary.failures.length);
+      for (const failure of summary.failures) log.info('  %s', describeFailure(failure));
+    }
+    await emitEvent('run-finished', { ...summary, exitCode });
     process.exit(exitCode);
   }
 }
 
-main().catch((e) => {
-  console.error('[%s] Fatal: %s', now(), e && e.stack ? e.stack : String(e));
-  process.exit(1);
-});
+/**
+ * --check-selectors: opens each page (after the usual login) and reports which configured
+ * selectors resolve and what drifted from the snapshots, without touching the input sheet.
+ * With --templates-only the snapshots themselves are checked, offline. Resolves to the exit code.
+ */
+async function checkSelectors() {
+  log.info('Selector health check, config v%s (%s)', SELECTOR_CONFIG.version, SELECTOR_CONFIG.source);
+  const puppeteer = await importPuppeteer();
+  let browser = await launchBrowser(puppeteer, HEADLESS || TEMPLATES_ONLY);
+  const report = {
+    checkedAt: now(),
+    version: SELECTOR_CONFIG.version,
+    source: SELECTOR_CONFIG.source,
+    target: TEMPLATES_ONLY ? 'templates' : BASE_URL,
+    pages: {}
+  };
+  try {
+    if (TEMPLATES_ONLY) {
+      for (const name of Object.keys(SELECTOR_CONFIG.pages)) {
+        const { check } = await inspectTemplate(browser, SELECTOR_CONFIG, name);
+        const problems = pageProblems(check);
+        report.pages[name] = { ...check, problems, blocking: !check.onPage || check.elements.some((el) => el.required && el.status === 'missing') };
+      }
+    } else {
+      const record = async (name, p) => { report.pages[name] = await checkPageStructure(browser, p, name); };
+      let page;
+      ({ browser, page } = await signIn(puppeteer, browser, record));
+      await record('dashboard', page);
+      await goToTransactionSearch(page);
+      await record('transactionSearch', page);
+      await goToNewTransaction(page);
+      await record('newTransaction', page);
+      const transactionId = flagValue('--transaction');
+      if (transactionId) {
+        await page.goto(page.url().replace(/\/transactions\/.*$/, `/transactions/${encodeURIComponent(transactionId)}`), { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await waitForPage(page, SELECTOR_CONFIG, 'transactionDetail', 30000).catch(() => {});
+        await record('transactionDetail', page);
+      }
+    }
+  } finally {
+    try { await browser.close(); } catch (_) {}
+  }
+
+  let exitCode = 0;
+  for (const name of Object.keys(SELECTOR_CONFIG.pages)) {
+    const result = report.pages[name];
+    if (!result) {
+      console.log('  %s: not visited%s', name, name === 'transactionDetail' ? ' (pass --transaction=<id>)' : '');
+      continue;
+    }
+    const counts = ['ok', 'healed', 'missing'].map((status) => `${result.elements.filter((el) => el.status === status).length} ${status}`).join(', ');
+    console.log('  %s: %s%s', name, result.problems.length ? 'PROBLEMS' : 'OK', result.elements.length ? ` (${counts})` : '');
+    for (const problem of result.problems) console.log('    - %s', problem);
+    if (result.blocking) exitCode = 1;
+  }
+  writeJson(SELECTOR_HEALTH_FILE, report);
+  log.info('Report written to %s', SELECTOR_HEALTH_FILE);
+  return exitCode;
+}
+
+if (CHECK_SELECTORS) {
+  checkSelectors().then((code) => process.exit(code), (e) => {
+    log.error('Fatal: %s', e && e.stack ? e.stack : String(e));
+    process.exit(1);
+  });
+} else {
+  main().catch(async (e) => {
+    log.error('Fatal: %s', e && e.stack ? e.stack : String(e));
+    await emitEvent('run-finished', { exitCode: 1, reason: e && e.message ? e.message : String(e) });
+    process.exit(1);
+  });
+}
 
 
@@ -0,0 +1,544 @@
+/*
+  Local Braintree gateway simulator for end-to-end runs without real cards.
+  Serves the saved markup in html_templates_for_selectors/ (scripts and
+  external stylesheets stripped) for the login, OTP, dashboard, transaction
+  search, new transaction and transaction detail pages, and keeps sessions and
+  transactions in memory.
+
+  Usage:
+    npm run simulator -- [--outcome=<outcome>] [--no-otp] [--auto-login]
+    BRAINTREE_BASE_URL=http://localhost:4010 npm run ui      (or: node server.js --base-url=http://localhost:4010 --headless)
+
+  Any username/password and OTP code are accepted unless set in the config.
+  Outcome of a submitted transaction, first match wins:
+    1) config.orders[<order id>]                e.g. { "4305692387": "processor_declined" }
+    2) config.balances[<card last 4>]           e.g. { "1111": 60 }: amounts above what is left decline
+                                                with 2001 Insufficient Funds; approved ones are deducted
+    3) sandbox amounts 2000.00-2999.99          processor declined, response code = whole amount
+    4) config.outcome                           authorized | processor_declined | gateway_rejected
+                                                | slow_status | session_expired
+  A declined or rejected outcome may carry its code: "processor_declined:2004", "gateway_rejected:avs".
+
+  Control routes (JSON):
+    GET/POST /__sim/config       read or merge the config below
+    GET      /__sim/transactions transactions created so far
+    POST     /__sim/reset        drop transactions and sessions, restore the startup config
+*/
+
+/* eslint-disable no-console */
+
+const crypto = require('crypto');
+const express = require('express');
+const { templateHtml } = require('../lib/selectors');
+
+// Merchant id and transaction id baked into the saved markup
+const TEMPLATE_MERCHANT_ID = '24z4n6rn88tvynbq';
+const TEMPLATE_TRANSACTION_ID = 'gf6r2esp';
+const SESSION_COOKIE = '_braintree_sim_session';
+const OUTCOMES = ['authorized', 'processor_declined', 'gateway_rejected', 'slow_status', 'session_expired'];
+
+// Sandbox-style processor responses for declined amounts (code = whole dollar amount)
+const PROCESSOR_RESPONSES = {
+  2000: 'Do Not Honor',
+  2001: 'Insufficient Funds',
+  2002: 'Limit Exceeded',
+  2004: 'Expired Card',
+  2005: 'Invalid Credit Card Number',
+  2010: 'Card Issuer Declined CVV',
+  2046: 'Declined'
+};
+const REJECTION_REASONS = {
+  avs: 'AVS', cvv: 'CVV', avs_and_cvv: 'AVS and CVV', duplicate: 'Duplicate', fraud: 'Fraud'
+};
+
+const hasFlag = (flag) => process.argv.includes(flag);
+const flagValue = (flag) => {
+  const arg = process.argv.find((a) => a.startsWith(`${flag}=`));
+  return arg ? arg.slice(flag.length + 1) : undefined;
+};
+
+const PORT = Number(flagValue('--port') || process.env.SIM_PORT || 4010);
+
+function defaultConfig() {
+  return {
+    outcome: flagValue('--outcome') || 'authorized',
+    otp: !hasFlag('--no-otp'),
+    // Every page is served as signed in; skips login and OTP entirely
+    autoLogin: hasFlag('--auto-login'),
+    username: '',
+    password: '',
+    otpCode: '',
+    // Sessions older than this are dropped (0 = never)
+    sessionTtlMs: 0,
+    // How long the detail page shows no status for the slow_status outcome
+    slowStatusMs: 15000,
+    declineCode: 2001,
+    rejectionReason: 'cvv',
+    currency: 'USD',
+    // Currency per merchant account id, shown on New Transaction once the account is entered; others use currency
+    accountCurrencies: {},
+    orders: {},
+    balances: {}
+  };
+}
+
+let config = defaultConfig();
+let transactions = [];
+const sessions = new Map();
+
+function now() {
+  return new Date().toISOString();
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Runs in the page: swallow errors from inline handlers whose scripts were stripped, and turn the
+// advanced search criteria rows (unnamed inputs, normally serialized by Braintree's JS) into fields
+function pageStub() {
+  window.onerror = function onerror() { return true; };
+  // New Transaction: show the entered merchant account's currency, as Braintree's account lookup does
+  document.addEventListener('DOMContentLoaded', function currency() {
+    var account = document.getElementById('transaction_merchant_account_id');
+    var shown = document.getElementById('currency_iso_code');
+    var sim = window.simCurrencies;
+    if (!account || !shown || !sim) return;
+    var update = function update() { shown.textContent = sim.accounts[account.value.trim()] || sim.fallback; };
+    account.addEventListener('change', update);
+    account.addEventListener('blur', update);
+    update();
+  });
+  document.addEventListener('DOMContentLoaded', function ready() {
+    var form = document.getElementById('advanced_search_form');
+    if (!form || !document.body.classList.contains('transaction_search_show')) return;
+    form.addEventListener('submit', function submit() {
+      document.querySelectorAll('#search_text_fields .text_field_inputs').forEach(function each(row) {
+        var fieldEl = row.querySelector('select.text_field_field');
+        var operatorEl = row.querySelector('select.text_field_operator');
+        var valueEl = row.querySelector('input.text_field_value');
+        if (!fieldEl || !valueEl || fieldEl.value === 'select_field' || !valueEl.value) return;
+        var input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = 'search[' + fieldEl.value + '][' + (operatorEl ? operatorEl.value : 'is') + ']';
+        input.value = valueEl.value;
+        form.appendChild(input);
+      });
+    });
+  });
+}
+
+function loadTemplate(file) {
+  return templateHtml(file).replace(/<head([^>]*)>/i, `<head$1><script>(${pageStub.toString()})();</script>`);
+}
+
+const TEMPLATES = {
+  login: loadTemplate('login_selectors.html'),
+  otp: loadTemplate('otp_page_selectors.html'),
+  dashboard: loadTemplate('main_dashboard_selectors.html'),
+  search: loadTemplate('transactions_selectors.html'),
+  newTransaction: loadTemplate('new_transaction_selectors.html'),
+  detail: loadTemplate('submit_page_selectors.html')
+};
+
+function render(res, name, merchantId, transform = (html) => html) {
+  let html = TEMPLATES[name];
+  if (merchantId) html = html.split(TEMPLATE_MERCHANT_ID).join(merchantId);
+  res.type('html').send(transform(html));
+}
+
+function alertHtml(message) {
+  return `<div class="alert error"><div class="detail"><h6>Error</h6><p>${escapeHtml(message)}</p></div></div>`;
+}
+
+// Before the page footer, or at the end of the body on pages without one
+function insertBeforeFooter(html, markup) {
+  const at = html.indexOf('<footer class="main_footer">');
+  if (at >= 0) return html.slice(0, at) + markup + html.slice(at);
+  return html.replace(/<\/body>/i, `${markup}</body>`);
+}
+
+// ---- sessions ----
+
+function readCookie(req, name) {
+  const pair = String(req.headers.cookie || '').split(';').map((c) => c.trim()).find((c) => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : '';
+}
+
+function currentSession(req) {
+  const token = readCookie(req, SESSION_COOKIE);
+  const session = token ? sessions.get(token) : null;
+  if (!session) return null;
+  if (config.sessionTtlMs > 0 && Date.now() - session.createdAt > config.sessionTtlMs) {
+    sessions.delete(token);
+    return null;
+  }
+  return { token, ...session };
+}
+
+function startSession(res, state) {
+  const token = crypto.randomBytes(16).toString('hex');
+  sessions.set(token, { state, createdAt: Date.now() });
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, path: '/' });
+  return token;
+}
+
+function signedIn(req) {
+  if (config.autoLogin) return true;
+  const session = currentSession(req);
+  return Boolean(session && session.state === 'active');
+}
+
+function requireSession(req, res, next) {
+  if (signedIn(req)) return next();
+  return res.redirect('/login');
+}
+
+// ---- transactions ----
+
+function resolveOutcome(tx) {
+  const forced = config.orders && config.orders[tx.orderId];
+  if (forced) return forced;
+  const amount = Number(tx.amount);
+  const balance = config.balances && config.balances[tx.maskedNumber.slice(-4)];
+  if (balance !== undefined && amount > Number(balance)) return 'processor_declined:2001';
+  if (amount >= 2000 && amount < 3000) return `processor_declined:${Math.floor(amount)}`;
+  return config.outcome;
+}
+
+function formatAmount(tx) {
+  return `$${Number(tx.amount || 0).toFixed(2)} ${tx.currency}`;
+}
+
+// "Oct 19 2026, 05:52 AM UTC" (detail list) and "10/19/2026 05:52:29 AM UTC" (status history)
+function formatDate(iso, withSeconds) {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  const hours = d.getUTCHours() % 12 || 12;
+  const ampm = d.getUTCHours() < 12 ? 'AM' : 'PM';
+  if (withSeconds) {
+    return `${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())}/${d.getUTCFullYear()} ${pad(hours)}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} ${ampm} UTC`;
+  }
+  const month = d.toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+  return `${month} ${pad(d.getUTCDate())} ${d.getUTCFullYear()}, ${pad(hours)}:${pad(d.getUTCMinutes())} ${ampm} UTC`;
+}
+
+function cardType(number) {
+  if (/^4/.test(number)) return 'Visa';
+  if (/^(5[1-5]|2[2-7])/.test(number)) return 'MasterCard';
+  if (/^3[47]/.test(number)) return 'American Express';
+  if (/^6/.test(number)) return 'Discover';
+  return 'Unknown';
+}
+
+// "03/30", "0330" or "03/2030" -> "03/2030"
+function formatExpiry(value) {
+  const digits = String(value || '').replace(/\D+/g, '');
+  if (digits.length < 4) return String(value || '');
+  const month = digits.slice(0, 2);
+  const year = digits.slice(2);
+  return `${month}/${year.length === 2 ? `20${year}` : year}`;
+}
+
+function createTransaction(merchantId, body) {
+  const t = body.transaction || {};
+  const card = t.credit_card || {};
+  const customer = t.customer || {};
+  const number = String(card.number || '').replace(/\D+/g, '');
+  const tx = {
+    id: crypto.randomBytes(6).toString('base64').replace(/[^a-z0-9]/gi, '').toLowerCase().padEnd(8, '0').slice(0, 8),
+    merchantId,
+    merchantAccount: String(t.merchant_account_id || ''),
+    amount: Number(String(t.amount || '0').replace(/[^0-9.]/g, '')).toFixed(2),
+    currency: (config.accountCurrencies || {})[String(t.merchant_account_id || '')] || config.currency,
+    orderId: String(t.order_id || ''),
+    cardholderName: String(card.cardholder_name || ''),
+    maskedNumber: number.length >= 10 ? `${number.slice(0, 6)}******${number.slice(-4)}` : '',
+    cardType: cardType(number),
+    expirationDate: formatExpiry(card.expiration_date),
+    customerName: String(customer.first_name || ''),
+    billingPostalCode: String((t.billing && t.billing.postal_code) || ''),
+    createdAt: now()
+  };
+
+  const [outcome, code] = String(resolveOutcome(tx)).split(':');
+  tx.outcome = outcome;
+  if (outcome === 'processor_declined') {
+    tx.status = 'Processor Declined';
+    tx.processorResponseCode = String(code || config.declineCode);
+    tx.processorResponseText = PROCESSOR_RESPONSES[tx.processorResponseCode] || 'Processor Declined';
+  } else if (outcome === 'gateway_rejected') {
+    tx.status = 'Gateway Rejected';
+    tx.gatewayRejectionReason = REJECTION_REASONS[code || config.rejectionReason] || code || config.rejectionReason;
+  } else {
+    tx.status = 'Submitted For Settlement';
+    tx.processorAuthorizationCode = crypto.randomBytes(3).toString('hex').toUpperCase();
+    const last4 = tx.maskedNumber.slice(-4);
+    if (config.balances && config.balances[last4] !== undefined) {
+      config.balances = { ...config.balances, [last4]: (Number(config.balances[last4]) - Number(tx.amount)).toFixed(2) };
+    }
+  }
+  return tx;
+}
+
+// Replaces the <dd> following the first <dt> with this label
+function setDetail(html, label, valueHtml) {
+  const re = new RegExp(`(<dt>\\s*${label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*(?=<)[\\s\\S]*?</dt>\\s*<dd[^>]*>)[\\s\\S]*?(</dd>)`);
+  return html.replace(re, (m, open, close) => `${open}${valueHtml}${close}`);
+}
+
+function renderDetail(tx) {
+  return (template) => {
+    let html = template.split(TEMPLATE_TRANSACTION_ID).join(tx.id);
+    html = setDetail(html, 'Merchant Account', escapeHtml(tx.merchantAccount));
+    html = setDetail(html, 'Amount', escapeHtml(formatAmount(tx)));
+    html = setDetail(html, 'Transaction Date', escapeHtml(formatDate(tx.createdAt)));
+    html = setDetail(html, 'Order ID', escapeHtml(tx.orderId));
+    html = setDetail(html, 'Processor Authorization Code', escapeHtml(tx.processorAuthorizationCode || ''));
+    html = setDetail(html, 'Name', escapeHtml(tx.customerName));
+    html = setDetail(html, 'Card Type', escapeHtml(tx.cardType));
+    html = setDetail(html, 'Cardholder Name', escapeHtml(tx.cardholderName));
+    html = setDetail(html, 'Credit Card Number', `<span id="masked_number">${escapeHtml(tx.maskedNumber)}</span>`);
+    html = setDetail(html, 'Expiration Date', escapeHtml(tx.expirationDate));
+
+    // Status badge; slow_status leaves it empty until the page script fills it in
+    const slow = tx.outcome === 'slow_status';
+    const positive = tx.status === 'Submitted For Settlement';
+    let extra = '';
+    if (tx.processorResponseCode) {
+      extra = `<dt>Processor Response Code</dt><dd>${escapeHtml(tx.processorResponseCode)}</dd>`
+        + `<dt>Processor Response Text</dt><dd>${escapeHtml(tx.processorResponseText)}</dd>`;
+    } else if (tx.gatewayRejectionReason) {
+      extra = `<dt>Gateway Rejection Reason</dt><dd>${escapeHtml(tx.gatewayRejectionReason)}</dd>`;
+    }
+    html = html.replace(
+      /<dt>Status<\/dt>\s*<dd[^>]*>[\s\S]*?<\/dd>/,
+      `<dt>Status</dt><dd class="${positive ? 'positive' : 'negative'}"><span class="transaction-status transaction-status-bt">${slow ? '' : escapeHtml(tx.status)}</span></dd>${extra}`
+    );
+
+    const history = (positive ? ['Authorized', tx.status] : [tx.status]).map((status, i) => `
+      <tr class="${i % 2 ? 'alt' : ''}">
+        <td>${escapeHtml(formatDate(tx.createdAt, true))}</td>
+        <td>${escapeHtml(status)}</td>
+        <td><span class="amount_positive">${escapeHtml(formatAmount(tx))}</span></td>
+        <td>CP: simulator</td>
+      </tr>`).join('');
+    html = html.replace(/(<table class="sep"[^>]*>[\s\S]*?<tbody>)[\s\S]*?(<\/tbody>)/, `$1${history}$2`);
+
+    if (slow) {
+      const elapsed = Date.now() - new Date(tx.createdAt).getTime();
+      const delay = Math.max(0, Number(config.slowStatusMs) - elapsed);
+      html = html.replace(/<\/body>/i, `<script>setTimeout(function () {
+  var el = document.querySelector('span.transaction-status');
+  if (el) el.textContent = ${JSON.stringify(tx.status)};
+}, ${delay});</script></body>`);
+    }
+    return html;
+  };
+}
+
+// ---- advanced search ----
+
+const SEARCH_FIELDS = {
+  id: 'id',
+  order_id: 'orderId',
+  credit_card_cardholder_name: 'cardholderName',
+  merchant_account_id_fragment: 'merchantAccount',
+  currency: 'currency'
+};
+
+function textMatches(value, operator, expected) {
+  const v = String(value || '').toLowerCase();
+  const e = String(expected || '').toLowerCase();
+  switch (operator) {
+    case 'is_not': return v !== e;
+    case 'starts_with': return v.startsWith(e);
+    case 'ends_with': return v.endsWith(e);
+    case 'contains': return v.includes(e);
+    default: return v === e;
+  }
+}
+
+// MM/DD/YYYY from the date pickers, compared by UTC day
+function parsePickerDate(text, endOfDay) {
+  const m = String(text || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!m) return null;
+  return Date.UTC(Number(m[3]), Number(m[1]) - 1, Number(m[2]), endOfDay ? 23 : 0, endOfDay ? 59 : 0, endOfDay ? 59 : 0);
+}
+
+function searchTransactions(merchantId, search = {}) {
+  return transactions.filter((tx) => {
+    if (tx.merchantId !== merchantId) return false;
+    for (const [field, key] of Object.entries(SEARCH_FIELDS)) {
+      const criteria = search[field];
+      if (!criteria || typeof criteria !== 'object') continue;
+      for (const [operator, expected] of Object.entries(criteria)) {
+        if (expected && !textMatches(tx[key], operator, expected)) return false;
+      }
+    }
+    const amount = Number(tx.amount);
+    if (search.amount && search.amount.min && amount < Number(search.amount.min)) return false;
+    if (search.amount && search.amount.max && amount > Number(search.amount.max)) return false;
+    const created = search.created_at;
+    if (created && created.checked) {
+      const at = new Date(tx.createdAt).getTime();
+      const min = parsePickerDate(created.min, false);
+      const max = parsePickerDate(created.max, true);
+      if ((min !== null && at < min) || (max !== null && at > max)) return false;
+    }
+    return true;
+  }).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function searchResultsHtml(merchantId, results) {
+  const rows = results.map((tx) => `
+      <tr>
+        <td><a href="/merchants/${merchantId}/transactions/${tx.id}">${tx.id}</a></td>
+        <td>${escapeHtml(formatDate(tx.createdAt))}</td>
+        <td>${escapeHtml(tx.orderId)}</td>
+        <td>${escapeHtml(tx.status)}</td>
+        <td>${escapeHtml(formatAmount(tx))}</td>
+      </tr>`).join('');
+  return `<div class="block" id="search_results">
+  <h3>${results.length} transaction${results.length === 1 ? '' : 's'} found</h3>
+  <table class="search_results" cellspacing="0">
+    <thead><tr><th>ID</th><th>Created</th><th>Order ID</th><th>Status</th><th>Amount</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</div>`;
+}
+
+// The saved page's date range is stale; default it to the current month like the live page does
+function currentMonthRange(html) {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  const month = pad(d.getUTCMonth() + 1);
+  return html
+    .replace(/(id="search_created_at_min" value=")[^"]*"/, `$1${month}/01/${d.getUTCFullYear()}"`)
+    .replace(/(id="search_created_at_max" value=")[^"]*"/, `$1${month}/${last}/${d.getUTCFullYear()}"`);
+}
+
+// ---- app ----
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/__sim')) console.log('[%s] %s %s', now(), req.method, req.path);
+  next();
+});
+
+app.get('/', (req, res) => res.redirect('/login'));
+
+app.get('/login', (req, res) => {
+  if (signedIn(req)) return res.redirect(`/merchants/${TEMPLATE_MERCHANT_ID}/home`);
+  return render(res, 'login');
+});
+
+app.post('/session', (req, res) => {
+  const login = String((req.body && req.body.login) || '');
+  const password = String((req.body && req.body.password) || '');
+  const valid = login && password
+    && (!config.username || login === config.username)
+    && (!config.password || password === config.password);
+  if (!valid) {
+    return render(res.status(422), 'login', null, (html) => html.replace(/(<form[^>]*action="\/session"[^>]*>)/, `${alertHtml('Invalid username or password')}$1`));
+  }
+  startSession(res, config.otp ? 'otp' : 'active');
+  return res.redirect(config.otp ? '/session/two_factor' : `/merchants/${TEMPLATE_MERCHANT_ID}/home`);
+});
+
+app.get('/session/two_factor', (req, res) => {
+  const session = currentSession(req);
+  if (!session) return res.redirect('/login');
+  if (session.state === 'active') return res.redirect(`/merchants/${TEMPLATE_MERCHANT_ID}/home`);
+  return render(res, 'otp');
+});
+
+app.post('/session/two_factor', (req, res) => {
+  const session = currentSession(req);
+  if (!session) return res.redirect('/login');
+  const code = String((req.body && req.body.code) || '').trim();
+  if (!code || (config.otpCode && code !== String(config.otpCode))) {
+    return render(res.status(422), 'otp', null, (html) => html.replace(/(<form[^>]*action="\/session\/two_factor"[^>]*>)/, `${alertHtml('Invalid authentication code')}$1`));
+  }
+  sessions.set(session.token, { state: 'active', createdAt: session.createdAt });
+  return res.redirect(`/merchants/${TEMPLATE_MERCHANT_ID}/home`);
+});
+
+app.get('/logout', (req, res) => {
+  sessions.delete(readCookie(req, SESSION_COOKIE));
+  res.redirect('/login');
+});
+
+app.get('/merchants/:merchantId/home', requireSession, (req, res) => render(res, 'dashboard', req.params.merchantId));
+
+function showSearch(req, res) {
+  const { merchantId } = req.params;
+  const searched = req.method === 'POST' || Object.keys(req.query).length > 0;
+  const search = (req.method === 'POST' ? req.body.search : req.query.search) || {};
+  render(res, 'search', merchantId, (html) => {
+    const page = currentMonthRange(html);
+    return searched ? insertBeforeFooter(page, searchResultsHtml(merchantId, searchTransactions(merchantId, search))) : page;
+  });
+}
+
+app.get('/merchants/:merchantId/transactions/advanced_search', requireSession, showSearch);
+app.post('/merchants/:merchantId/transactions/advanced_search', requireSession, showSearch);
+
+app.get('/merchants/:merchantId/transactions/new', requireSession, (req, res) => render(res, 'newTransaction', req.params.merchantId, (html) => {
+  const currencies = JSON.stringify({ accounts: config.accountCurrencies || {}, fallback: config.currency }).replace(/</g, '\\u003c');
+  return html.replace(/<\/body>/i, `<script>window.simCurrencies = ${currencies};</script></body>`);
+}));
+
+app.post('/merchants/:merchantId/transactions', requireSession, (req, res) => {
+  const tx = createTransaction(req.params.merchantId, req.body || {});
+  if (tx.outcome === 'session_expired') {
+    // Nothing is created: the submit bounces to the login page
+    sessions.delete(readCookie(req, SESSION_COOKIE));
+    console.log('[%s] Session expired on submit (order %s)', now(), tx.orderId);
+    return res.redirect('/login');
+  }
+  if (!OUTCOMES.includes(tx.outcome)) console.warn('[%s] Unknown outcome "%s"; treated as authorized', now(), tx.outcome);
+  transactions.push(tx);
+  console.log('[%s] Transaction %s: order %s, %s -> %s', now(), tx.id, tx.orderId, formatAmount(tx), tx.status);
+  return res.redirect(`/merchants/${req.params.merchantId}/transactions/${tx.id}`);
+});
+
+app.get('/merchants/:merchantId/transactions/:id', requireSession, (req, res) => {
+  const tx = transactions.find((t) => t.id === req.params.id && t.merchantId === req.params.merchantId);
+  if (!tx) return res.status(404).type('text').send('Transaction not found');
+  return render(res, 'detail', req.params.merchantId, renderDetail(tx));
+});
+
+app.get('/__sim/config', (req, res) => res.json(config));
+
+app.post('/__sim/config', (req, res) => {
+  const patch = req.body || {};
+  const outcomes = [patch.outcome, ...Object.values(patch.orders || {})].filter(Boolean).map((o) => String(o).split(':')[0]);
+  const unknown = outcomes.find((o) => !OUTCOMES.includes(o));
+  if (unknown) return res.status(400).json({ ok: false, error: `Unknown outcome "${unknown}" (${OUTCOMES.join(', ')})` });
+  config = { ...config, ...patch };
+  return res.json({ ok: true, config });
+});
+
+app.get('/__sim/transactions', (req, res) => res.json(transactions));
+
+app.post('/__sim/reset', (req, res) => {
+  config = defaultConfig();
+  transactions = [];
+  sessions.clear();
+  res.json({ ok: true });
+});
+
+if (!OUTCOMES.includes(config.outcome)) {
+  console.error('Unknown --outcome "%s" (%s)', config.outcome, OUTCOMES.join(', '));
+  process.exit(1);
+}
+
+app.listen(PORT, () => {
+  console.log('[%s] Braintree simulator on http://localhost:%d (outcome %s, OTP %s%s)', now(), PORT, config.outcome, config.otp ? 'on' : 'off', config.autoLogin ? ', auto-login' : '');
+});
@@ -10,8 +10,8 @@ if not exist "node_modules" (
   call npm install --no-fund --no-audit --omit=dev
 )
 
-REM Check if UI is already running on http://localhost:3000
-powershell -NoProfile -Command "try { (Invoke-WebRequest -UseBasicParsing http://localhost:3000 -TimeoutSec 2) ^| Out-Null; exit 0 } catch { exit 1 }"
+REM Check if UI is already running on http://127.0.0.1:3000
+powershell -NoProfile -Command "try { (Invoke-WebRequest -UseBasicParsing http://127.0.0.1:3000 -TimeoutSec 2) ^| Out-Null; exit 0 } catch { exit 1 }"
 if errorlevel 1 (
   echo [Start] Launching UI server on port 3000...
   start "Braintree Auto UI" /min cmd /c "node runner.js"
@@ -19,8 +19,8 @@ if errorlevel 1 (
   timeout /t 3 >nul
 )
 
-echo [Open] Opening http://localhost:3000 in your default browser...
-start "" "http://localhost:3000"
+echo [Open] Opening http://127.0.0.1:3000 in your default browser...
+start "" "http://127.0.0.1:3000"
 
 endlocal
 
@@ -17,7 +17,7 @@ if (-not (Test-Path -Path 'node_modules')) {
 # Ping UI
 $uiUp = $false
 try {
-  $resp = Invoke-WebRequest -UseBasicParsing -TimeoutSec 2 -Uri 'http://localhost:3000'
+  $resp = Invoke-WebRequest -UseBasicParsing -TimeoutSec 2 -Uri 'http://127.0.0.1:3000'
   $uiUp = $true
 } catch { $uiUp = $false }
 
@@ -27,7 +27,7 @@ if (-not $uiUp) {
   Start-Sleep -Seconds 3
 }
 
-Write-Info '[Open] Opening http://localhost:3000'
-Start-Process 'http://localhost:3000'
+Write-Info '[Open] Opening http://127.0.0.1:3000'
+Start-Process 'http://127.0.0.1:3000'
 
 
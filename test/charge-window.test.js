@@ -0,0 +1,59 @@
+// lib/charge-window.js: whether a row may be charged on a given day
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeWindow, cardExpired, dueState } = require('../lib/charge-window');
+
+// Local mid-morning, as the runner sees "today"
+const TODAY = new Date(2026, 9, 19, 10, 0, 0);
+const row = (chargeFrom, chargeBefore, expirationDate = '12/2030') => ({ chargeFrom, chargeBefore, expirationDate });
+
+test('normalizeWindow: defaults, numeric strings and bad offsets', () => {
+  assert.deepStrictEqual(normalizeWindow(), { startOffsetDays: 0, endOffsetDays: 0 });
+  assert.deepStrictEqual(normalizeWindow({ startOffsetDays: '1', endOffsetDays: 2 }), { startOffsetDays: 1, endOffsetDays: 2 });
+  assert.throws(() => normalizeWindow({ startOffsetDays: -1 }));
+  assert.throws(() => normalizeWindow({ endOffsetDays: 1.5 }));
+});
+
+test('cardExpired: valid through the last day of the expiry month', () => {
+  assert.strictEqual(cardExpired('10/2026', new Date(2026, 9, 31, 23, 0, 0)), false);
+  assert.strictEqual(cardExpired('10/2026', new Date(2026, 10, 1, 0, 30, 0)), true);
+  assert.strictEqual(cardExpired('', TODAY), false);
+});
+
+test('dueState: inside the window', () => {
+  const due = dueState(row('2026-10-19', '2026-10-25'), { today: TODAY });
+  assert.strictEqual(due.state, 'due');
+  assert.strictEqual(due.opensOn, '2026-10-19');
+  assert.strictEqual(due.lastDay, '2026-10-24');
+  assert.strictEqual(dueState(row('10/01/2026', '10/25/2026'), { today: TODAY }).lastDay, '2026-10-24');
+});
+
+test('dueState: Charge Before is exclusive', () => {
+  assert.strictEqual(dueState(row('', '2026-10-20'), { today: TODAY }).state, 'due');
+  const overdue = dueState(row('', '2026-10-19'), { today: TODAY });
+  assert.strictEqual(overdue.state, 'overdue');
+  assert.match(overdue.reason, /Charge Before 2026-10-19 has passed \(last charge day 2026-10-18\)/);
+});
+
+test('dueState: window offsets move both ends', () => {
+  assert.strictEqual(dueState(row('2026-10-19', ''), { today: TODAY, window: { startOffsetDays: 1, endOffsetDays: 0 } }).state, 'not-yet-due');
+  assert.strictEqual(dueState(row('', '2026-10-20'), { today: TODAY, window: { startOffsetDays: 0, endOffsetDays: 1 } }).state, 'overdue');
+});
+
+test('dueState: not yet open', () => {
+  const early = dueState(row('2026-10-20', '2026-10-25'), { today: TODAY });
+  assert.strictEqual(early.state, 'not-yet-due');
+  assert.strictEqual(early.reason, 'Charge window opens 2026-10-20');
+});
+
+test('dueState: an expired card wins over the window', () => {
+  assert.strictEqual(dueState(row('2026-10-19', '2026-10-25', '09/2026'), { today: TODAY }).state, 'expired');
+});
+
+test('dueState: missing or unreadable dates leave the window open', () => {
+  const open = dueState(row('', 'N/A'), { today: TODAY });
+  assert.strictEqual(open.state, 'due');
+  assert.strictEqual(open.opensOn, '');
+  assert.strictEqual(open.lastDay, '');
+});
@@ -0,0 +1,65 @@
+// lib/currency.js: minor units per currency and amount formatting
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  isCurrencyCode,
+  minorUnits,
+  toMinorUnits,
+  fromMinorUnits,
+  amountError,
+  formatAmount,
+  currencyMismatch
+} = require('../lib/currency');
+
+test('minorUnits: zero- and three-decimal currencies, two otherwise', () => {
+  assert.strictEqual(minorUnits('JPY'), 0);
+  assert.strictEqual(minorUnits('krw'), 0);
+  assert.strictEqual(minorUnits('KWD'), 3);
+  assert.strictEqual(minorUnits('USD'), 2);
+  assert.strictEqual(minorUnits(''), 2);
+});
+
+test('isCurrencyCode accepts three letters in any case', () => {
+  assert.strictEqual(isCurrencyCode('usd'), true);
+  assert.strictEqual(isCurrencyCode('US'), false);
+  assert.strictEqual(isCurrencyCode('US1'), false);
+});
+
+test('toMinorUnits scales by the currency and ignores symbols and separators', () => {
+  assert.strictEqual(toMinorUnits('1500.5', 'USD'), 150050);
+  assert.strictEqual(toMinorUnits('$1,234.56', 'USD'), 123456);
+  assert.strictEqual(toMinorUnits('0.29', 'USD'), 29);
+  assert.strictEqual(toMinorUnits('1500', 'JPY'), 1500);
+  assert.strictEqual(toMinorUnits('1.5', 'KWD'), 1500);
+  assert.ok(Number.isNaN(toMinorUnits('', 'USD')));
+});
+
+test('fromMinorUnits prints the currency\'s decimals', () => {
+  assert.strictEqual(fromMinorUnits(150050, 'USD'), '1500.50');
+  assert.strictEqual(fromMinorUnits(1500, 'JPY'), '1500');
+  assert.strictEqual(fromMinorUnits(50250, 'KWD'), '50.250');
+});
+
+test('formatAmount pads to the currency\'s decimals', () => {
+  assert.strictEqual(formatAmount('1500', 'USD'), '1500.00');
+  assert.strictEqual(formatAmount('007.5', 'USD'), '7.50');
+  assert.strictEqual(formatAmount('1500.00', 'JPY'), '1500');
+  assert.strictEqual(formatAmount('1.5', 'KWD'), '1.500');
+});
+
+test('formatAmount rejects amounts the currency cannot carry', () => {
+  assert.throws(() => formatAmount('1500.5', 'JPY'), /more decimals/);
+  assert.throws(() => formatAmount('1.0005', 'KWD'), /more decimals/);
+  assert.throws(() => formatAmount('0', 'USD'), /greater than 0/);
+  assert.throws(() => formatAmount('12a', 'USD'), /not a number/);
+  assert.strictEqual(amountError('', 'USD'), 'Amount missing');
+  assert.strictEqual(amountError('10.00', 'USD'), '');
+});
+
+test('currencyMismatch compares codes case-insensitively and skips unknowns', () => {
+  assert.strictEqual(currencyMismatch('usd', 'USD', 'acc'), '');
+  assert.strictEqual(currencyMismatch('', 'USD', 'acc'), '');
+  assert.strictEqual(currencyMismatch('EUR', '', 'acc'), '');
+  assert.match(currencyMismatch('EUR', 'USD', 'acc'), /EUR does not match merchant account acc \(USD\)/);
+});
@@ -0,0 +1,53 @@
+// lib/logger.js: what redact() hides and what it leaves alone
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { redact, redactValues } = require('../lib/logger');
+
+test('card numbers keep their last 4 digits', () => {
+  assert.strictEqual(redact('Card 4111111111111111 declined'), 'Card ************1111 declined');
+  assert.strictEqual(redact('Card 4111 1111 1111 1111 declined'), 'Card ************1111 declined');
+  assert.strictEqual(redact('Card 4111-1111-1111-1111'), 'Card ************1111');
+});
+
+test('CVVs are starred out next to their label', () => {
+  assert.strictEqual(redact('cvv: 123'), 'cvv: ***');
+  assert.strictEqual(redact('CVV2=1234'), 'CVV2=***');
+  assert.strictEqual(redact('security code 987'), 'security code ***');
+});
+
+test('expiry dates are starred out, labelled or on their own', () => {
+  assert.strictEqual(redact('exp 12/2030'), 'exp **/**');
+  assert.strictEqual(redact('Expiry: 12/30'), 'Expiry: **/**');
+  assert.strictEqual(redact('valid through 12/30 only'), 'valid through **/** only');
+});
+
+test('run ids, file names, order ids and full dates are left alone', () => {
+  for (const text of [
+    'run 20261019-162111-9644 done',
+    'file in_1792426870897123.xlsx',
+    'order 1234567890',
+    'on 2026-10-19',
+    'at 10/19/2026'
+  ]) {
+    assert.strictEqual(redact(text), text);
+  }
+});
+
+test('redactValues walks arrays and objects and keeps non-strings', () => {
+  const event = {
+    row: 3,
+    ok: true,
+    reason: 'Card 4111111111111111 declined',
+    attempts: [{ note: 'cvv 123' }, null],
+    runId: '20261019-162111-9644'
+  };
+  assert.deepStrictEqual(redactValues(event), {
+    row: 3,
+    ok: true,
+    reason: 'Card ************1111 declined',
+    attempts: [{ note: 'cvv ***' }, null],
+    runId: '20261019-162111-9644'
+  });
+  assert.strictEqual(event.reason, 'Card 4111111111111111 declined', 'input is not modified');
+});
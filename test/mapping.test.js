@@ -0,0 +1,124 @@
+/*
+  lib/mapping.js: profile loading, header lookup, date parsing and field
+  transforms. Local profiles come from a throwaway data directory.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_ROOT = path.join(os.tmpdir(), `bt-auto-test-${process.pid}`);
+// Before the lib modules load: they resolve the data directory once
+process.env.APP_DATA_DIR = DATA_ROOT;
+
+const {
+  listProfiles, loadProfile, applyProfile, valueByHeaders, parseDate, formatDate
+} = require('../lib/mapping');
+const { dataPath } = require('../lib/paths');
+
+test.after(() => {
+  fs.rmSync(DATA_ROOT, { recursive: true, force: true });
+});
+
+test('loadProfile: shipped profiles, bad names and missing profiles', () => {
+  const profile = loadProfile('default');
+  assert.strictEqual(profile.name, 'default');
+  assert.ok(profile.fields.cardNumber);
+  assert.throws(() => loadProfile('../default'), /Invalid mapping profile name/);
+  assert.throws(() => loadProfile('nope'), /Mapping profile not found: nope/);
+});
+
+test('a local profile with a shipped name wins', () => {
+  fs.mkdirSync(dataPath('mappings'), { recursive: true });
+  fs.writeFileSync(dataPath('mappings', 'booking-csv.json'), JSON.stringify({
+    description: 'local', fields: { orderId: ['Booking Number'] }
+  }));
+  try {
+    assert.deepStrictEqual(loadProfile('booking-csv').fields, { orderId: ['Booking Number'] });
+    assert.strictEqual(listProfiles().find((p) => p.name === 'booking-csv').description, 'local');
+  } finally {
+    fs.rmSync(dataPath('mappings'), { recursive: true, force: true });
+  }
+});
+
+test('applyProfile: default profile', () => {
+  const values = applyProfile(loadProfile('default'), {
+    'Reservation ID': 'R1',
+    'Hotel ID': 'H1',
+    'Hotel Name': 'Hotel One',
+    Amount: 'EUR 1,234.50',
+    Currency: 'eur',
+    'Card first 4': '4111',
+    'Card Last 12': '1111 1111 1111',
+    'Exp Date': '10 / 2026',
+    CVV: '123',
+    'Check-out': '10/19/2026'
+  });
+  assert.strictEqual(values.orderId, 'R1');
+  assert.strictEqual(values.hotelId, 'H1');
+  assert.strictEqual(values.hotelName, 'Hotel One');
+  assert.strictEqual(values.amount, '1234.50');
+  assert.strictEqual(values.currency, 'EUR');
+  assert.strictEqual(values.cardNumber, '4111111111111111');
+  assert.strictEqual(values.expirationDate, '10/2026');
+  assert.strictEqual(values.chargeFrom, '2026-10-19');
+  assert.strictEqual(values.chargeBefore, '');
+  assert.strictEqual(values.merchantAccount, '');
+});
+
+test('applyProfile: Booking.com CSV profile', () => {
+  const values = applyProfile(loadProfile('booking-csv'), {
+    'Reservation ID': 'R2',
+    'Amount Collected': 'USD 120.00',
+    'Card Number': '4111 1111 1111 1111',
+    'Exp Date': '12/2030',
+    CVV: ' 1234 '
+  });
+  assert.strictEqual(values.amount, '120.00');
+  assert.strictEqual(values.cardNumber, '4111111111111111');
+  assert.strictEqual(values.expirationDate, '12/2030');
+  assert.strictEqual(values.cvv, '1234');
+});
+
+test('applyProfile: constants, concat, digit slices and case transforms', () => {
+  const profile = {
+    fields: {
+      cardholderName: { constant: 'BOOKING.COM' },
+      last4: { from: ['Card'], transforms: [{ type: 'digits', last: 4 }] },
+      ref: { concat: [{ constant: 'BK' }, { from: ['Ref'], transforms: ['trim', 'upper'] }], separator: '-' },
+      email: { from: ['Email'], transforms: ['lower'] },
+      skipped: { from: ['Missing'], transforms: ['bogus'] }
+    }
+  };
+  assert.deepStrictEqual(applyProfile(profile, { Card: '4111-1111-1111-1234', Ref: ' ab12 ', Email: 'A@B.COM' }), {
+    cardholderName: 'BOOKING.COM', last4: '1234', ref: 'BK-AB12', email: 'a@b.com', skipped: ''
+  });
+  assert.throws(() => applyProfile({ fields: { x: { from: ['X'], transforms: ['bogus'] } } }, { X: '1' }), /Unknown mapping transform: bogus/);
+});
+
+test('valueByHeaders: first non-empty, exact match before case/space-insensitive', () => {
+  assert.strictEqual(valueByHeaders({ 'Order ID': '', 'Reservation ID': 'R1' }, ['Order ID', 'Reservation ID']), 'R1');
+  assert.strictEqual(valueByHeaders({ ' reservation   id ': 'R2' }, ['Reservation ID']), 'R2');
+  assert.strictEqual(valueByHeaders({ MAIDS: 'exact', maids: 'loose' }, ['MAIDS']), 'exact');
+  assert.strictEqual(valueByHeaders({}, ['MAIDS']), '');
+});
+
+test('parseDate: guessed formats, explicit formats and Excel serials', () => {
+  assert.deepStrictEqual(parseDate('10/2026'), { day: 1, month: 10, year: 2026 });
+  assert.deepStrictEqual(parseDate('10/26'), { day: 1, month: 10, year: 2026 });
+  assert.deepStrictEqual(parseDate('10/19/2026'), { day: 19, month: 10, year: 2026 });
+  assert.deepStrictEqual(parseDate('2026-10-19'), { day: 19, month: 10, year: 2026 });
+  assert.deepStrictEqual(parseDate('19.10.2026', 'DD.MM.YYYY'), { day: 19, month: 10, year: 2026 });
+  assert.deepStrictEqual(parseDate('45000'), { year: 2023, month: 3, day: 15 });
+  assert.strictEqual(parseDate('13/2026'), null);
+  assert.strictEqual(parseDate(''), null);
+});
+
+test('formatDate pads and shortens years', () => {
+  const parts = { year: 2026, month: 3, day: 5 };
+  assert.strictEqual(formatDate(parts, 'YYYY-MM-DD'), '2026-03-05');
+  assert.strictEqual(formatDate(parts, 'MM/YY'), '03/26');
+  assert.strictEqual(formatDate(parts, 'MM/YYYY'), '03/2026');
+});
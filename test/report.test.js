@@ -0,0 +1,157 @@
+/*
+  lib/report.js: the reconciliation report of a resumed run, built from its
+  sheet and the row outcomes of both runs, and written in every format. Runs
+  in a throwaway data directory (APP_DATA_DIR).
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_ROOT = path.join(os.tmpdir(), `bt-auto-test-${process.pid}`);
+// Before the lib modules load: they resolve the data directory once
+process.env.APP_DATA_DIR = DATA_ROOT;
+
+const xlsx = require('xlsx');
+const { createRun, recordRowOutcome } = require('../lib/runs');
+const { buildReport, writeReport, ensureReport } = require('../lib/report');
+
+const sheetRow = (orderId, hotelId, hotelName, amount, currency, maids, extra = {}) => ({
+  'Reservation ID': orderId,
+  'Hotel ID': hotelId,
+  'Hotel Name': hotelName,
+  Amount: amount,
+  Currency: currency,
+  MAIDS: maids,
+  ...extra
+});
+
+const ROWS = [
+  sheetRow('R1', 'H1', 'Hotel A', '100.00', 'USD', 'accA'),
+  sheetRow('R2', 'H1', 'Hotel A', '50.00', 'USD', 'accA'),
+  sheetRow('R3', 'H2', 'Hotel B', '1500', 'JPY', 'accB'),
+  sheetRow('R4', 'H2', 'Hotel B', '1000', 'JPY', 'accB'),
+  sheetRow('R5', 'H2', 'Hotel B', '1200', 'JPY', 'accB'),
+  sheetRow('R6', 'H1', 'Hotel A', '20.00', 'USD', 'accA', { STATUS: 'Submitted For Settlement' }),
+  sheetRow('R7', 'H1', 'Hotel A', '30.00', 'USD', 'accA')
+];
+
+const submitted = (row, orderId, fields) => ({
+  row, orderId, outcome: 'submitted', merchantAccount: row <= 2 || row === 7 ? 'accA' : 'accB', ...fields
+});
+
+let firstRun;
+let run;
+
+test.before(() => {
+  fs.mkdirSync(DATA_ROOT, { recursive: true });
+  const inputPath = path.join(DATA_ROOT, 'input.xlsx');
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet(ROWS), 'Sheet1');
+  xlsx.writeFile(wb, inputPath);
+  const meta = {
+    brand: 'booking', inputPath, inputFile: 'input.xlsx', mapping: 'default'
+  };
+
+  firstRun = createRun(meta);
+  recordRowOutcome(firstRun.id, { row: 1, orderId: 'R1', outcome: 'failed', reason: 'Timeout waiting for status' });
+  recordRowOutcome(firstRun.id, { row: 4, orderId: 'R4', outcome: 'skipped', reason: 'Card expired 09/2026' });
+
+  run = createRun({ ...meta, resumeFrom: firstRun.id });
+  recordRowOutcome(run.id, submitted(1, 'R1', {
+    status: 'Submitted For Settlement', transactionId: 't1', amount: '100.00', currency: 'USD', chargedAmount: '100.00', remainingAmount: '0.00'
+  }));
+  recordRowOutcome(run.id, submitted(2, 'R2', {
+    status: 'Processor Declined',
+    transactionId: 't2',
+    amount: '50.00',
+    currency: 'USD',
+    chargedAmount: '0.00',
+    remainingAmount: '50.00',
+    processorResponseCode: '2001',
+    processorResponseText: 'Insufficient Funds'
+  }));
+  recordRowOutcome(run.id, submitted(3, 'R3', {
+    status: 'PARTIALLY CHARGED', transactionId: 't3', amount: '1500', currency: 'JPY', chargedAmount: '750', remainingAmount: '750'
+  }));
+  recordRowOutcome(run.id, submitted(7, 'R7', { status: 'UNVERIFIED', amount: '30.00', currency: 'USD' }));
+});
+
+test.after(() => {
+  fs.rmSync(DATA_ROOT, { recursive: true, force: true });
+});
+
+const section = (report, title) => report.sections.find((s) => s.title === title);
+
+test('summary counts each row once, this run\'s outcome over the resumed run\'s', () => {
+  const meta = Object.fromEntries(buildReport(run.id).meta);
+  assert.strictEqual(meta['Resumed from'], firstRun.id);
+  assert.strictEqual(meta.Brand, 'booking');
+  assert.strictEqual(meta.Rows, '7');
+  assert.strictEqual(meta.Charged, '2');
+  assert.strictEqual(meta.Declined, '1');
+  assert.strictEqual(meta.Failed, '0');
+  assert.strictEqual(meta.Skipped, '1');
+  assert.strictEqual(meta.Unconfirmed, '1');
+  assert.strictEqual(meta['Already processed'], '1');
+  assert.strictEqual(meta['Never attempted'], '1');
+});
+
+test('charged by hotel sums per currency in its minor units', () => {
+  assert.deepStrictEqual(section(buildReport(run.id), 'Charged by hotel').rows, [
+    ['Hotel A (H1)', 'booking', 'accA', 'USD', 1, '100.00', '0.00', 1, '50.00', 1],
+    ['Subtotal Hotel A (H1)', 'booking', '', 'USD', 1, '100.00', '0.00', 1, '50.00', 1],
+    ['Hotel B (H2)', 'booking', 'accB', 'JPY', 1, '750', '750', 0, '0', 2],
+    ['Subtotal Hotel B (H2)', 'booking', '', 'JPY', 1, '750', '750', 0, '0', 2],
+    ['Total', 'booking', '', 'JPY', 1, '750', '750', 0, '0', 2],
+    ['Total', 'booking', '', 'USD', 1, '100.00', '0.00', 1, '50.00', 1]
+  ]);
+});
+
+test('declines, skipped and never-attempted rows', () => {
+  const report = buildReport(run.id);
+  assert.deepStrictEqual(section(report, 'Declines by processor response').rows, [['2001', 'Insufficient Funds', 'USD', 1, '50.00']]);
+  assert.deepStrictEqual(section(report, 'Declined rows').rows, [
+    [2, 'R2', 'Hotel A (H1)', 'USD', '50.00', 'Processor Declined', 't2', '2001 Insufficient Funds']
+  ]);
+  assert.deepStrictEqual(section(report, 'Skipped rows').rows, [
+    [4, 'R4', 'Hotel B (H2)', 'JPY', '1000', 'Skipped', 'skipped', 'Card expired 09/2026'],
+    [7, 'R7', 'Hotel A (H1)', 'USD', '30.00', 'Unconfirmed', 'submitted', 'UNVERIFIED']
+  ]);
+  assert.deepStrictEqual(section(report, 'Never attempted').rows, [[5, 'R5', 'Hotel B (H2)', 'JPY', '1200']]);
+});
+
+test('a missing input sheet is noted and recorded rows are still reported', () => {
+  const orphan = createRun({ brand: 'booking', inputPath: path.join(DATA_ROOT, 'gone.xlsx'), mapping: 'default' });
+  recordRowOutcome(orphan.id, submitted(3, 'R3', {
+    status: 'Submitted For Settlement', amount: '1500', currency: 'JPY', chargedAmount: '1500', remainingAmount: '0'
+  }));
+  const report = buildReport(orphan.id);
+  assert.match(Object.fromEntries(report.meta).Note, /no longer available/);
+  assert.strictEqual(Object.fromEntries(report.meta).Rows, '1');
+  assert.deepStrictEqual(section(report, 'Charged by hotel').rows[0], ['(no hotel)', 'booking', 'accB', 'JPY', 1, '1500', '0', 0, '0', 0]);
+});
+
+test('writeReport writes xlsx, csv and pdf next to the run; ensureReport reuses them', () => {
+  const files = writeReport(run.id);
+  assert.deepStrictEqual(Object.keys(files), ['xlsx', 'csv', 'pdf']);
+  for (const file of Object.values(files)) assert.strictEqual(path.dirname(file), path.join(DATA_ROOT, 'data', 'runs', run.id));
+
+  const wb = xlsx.readFile(files.xlsx, { cellNF: true });
+  assert.deepStrictEqual(wb.SheetNames, ['Summary', 'Charged by hotel', 'Declines by processor response', 'Declined rows', 'Skipped rows', 'Never attempted']);
+  const charged = wb.Sheets['Charged by hotel'];
+  assert.strictEqual(charged.F2.v, 100);
+  assert.strictEqual(charged.F2.z, '0.00');
+
+  const csv = fs.readFileSync(files.csv, 'utf8');
+  assert.ok(csv.startsWith(`Reconciliation report - run ${run.id}\r\n`));
+  assert.ok(csv.includes('\r\nCharged by hotel\r\n'));
+  assert.ok(fs.readFileSync(files.pdf, 'latin1').startsWith('%PDF-'));
+
+  const before = fs.statSync(files.csv).mtimeMs;
+  assert.strictEqual(ensureReport(run.id, 'csv'), files.csv);
+  assert.strictEqual(fs.statSync(files.csv).mtimeMs, before);
+  assert.throws(() => ensureReport(run.id, 'html'), /Unknown report format: html/);
+});
@@ -0,0 +1,56 @@
+// lib/retry.js: retry policy, backoff and failure classification
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_POLICY,
+  retryPolicy,
+  backoffDelay,
+  classifyFailure,
+  isFinalStatus,
+  isUnknownStatus,
+  describeFailure
+} = require('../lib/retry');
+
+test('retryPolicy: defaults, numeric strings and bad values', () => {
+  assert.deepStrictEqual(retryPolicy(), DEFAULT_POLICY);
+  assert.strictEqual(retryPolicy({ retries: '3' }).retries, 3);
+  assert.strictEqual(retryPolicy({ retries: 0 }).retries, 0);
+  assert.throws(() => retryPolicy({ retries: -1 }), /Retry retries must be a whole number >= 0/);
+  assert.throws(() => retryPolicy({ backoffMs: 1.5 }), /Retry backoffMs/);
+});
+
+test('backoffDelay doubles per attempt up to the cap', () => {
+  const policy = { retries: 5, backoffMs: 5000, maxBackoffMs: 60000 };
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map((n) => backoffDelay(policy, n)), [5000, 10000, 20000, 40000, 60000]);
+});
+
+test('classifyFailure: before the submit click is retryable, after it ambiguous', () => {
+  assert.strictEqual(classifyFailure(new Error('Timeout waiting for #amount'), { submitClicked: false }), 'retryable');
+  assert.strictEqual(classifyFailure(new Error('Timeout waiting for status'), { submitClicked: true }), 'ambiguous');
+});
+
+test('classifyFailure: a lost browser or session is fatal', () => {
+  assert.strictEqual(classifyFailure(new Error('x'), { submitClicked: false, browserConnected: false }), 'fatal');
+  assert.strictEqual(classifyFailure(new Error('x'), { submitClicked: true, signedOut: true }), 'fatal');
+  assert.strictEqual(classifyFailure(new Error('Protocol error: Target closed.'), { submitClicked: false }), 'fatal');
+  assert.strictEqual(classifyFailure(new Error('Navigating frame was detached'), { submitClicked: true }), 'fatal');
+});
+
+test('final and unknown statuses', () => {
+  assert.strictEqual(isFinalStatus('Processor Declined'), true);
+  assert.strictEqual(isFinalStatus('Gateway Rejected'), true);
+  assert.strictEqual(isFinalStatus('Submitted For Settlement'), false);
+  assert.strictEqual(isFinalStatus(''), false);
+  assert.strictEqual(isUnknownStatus('UNVERIFIED'), true);
+  assert.strictEqual(isUnknownStatus('UNCONFIRMED'), true);
+  assert.strictEqual(isUnknownStatus('Authorized'), false);
+});
+
+test('describeFailure', () => {
+  assert.strictEqual(
+    describeFailure({ row: 3, orderId: 'R3', failureClass: 'retryable', reason: 'timeout', attempts: 3 }),
+    'Row 3 (R3) [retryable after 3 attempts]: timeout'
+  );
+  assert.strictEqual(describeFailure({ row: 4, failureClass: 'fatal', reason: 'signed out', attempts: 1 }), 'Row 4 [fatal]: signed out');
+});
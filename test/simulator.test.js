@@ -0,0 +1,227 @@
+/*
+  End-to-end runs of server.js against the local Braintree simulator
+  (simulator/server.js), one per simulator outcome. Each run charges a
+  one-row sheet and checks the result columns written back to it and the
+  ledger entry it left.
+
+  Runs headless in a throwaway data directory (APP_DATA_DIR) with a saved
+  session taken from the simulator, so no login or OTP is needed. Skipped
+  when Puppeteer's Chrome is missing or cannot start (e.g. missing system
+  libraries).
+
+    npm test
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const DATA_ROOT = path.join(os.tmpdir(), `bt-auto-test-${process.pid}`);
+// Before the lib modules load: they resolve the data directory once
+process.env.APP_DATA_DIR = DATA_ROOT;
+
+const xlsx = require('xlsx');
+const { readAllRowsFromExcel } = require('../lib/sheet');
+const { readLedger } = require('../lib/ledger');
+const { saveSession } = require('../lib/session');
+
+const RUN_TIMEOUT_MS = 3 * 60 * 1000;
+
+const firstLine = (text) => String(text || '').trim().split('\n')[0];
+
+// Why the browser runs cannot happen here, or '' when Chrome starts
+function chromeProblem() {
+  let executable = process.env.PUPPETEER_EXECUTABLE_PATH;
+  if (!executable) {
+    try { executable = require('puppeteer').executablePath(); } catch (e) { return firstLine(e.message); }
+  }
+  if (!fs.existsSync(executable)) return `no Chrome at ${executable}`;
+  const probe = spawnSync(executable, ['--headless', '--version'], { encoding: 'utf8', timeout: 30000 });
+  if (probe.status === 0) return '';
+  return `Chrome at ${executable} does not start: ${firstLine(probe.stderr || (probe.error && probe.error.message) || `exit ${probe.status}`)}`;
+}
+
+const SKIP = chromeProblem() || false;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Resolves with the exit code; the child is killed if it outlives `timeoutMs`
+function waitForExit(child, timeoutMs) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => { try { child.kill('SIGKILL'); } catch (_) {} }, timeoutMs);
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve(code === null ? signal : code);
+    });
+  });
+}
+
+function writeSheet(filePath, row) {
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet([row]), 'Sheet1');
+  xlsx.writeFile(wb, filePath);
+}
+
+function sheetRow(orderId) {
+  return {
+    'Reservation ID': orderId,
+    Amount: '10.00',
+    Currency: 'USD',
+    MAIDS: 'sim_account',
+    'Card first 4': '4111',
+    'Card Last 12': '111111111111',
+    'Exp Date': '12/2030',
+    CVV: '123'
+  };
+}
+
+test.describe('server.js against the simulator', { skip: SKIP }, () => {
+  let simulator;
+  let baseUrl;
+  let output = '';
+
+  async function sim(route, body) {
+    const res = await fetch(`${baseUrl}${route}`, body === undefined ? {} : {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    });
+    return res.json();
+  }
+
+  // A signed-in simulator session, saved where server.js restores it from
+  async function seedSession() {
+    const res = await fetch(`${baseUrl}/session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'login=test&password=test',
+      redirect: 'manual'
+    });
+    const [name, value] = String(res.headers.get('set-cookie') || '').split(';')[0].split('=');
+    assert.ok(value, 'simulator did not start a session');
+    saveSession([{ name, value, url: baseUrl }], new URL(baseUrl).host);
+  }
+
+  async function runAutomation(outcome, config = {}) {
+    await sim('/__sim/reset', {});
+    await sim('/__sim/config', { outcome, ...config });
+    await seedSession();
+    const orderId = `R-${outcome}`;
+    const inputPath = path.join(DATA_ROOT, `${outcome}.xlsx`);
+    writeSheet(inputPath, sheetRow(orderId));
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js'), `--base-url=${baseUrl}`, '--headless', '--no-review'], {
+      cwd: ROOT,
+      env: { ...process.env, INPUT_XLSX: inputPath, STATUS_WAIT_TIMEOUT_MS: '20000' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let log = '';
+    child.stdout.on('data', (d) => { log += d; });
+    child.stderr.on('data', (d) => { log += d; });
+    const exitCode = await waitForExit(child, RUN_TIMEOUT_MS);
+    output = log;
+    const [row] = readAllRowsFromExcel(inputPath);
+    const ledger = readLedger().filter((e) => e.reservationId === orderId);
+    const transactions = (await sim('/__sim/transactions')).filter((t) => t.orderId === orderId);
+    return { exitCode, row, ledger, transactions };
+  }
+
+  test.before(async () => {
+    fs.mkdirSync(DATA_ROOT, { recursive: true });
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    simulator = spawn(process.execPath, [path.join(ROOT, 'simulator', 'server.js'), `--port=${port}`, '--no-otp'], {
+      cwd: ROOT, stdio: 'ignore'
+    });
+    for (let i = 0; i < 50; i += 1) {
+      try { await sim('/__sim/config'); return; } catch (_) { await sleep(200); }
+    }
+    throw new Error(`Simulator did not start on ${baseUrl}`);
+  });
+
+  test.after(() => {
+    if (simulator && simulator.exitCode === null) simulator.kill();
+    fs.rmSync(DATA_ROOT, { recursive: true, force: true });
+  });
+
+  test.afterEach((t) => {
+    if (!t.passed) t.diagnostic(output);
+  });
+
+  test('authorized: charged in full', async () => {
+    const { exitCode, row, ledger, transactions } = await runAutomation('authorized');
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(transactions.length, 1);
+    assert.strictEqual(row.STATUS, 'Submitted For Settlement');
+    assert.strictEqual(row['BT TRANSACTION ID'], transactions[0].id);
+    assert.strictEqual(String(row['CHARGED AMOUNT']), '10.00');
+    assert.strictEqual(String(row['REMAINING AMOUNT']), '0.00');
+    assert.strictEqual(ledger.length, 1);
+    assert.strictEqual(ledger[0].status, 'Submitted For Settlement');
+    assert.strictEqual(ledger[0].transactionId, transactions[0].id);
+    assert.strictEqual(ledger[0].amount, '10.00');
+  });
+
+  test('processor_declined: response code and text recorded, nothing charged', async () => {
+    const { exitCode, row, ledger, transactions } = await runAutomation('processor_declined', { declineCode: '2001' });
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(row.STATUS, 'Processor Declined');
+    assert.strictEqual(row['BT TRANSACTION ID'], transactions[0].id);
+    assert.strictEqual(String(row['PROCESSOR RESPONSE CODE']), '2001');
+    assert.strictEqual(row['PROCESSOR RESPONSE TEXT'], transactions[0].processorResponseText);
+    assert.strictEqual(String(row['CHARGED AMOUNT']), '0.00');
+    assert.strictEqual(String(row['REMAINING AMOUNT']), '10.00');
+    assert.strictEqual(ledger.length, 1);
+    assert.strictEqual(ledger[0].status, 'Processor Declined');
+    assert.strictEqual(ledger[0].transactionId, transactions[0].id);
+  });
+
+  test('gateway_rejected: rejection reason recorded, nothing charged', async () => {
+    const { exitCode, row, ledger, transactions } = await runAutomation('gateway_rejected');
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(row.STATUS, 'Gateway Rejected');
+    assert.strictEqual(row['BT TRANSACTION ID'], transactions[0].id);
+    assert.strictEqual(row['GATEWAY REJECTION REASON'], transactions[0].gatewayRejectionReason);
+    assert.strictEqual(String(row['CHARGED AMOUNT']), '0.00');
+    assert.strictEqual(String(row['REMAINING AMOUNT']), '10.00');
+    assert.strictEqual(ledger.length, 1);
+    assert.strictEqual(ledger[0].status, 'Gateway Rejected');
+  });
+
+  test('slow_status: waits for the status to appear', async () => {
+    const { exitCode, row, ledger, transactions } = await runAutomation('slow_status', { slowStatusMs: 5000 });
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(transactions.length, 1);
+    assert.strictEqual(row.STATUS, transactions[0].status);
+    assert.strictEqual(row['BT TRANSACTION ID'], transactions[0].id);
+    assert.strictEqual(String(row['CHARGED AMOUNT']), '10.00');
+    assert.strictEqual(ledger.length, 1);
+    assert.strictEqual(ledger[0].status, transactions[0].status);
+  });
+
+  test('session_expired: run stops, the submit stays in the ledger unconfirmed', async () => {
+    const { exitCode, row, ledger, transactions } = await runAutomation('session_expired');
+    assert.notStrictEqual(exitCode, 0);
+    assert.strictEqual(transactions.length, 0);
+    assert.strictEqual(row.STATUS || '', '');
+    assert.strictEqual(row['BT TRANSACTION ID'] || '', '');
+    assert.strictEqual(ledger.length, 1);
+    assert.strictEqual(ledger[0].status, 'SUBMITTED');
+    assert.strictEqual(ledger[0].transactionId, '');
+  });
+});
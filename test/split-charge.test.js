@@ -0,0 +1,89 @@
+// lib/split-charge.js: the next partial amount after a decline, and the row summary
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeSplit,
+  isInsufficientFunds,
+  nextSplitAmount,
+  summarizeAttempts
+} = require('../lib/split-charge');
+
+const SPLIT = { minAmount: 10, maxAttempts: 6, currency: 'USD' };
+const declined = (amount) => ({ amount, approved: false, insufficientFunds: true });
+const approved = (amount) => ({ amount, approved: true });
+
+test('normalizeSplit: defaults, numeric strings and bad values', () => {
+  assert.deepStrictEqual(normalizeSplit(), { enabled: false, minAmount: 1, maxAttempts: 6 });
+  assert.deepStrictEqual(normalizeSplit({ enabled: true, minAmount: '10', maxAttempts: '4' }), { enabled: true, minAmount: 10, maxAttempts: 4 });
+  assert.throws(() => normalizeSplit({ minAmount: 0 }), /positive amount/);
+  assert.throws(() => normalizeSplit({ maxAttempts: 1 }), /at least 2/);
+  assert.throws(() => normalizeSplit({ maxAttempts: 2.5 }), /at least 2/);
+});
+
+test('isInsufficientFunds by response code or text', () => {
+  assert.strictEqual(isInsufficientFunds({ processorResponseCode: '2001' }), true);
+  assert.strictEqual(isInsufficientFunds({ processorResponseText: 'Insufficient Funds' }), true);
+  assert.strictEqual(isInsufficientFunds({ processorResponseCode: '2005', processorResponseText: 'Invalid Credit Card Number' }), false);
+});
+
+test('nextSplitAmount halves after an insufficient-funds decline', () => {
+  assert.strictEqual(nextSplitAmount(SPLIT, 10000, [declined('100.00')]), '50.00');
+  assert.strictEqual(nextSplitAmount(SPLIT, 10000, [declined('100.00'), approved('50.00'), declined('50.00')]), '25.00');
+  assert.strictEqual(nextSplitAmount({ ...SPLIT, minAmount: 1, currency: 'JPY' }, 1501, [declined('1501')]), '750');
+});
+
+test('nextSplitAmount charges the rest after an approval', () => {
+  assert.strictEqual(nextSplitAmount(SPLIT, 10000, [declined('100.00'), approved('50.00')]), '50.00');
+});
+
+test('nextSplitAmount stops', () => {
+  assert.strictEqual(nextSplitAmount(SPLIT, 10000, []), null, 'nothing attempted yet');
+  assert.strictEqual(nextSplitAmount(SPLIT, 10000, [approved('100.00')]), null, 'fully charged');
+  assert.strictEqual(nextSplitAmount(SPLIT, 10000, [{ amount: '100.00', approved: false, insufficientFunds: false }]), null, 'other decline');
+  assert.strictEqual(nextSplitAmount({ ...SPLIT, minAmount: 60 }, 10000, [declined('100.00')]), null, 'below the minimum');
+  assert.strictEqual(nextSplitAmount({ ...SPLIT, maxAttempts: 2 }, 10000, [declined('100.00'), declined('50.00')]), null, 'out of attempts');
+  assert.strictEqual(nextSplitAmount(SPLIT, 10000, [declined('100.00'), declined('50.00'), approved('25.00')]), null, 'rest already declined');
+});
+
+test('summarizeAttempts: partial charge', () => {
+  const summary = summarizeAttempts(10000, [
+    { ...approved('50.00'), status: 'Submitted For Settlement', transactionId: 't1' },
+    { ...declined('50.00'), status: 'Processor Declined', transactionId: 't2', processorResponseCode: '2001', processorResponseText: 'Insufficient Funds' }
+  ], 'USD');
+  assert.strictEqual(summary.status, 'PARTIALLY CHARGED');
+  assert.strictEqual(summary.transactionId, 't1');
+  assert.strictEqual(summary.processorResponseCode, '2001');
+  assert.strictEqual(summary.chargedAmount, '50.00');
+  assert.strictEqual(summary.remainingAmount, '50.00');
+});
+
+test('summarizeAttempts: charged in full over two attempts', () => {
+  const summary = summarizeAttempts(10000, [
+    { ...approved('50.00'), status: 'Submitted For Settlement', transactionId: 't1' },
+    { ...approved('50.00'), status: 'Submitted For Settlement', transactionId: 't2' }
+  ], 'USD');
+  assert.strictEqual(summary.status, 'Submitted For Settlement');
+  assert.strictEqual(summary.transactionId, 't1, t2');
+  assert.strictEqual(summary.chargedAmount, '100.00');
+  assert.strictEqual(summary.remainingAmount, '0.00');
+});
+
+test('summarizeAttempts: nothing approved keeps the decline', () => {
+  const summary = summarizeAttempts(1500, [
+    { amount: '1500', approved: false, status: 'Processor Declined', transactionId: 't1' }
+  ], 'JPY');
+  assert.strictEqual(summary.status, 'Processor Declined');
+  assert.strictEqual(summary.transactionId, 't1');
+  assert.strictEqual(summary.chargedAmount, '0');
+  assert.strictEqual(summary.remainingAmount, '1500');
+});
+
+test('summarizeAttempts: an unknown last outcome keeps its status', () => {
+  const summary = summarizeAttempts(10000, [
+    { ...approved('50.00'), status: 'Submitted For Settlement', transactionId: 't1' },
+    { amount: '50.00', approved: false, status: 'UNVERIFIED' }
+  ], 'USD');
+  assert.strictEqual(summary.status, 'UNVERIFIED');
+  assert.strictEqual(summary.chargedAmount, '50.00');
+});
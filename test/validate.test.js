@@ -0,0 +1,125 @@
+/*
+  lib/validate.js: per-row checks (Luhn, expiry, CVV, amount, currency) and
+  the pre-flight report over a sheet. Runs in a throwaway data directory so
+  no merchant registry or account currencies from a real install leak in.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_ROOT = path.join(os.tmpdir(), `bt-auto-test-${process.pid}`);
+// Before the lib modules load: they resolve the data directory once
+process.env.APP_DATA_DIR = DATA_ROOT;
+
+const { luhnValid, validateValues, validateRows } = require('../lib/validate');
+const { loadProfile } = require('../lib/mapping');
+
+const VALUES = {
+  cardNumber: '4111111111111111',
+  expirationDate: '12/2030',
+  cvv: '123',
+  amount: '10.00',
+  currency: 'USD',
+  orderId: 'R1',
+  merchantAccount: 'acc_usd'
+};
+
+function sheetRow(orderId, extra = {}) {
+  return {
+    'Reservation ID': orderId,
+    Amount: '10.00',
+    Currency: 'USD',
+    MAIDS: 'acc_usd',
+    'Card first 4': '4111',
+    'Card Last 12': '111111111111',
+    'Exp Date': '12/2030',
+    CVV: '123',
+    ...extra
+  };
+}
+
+test.after(() => {
+  fs.rmSync(DATA_ROOT, { recursive: true, force: true });
+});
+
+test('luhnValid', () => {
+  assert.strictEqual(luhnValid('4111111111111111'), true);
+  assert.strictEqual(luhnValid('5555555555554444'), true);
+  assert.strictEqual(luhnValid('4111111111111112'), false);
+  assert.strictEqual(luhnValid(''), false);
+});
+
+test('validateValues: a complete row has no errors', () => {
+  assert.deepStrictEqual(validateValues(VALUES), []);
+});
+
+test('validateValues: card number', () => {
+  assert.deepStrictEqual(validateValues({ ...VALUES, cardNumber: '4111111111111112' }), ['Card number fails Luhn check']);
+  assert.deepStrictEqual(validateValues({ ...VALUES, cardNumber: '411111111111' }), ['Card number has 12 digits']);
+  assert.deepStrictEqual(validateValues({ ...VALUES, cardNumber: '' }), ['Card number missing']);
+});
+
+test('validateValues: expiry must be MM/YYYY', () => {
+  assert.deepStrictEqual(validateValues({ ...VALUES, expirationDate: '12/30' }), ['Expiry "12/30" is not MM/YYYY']);
+  assert.deepStrictEqual(validateValues({ ...VALUES, expirationDate: '13/2030' }), ['Expiry "13/2030" is not MM/YYYY']);
+  assert.deepStrictEqual(validateValues({ ...VALUES, expirationDate: '' }), ['Expiry missing']);
+});
+
+test('validateValues: CVV, amount, currency and identifiers', () => {
+  assert.deepStrictEqual(validateValues({ ...VALUES, cvv: '12' }), ['CVV must be 3 or 4 digits']);
+  assert.deepStrictEqual(validateValues({ ...VALUES, cvv: '1234' }), []);
+  assert.match(validateValues({ ...VALUES, amount: '10.5', currency: 'JPY' })[0], /more decimals/);
+  assert.deepStrictEqual(validateValues({ ...VALUES, currency: 'US' }), ['Currency "US" is not a three-letter code']);
+  assert.deepStrictEqual(validateValues({ ...VALUES, orderId: ' ' }), ['Reservation ID missing']);
+  assert.match(validateValues({ ...VALUES, merchantAccount: '' })[0], /^No merchant account/);
+});
+
+test('validateRows: duplicates, bad rows, registry accounts and currency mismatches', () => {
+  const merchantAccounts = [
+    { hotelId: 'H1', hotelName: 'Hotel One', currency: '', merchantAccountId: 'acc_h1' },
+    { hotelId: 'H2', hotelName: 'Hotel Two', currency: 'EUR', merchantAccountId: 'acc_eur' }
+  ];
+  const rows = [
+    sheetRow('R1'),
+    sheetRow('R2', { 'Card Last 12': '111111111112' }),
+    sheetRow('R1'),
+    sheetRow('R3', { MAIDS: '', 'Hotel ID': 'H1' }),
+    sheetRow('R4', { MAIDS: 'acc_eur' }),
+    sheetRow('R5', { STATUS: 'Submitted For Settlement' })
+  ];
+  const report = validateRows(rows, { profile: loadProfile('default'), merchantAccounts });
+  assert.strictEqual(report.total, 6);
+  assert.strictEqual(report.pending, 5);
+  assert.strictEqual(report.alreadyProcessed, 1);
+  assert.strictEqual(report.valid, 1);
+  assert.strictEqual(report.invalid, 4);
+  assert.deepStrictEqual(report.invalidRows, [0, 1, 2, 4]);
+  const errorsOf = (row) => report.issues.find((i) => i.row === row).errors;
+  assert.deepStrictEqual(errorsOf(1), ['Duplicate reservation ID (also on row 3)']);
+  assert.deepStrictEqual(errorsOf(2), ['Card number fails Luhn check']);
+  assert.deepStrictEqual(errorsOf(5), ['Currency USD does not match merchant account acc_eur (EUR)']);
+  assert.ok(!JSON.stringify(report).includes('4111'), 'report carries no card data');
+});
+
+test('validateRows: a row already charged in the sheet still counts as a duplicate', () => {
+  const rows = [sheetRow('R1', { STATUS: 'Submitted For Settlement' }), sheetRow('R1')];
+  const report = validateRows(rows, { profile: loadProfile('default'), merchantAccounts: [] });
+  assert.deepStrictEqual(report.issues, [{ row: 2, orderId: 'R1', errors: ['Duplicate reservation ID (also on row 1)'] }]);
+});
+
+test('validateRows: counts rows by charge window', () => {
+  const rows = [
+    sheetRow('R1', { 'Check-out': '2026-10-19', 'Charge Before': '2026-10-25' }),
+    sheetRow('R2', { 'Check-out': '2026-10-22' }),
+    sheetRow('R3', { 'Charge Before': '2026-10-19' }),
+    sheetRow('R4', { 'Exp Date': '09/2026' })
+  ];
+  const report = validateRows(rows, {
+    profile: loadProfile('default'), merchantAccounts: [], today: new Date(2026, 9, 19, 10, 0, 0)
+  });
+  assert.deepStrictEqual(report.due, { dueToday: 1, notYetDue: 1, overdue: 1, expired: 1 });
+  assert.strictEqual(report.invalid, 0, 'expired cards are skipped, not invalid');
+});